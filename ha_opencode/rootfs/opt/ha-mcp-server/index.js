@@ -12,23 +12,29 @@
  * - Logging capability for debugging
  * - Content annotations (audience/priority)
  * - Live documentation fetching
- * - Breaking changes awareness
- * - Deprecation pattern detection
+ * - Breaking changes from live release notes, matched to the loaded integrations
+ * - Deprecation detection on parsed YAML (HA tags, includes, packages)
  * - Real-time update progress monitoring
  * - ESPHome build and flash integration
  * - Visual firmware update monitoring with timeline
+ * - Chart images (SVG, or PNG from a pure-JS rasterizer) for history and statistics
  * 
- * TOOLS (31):
+ * TOOLS (61):
  * - Entity state management (get, search, history)
+ * - History and statistics aggregation, export, and SVG/PNG charts
+ * - Energy dashboard configuration and per-device usage
  * - Service calls with intelligent targeting
  * - Configuration validation and management
+ * - Automation, script, and scene create/read/update/delete via the config API
  * - Calendar, logbook, and history access
- * - Anomaly detection and suggestions
- * - Documentation fetching and syntax checking
- * - Update management with real-time progress monitoring
+ * - Anomaly detection (fixed rules or learned baselines) and suggestions
+ * - Documentation fetching, syntax checking, configuration-wide deprecation scans and migration
+ * - Update management with pre-flight checklists and real-time progress monitoring
+ * - Backup listing, creation, and confirmed restore
+ * - App (add-on) info, start/stop/restart, and logs
  * - ESPHome device management, compile, and upload
  * 
- * RESOURCES (9 + 4 templates):
+ * RESOURCES (11 + 6 templates):
  * - Live entity states by domain
  * - Automations, scripts, and scenes
  * - Area and device mappings
@@ -40,8 +46,20 @@
  * - Energy optimization analysis
  * - Scene building assistance
  * 
+ * Home Assistant is reached through the Supervisor proxy: REST via callHA(),
+ * Supervisor endpoints via callSupervisor(), and the WebSocket API (registries,
+ * traces, subscriptions) via a single shared connection (callHAWebSocket()).
+ * 
  * Environment variables:
  * - SUPERVISOR_TOKEN: The Home Assistant Supervisor token (auto-provided in app)
+ * - HA_MCP_POLICY_FILE: Optional path to the safety policy JSON
+ *   (default: /homeassistant/ha_opencode/mcp_policy.json)
+ * - HA_MCP_AUDIT_FILE: Optional path to the audit log of state-changing calls
+ *   (default: /homeassistant/ha_opencode/mcp_audit.jsonl)
+ * - HA_MCP_ANOMALY_RULES_FILE: Optional path to user-defined anomaly rules (YAML)
+ *   (default: /homeassistant/ha_opencode/anomaly_rules.yaml)
+ * - HA_MCP_DEPRECATION_RULES_DIR: Optional directory of deprecation rule packs (YAML/JSON)
+ *   (default: /homeassistant/ha_opencode/deprecation_rules)
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
@@ -55,12 +73,30 @@ import {
   GetPromptRequestSchema,
   ListResourceTemplatesRequestSchema,
   SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import WebSocket from "ws";
+import { parse as parseYaml, stringify as stringifyYaml, parseDocument, LineCounter, isMap, isSeq, isScalar, isAlias } from "yaml";
+import { readFile, writeFile, appendFile, mkdir, stat, rename, readdir } from "fs/promises";
+import { dirname, resolve as resolvePath, relative, basename, join } from "path";
+import { realpathSync } from "fs";
+import { fileURLToPath } from "url";
+import { deflateSync } from "zlib";
 
 const SUPERVISOR_API = "http://supervisor/core/api";
+const SUPERVISOR_WS = "ws://supervisor/core/websocket";
 const SUPERVISOR_TOKEN = process.env.SUPERVISOR_TOKEN;
 
+// This app's slug when installed locally; from a repository it is "<repo hash>_ha_opencode"
+const SELF_ADDON_SLUG = "local_ha_opencode";
+
+// Home Assistant config directory as mapped into this app (/config from HA's view)
+const HA_CONFIG_DIR = "/homeassistant";
+
+// Add-on data kept in the HA config directory (/config/ha_opencode from HA's view)
+const HA_OPENCODE_DIR = `${HA_CONFIG_DIR}/ha_opencode`;
+
 // Home Assistant documentation base URLs
 const HA_DOCS_BASE = "https://www.home-assistant.io";
 const HA_INTEGRATIONS_URL = `${HA_DOCS_BASE}/integrations`;
@@ -140,11 +176,22 @@ async function callHA(endpoint, method = "GET", body = null) {
   return response.text();
 }
 
+/**
+ * Build the error for a failed Supervisor call. A 403 means the app's
+ * hassio_role does not cover the endpoint, which the raw body does not say.
+ */
+function supervisorError(endpoint, status, text) {
+  const hint = status === 403
+    ? ` (HA OpenCode's Supervisor role does not allow ${endpoint}; it needs hassio_role: manager in the app's config.yaml)`
+    : "";
+  return new Error(`Supervisor API error (${status}): ${text}${hint}`);
+}
+
 /**
  * Call Home Assistant Supervisor API directly
  * Used for add-on management, updates, jobs, and system operations
  */
-async function callSupervisor(endpoint, method = "GET", body = null) {
+async function callSupervisor(endpoint, method = "GET", body = null, headers = {}) {
   sendLog("debug", "supervisor-api", { action: "request", endpoint, method });
   
   const options = {
@@ -152,6 +199,7 @@ async function callSupervisor(endpoint, method = "GET", body = null) {
     headers: {
       "Authorization": `Bearer ${SUPERVISOR_TOKEN}`,
       "Content-Type": "application/json",
+      ...headers,
     },
   };
 
@@ -164,7 +212,7 @@ async function callSupervisor(endpoint, method = "GET", body = null) {
   if (!response.ok) {
     const text = await response.text();
     sendLog("error", "supervisor-api", { action: "error", endpoint, status: response.status, error: text });
-    throw new Error(`Supervisor API error (${response.status}): ${text}`);
+    throw supervisorError(endpoint, response.status, text);
   }
 
   const contentType = response.headers.get("content-type");
@@ -177,6 +225,434 @@ async function callSupervisor(endpoint, method = "GET", body = null) {
   return response.text();
 }
 
+let selfAddonSlug = null;
+
+/**
+ * Whether a slug refers to this app, which must not stop, restart, or update itself
+ * from within. "self" is the Supervisor's alias for the calling app; the real slug
+ * depends on where the app was installed from, so it is looked up once.
+ */
+async function isSelfAddon(slug) {
+  if (slug === "self" || slug === SELF_ADDON_SLUG) return true;
+  if (!selfAddonSlug) {
+    try {
+      selfAddonSlug = (await callSupervisor("/addons/self/info")).slug;
+    } catch (error) {
+      sendLog("warning", "supervisor-api", { action: "self_info_failed", error: error.message });
+      return /(?:^|_)ha_opencode$/.test(slug);
+    }
+  }
+  return slug === selfAddonSlug;
+}
+
+/**
+ * Poll a background Supervisor job until it finishes or the timeout passes
+ * @returns {Promise<object>} The last job state seen (check `done`)
+ */
+async function waitForSupervisorJob(jobId, timeoutMs = 120000, intervalMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  let job = await callSupervisor(`/jobs/${jobId}`);
+  while (!job.done && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    job = await callSupervisor(`/jobs/${jobId}`);
+  }
+  return job;
+}
+
+/**
+ * Summarize what a backup contains (or should contain)
+ * @param {{homeassistant?: boolean, addons?: string[], folders?: string[]}} content
+ */
+function describeBackupContent(content = {}) {
+  const parts = [];
+  if (content.homeassistant) parts.push("Home Assistant config");
+  if (content.addons?.length > 0) parts.push(`apps: ${content.addons.join(", ")}`);
+  if (content.folders?.length > 0) parts.push(`folders: ${content.folders.join(", ")}`);
+  return parts.join("; ") || "nothing";
+}
+
+/**
+ * Read the tail of a Supervisor logs endpoint (e.g. /addons/{slug}/logs) as lines,
+ * with terminal color codes removed
+ * @param {string} [accept] - "text/x-log" adds journald timestamps and identifiers to each line
+ */
+async function getSupervisorLogLines(endpoint, lines = 200, accept = "text/plain") {
+  const text = await callSupervisor(`${endpoint}?lines=${lines}`, "GET", null, { "Accept": accept });
+  return String(text)
+    .replace(/\x1b\[[0-9;]*m/g, "")
+    .split("\n")
+    .filter(line => line.trim())
+    .slice(-lines);
+}
+
+/**
+ * Case-insensitive regex for a user-supplied log filter; invalid regexes match as plain text
+ */
+function buildLogPattern(filter) {
+  try {
+    return new RegExp(filter, "i");
+  } catch {
+    return new RegExp(filter.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  }
+}
+
+/**
+ * grep-style filtering of log lines
+ * @param {string[]} lines
+ * @param {object} options - filter (case-insensitive regex, or plain text if invalid), context lines, limit
+ * @returns {string[]} Matching lines (with "--" between separate context groups), last `limit` kept
+ */
+function filterLogLines(lines, { filter, context = 0, limit = 100 } = {}) {
+  if (!filter) return lines.slice(-limit);
+
+  const pattern = buildLogPattern(filter);
+
+  const keep = new Set();
+  lines.forEach((line, i) => {
+    if (!pattern.test(line)) return;
+    for (let j = Math.max(0, i - context); j <= Math.min(lines.length - 1, i + context); j++) keep.add(j);
+  });
+
+  const result = [];
+  let previous = null;
+  for (const i of [...keep].sort((a, b) => a - b)) {
+    if (context > 0 && previous !== null && i > previous + 1) result.push("--");
+    result.push(lines[i]);
+    previous = i;
+  }
+  return result.slice(-limit);
+}
+
+// ============================================================================
+// HOME ASSISTANT WEBSOCKET CLIENT
+// ============================================================================
+//
+// A single authenticated connection to the HA WebSocket API shared by all
+// tools. Commands get an incrementing message id and are matched to their
+// `result` by that id, so several commands can be in flight at once. Event
+// subscriptions are kept across reconnects: when the socket drops, the client
+// reconnects with backoff and re-subscribes them.
+
+const haSocket = {
+  ws: null,
+  connecting: null,
+  nextId: 1,
+  pending: new Map(),        // message id -> { resolve, reject, timeoutId, type }
+  subscriptions: new Map(),  // local subscription id -> { message, callback, remoteId }
+  nextSubscriptionId: 1,
+  reconnectTimer: null,
+  reconnectDelay: 1000,
+  closing: false,
+};
+
+const HA_WS_MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Connect and authenticate, reusing the open connection when there is one
+ * @returns {Promise<WebSocket>} The authenticated socket
+ */
+function connectHAWebSocket() {
+  if (haSocket.ws && haSocket.ws.readyState === WebSocket.OPEN) {
+    return Promise.resolve(haSocket.ws);
+  }
+  if (haSocket.connecting) {
+    return haSocket.connecting;
+  }
+
+  haSocket.closing = false;
+  haSocket.connecting = new Promise((resolve, reject) => {
+    sendLog("debug", "ha-ws", { action: "connect", url: SUPERVISOR_WS });
+    const ws = new WebSocket(SUPERVISOR_WS);
+    let authenticated = false;
+
+    ws.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (parseError) {
+        sendLog("warning", "ha-ws", { action: "parse_error", error: parseError.message });
+        return;
+      }
+
+      if (msg.type === "auth_required") {
+        ws.send(JSON.stringify({ type: "auth", access_token: SUPERVISOR_TOKEN }));
+      } else if (msg.type === "auth_invalid") {
+        ws.close();
+        reject(new Error(`HA WebSocket authentication failed: ${msg.message}`));
+      } else if (msg.type === "auth_ok") {
+        authenticated = true;
+        haSocket.ws = ws;
+        haSocket.reconnectDelay = 1000;
+        sendLog("debug", "ha-ws", { action: "authenticated", ha_version: msg.ha_version });
+        resolve(ws);
+        resubscribeHAEvents();
+      } else {
+        handleHAWebSocketMessage(msg);
+      }
+    });
+
+    ws.on("error", (error) => {
+      sendLog("warning", "ha-ws", { action: "socket_error", error: error.message });
+      if (!authenticated) {
+        reject(new Error(`HA WebSocket error: ${error.message}`));
+      }
+    });
+
+    ws.on("close", (code) => {
+      if (haSocket.ws === ws) {
+        haSocket.ws = null;
+      }
+      for (const [id, request] of haSocket.pending) {
+        clearTimeout(request.timeoutId);
+        request.reject(new Error(`HA WebSocket closed (code ${code}) before '${request.type}' completed`));
+        haSocket.pending.delete(id);
+      }
+      for (const subscription of haSocket.subscriptions.values()) {
+        subscription.remoteId = null;
+      }
+      if (!authenticated) {
+        reject(new Error(`HA WebSocket closed (code ${code}) during authentication`));
+      }
+      sendLog("debug", "ha-ws", { action: "closed", code });
+      scheduleHAReconnect();
+    });
+  }).finally(() => {
+    haSocket.connecting = null;
+  });
+
+  return haSocket.connecting;
+}
+
+/**
+ * Route an incoming message to the pending command or subscription it belongs to
+ */
+function handleHAWebSocketMessage(msg) {
+  if (msg.type === "result") {
+    const request = haSocket.pending.get(msg.id);
+    if (!request) return;
+    haSocket.pending.delete(msg.id);
+    clearTimeout(request.timeoutId);
+    if (msg.success) {
+      sendLog("debug", "ha-ws", { action: "response", type: request.type, success: true });
+      request.resolve(msg.result);
+    } else {
+      sendLog("error", "ha-ws", { action: "error", type: request.type, error: msg.error });
+      request.reject(new Error(`HA WebSocket error (${msg.error?.code}): ${msg.error?.message}`));
+    }
+  } else if (msg.type === "event") {
+    for (const subscription of haSocket.subscriptions.values()) {
+      if (subscription.remoteId === msg.id) {
+        try {
+          subscription.callback(msg.event);
+        } catch (error) {
+          sendLog("error", "ha-ws", { action: "subscription_callback_error", error: error.message });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Reconnect with exponential backoff while there are subscriptions to keep alive.
+ * Plain commands reconnect lazily on the next call instead.
+ */
+function scheduleHAReconnect() {
+  if (haSocket.closing || haSocket.reconnectTimer || haSocket.subscriptions.size === 0) return;
+
+  const delay = haSocket.reconnectDelay;
+  haSocket.reconnectDelay = Math.min(delay * 2, HA_WS_MAX_RECONNECT_DELAY);
+  sendLog("info", "ha-ws", { action: "reconnect_scheduled", delay_ms: delay });
+
+  haSocket.reconnectTimer = setTimeout(() => {
+    haSocket.reconnectTimer = null;
+    connectHAWebSocket().catch((error) => {
+      sendLog("warning", "ha-ws", { action: "reconnect_failed", error: error.message });
+      scheduleHAReconnect();
+    });
+  }, delay);
+}
+
+/**
+ * Send a command over the shared connection and wait for its result
+ * @param {string} type - Command type (e.g., "config/area_registry/list")
+ * @param {object} payload - Additional command fields
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<any>} The `result` field of the response
+ */
+async function callHAWebSocket(type, payload = {}, timeout = 30000) {
+  const ws = await connectHAWebSocket();
+  const id = haSocket.nextId++;
+  sendLog("debug", "ha-ws", { action: "request", id, type });
+
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      haSocket.pending.delete(id);
+      reject(new Error(`HA WebSocket command '${type}' timed out after ${timeout / 1000} seconds`));
+    }, timeout);
+
+    haSocket.pending.set(id, { resolve, reject, timeoutId, type });
+    ws.send(JSON.stringify({ id, type, ...payload }));
+  });
+}
+
+/**
+ * Subscribe over the shared connection. The subscription survives reconnects.
+ * @param {object} message - Subscribe command, e.g. { type: "subscribe_events", event_type: "state_changed" }
+ * @param {function} callback - Called with the `event` field of every event message
+ * @returns {Promise<function>} Async function that cancels the subscription
+ */
+async function subscribeHAWebSocket(message, callback) {
+  const localId = haSocket.nextSubscriptionId++;
+  const subscription = { message, callback, remoteId: null, activating: null };
+  haSocket.subscriptions.set(localId, subscription);
+
+  try {
+    await activateHASubscription(subscription);
+  } catch (error) {
+    haSocket.subscriptions.delete(localId);
+    throw error;
+  }
+
+  return async () => {
+    haSocket.subscriptions.delete(localId);
+    if (subscription.remoteId !== null && haSocket.ws) {
+      const remoteId = subscription.remoteId;
+      subscription.remoteId = null;
+      await callHAWebSocket("unsubscribe_events", { subscription: remoteId }).catch((error) => {
+        sendLog("debug", "ha-ws", { action: "unsubscribe_failed", error: error.message });
+      });
+    }
+  };
+}
+
+/**
+ * Send the subscribe command for a subscription and remember its message id,
+ * which HA uses as the id of every event it sends for it.
+ * Concurrent calls for the same subscription share one request.
+ */
+function activateHASubscription(subscription) {
+  if (!subscription.activating) {
+    subscription.activating = (async () => {
+      const ws = await connectHAWebSocket();
+      if (subscription.remoteId !== null) return;
+      const id = haSocket.nextId++;
+      // Set before sending so events that race the result are not dropped
+      subscription.remoteId = id;
+
+      try {
+        await new Promise((resolve, reject) => {
+          const timeoutId = setTimeout(() => {
+            haSocket.pending.delete(id);
+            reject(new Error(`HA WebSocket subscription '${subscription.message.type}' timed out`));
+          }, 30000);
+          haSocket.pending.set(id, { resolve, reject, timeoutId, type: subscription.message.type });
+          ws.send(JSON.stringify({ ...subscription.message, id }));
+        });
+      } catch (error) {
+        subscription.remoteId = null;
+        throw error;
+      }
+    })().finally(() => {
+      subscription.activating = null;
+    });
+  }
+  return subscription.activating;
+}
+
+/**
+ * Re-send all subscribe commands after a reconnect
+ */
+function resubscribeHAEvents() {
+  for (const subscription of haSocket.subscriptions.values()) {
+    if (subscription.remoteId !== null) continue;
+    activateHASubscription(subscription).catch((error) => {
+      sendLog("warning", "ha-ws", { action: "resubscribe_failed", type: subscription.message.type, error: error.message });
+    });
+  }
+}
+
+/**
+ * Close the shared connection and stop reconnecting (used on shutdown)
+ */
+function closeHAWebSocket() {
+  haSocket.closing = true;
+  clearTimeout(haSocket.reconnectTimer);
+  haSocket.reconnectTimer = null;
+  haSocket.subscriptions.clear();
+  if (haSocket.ws) {
+    haSocket.ws.close();
+  }
+}
+
+// ============================================================================
+// HOME ASSISTANT REGISTRY HELPERS
+// ============================================================================
+
+/**
+ * List a Home Assistant registry over the WebSocket API
+ * @param {string} registry - "entity", "device", "area", "floor", or "label"
+ */
+async function getRegistry(registry) {
+  return await callHAWebSocket(`config/${registry}_registry/list`);
+}
+
+/**
+ * Fetch all registries at once and index them by id
+ */
+async function getRegistries() {
+  const [entities, devices, areas, floors, labels] = await Promise.all([
+    getRegistry("entity"),
+    getRegistry("device"),
+    getRegistry("area"),
+    getRegistry("floor"),
+    getRegistry("label"),
+  ]);
+
+  return {
+    entities,
+    devices,
+    areas,
+    floors,
+    labels,
+    entitiesById: new Map(entities.map(e => [e.entity_id, e])),
+    devicesById: new Map(devices.map(d => [d.id, d])),
+    areasById: new Map(areas.map(a => [a.area_id, a])),
+    floorsById: new Map(floors.map(f => [f.floor_id, f])),
+    labelsById: new Map(labels.map(l => [l.label_id, l])),
+  };
+}
+
+/**
+ * Area of an entity: its own area, or the area of its device when the entity has none
+ */
+function getEntityAreaId(entityEntry, devicesById) {
+  if (!entityEntry) return null;
+  if (entityEntry.area_id) return entityEntry.area_id;
+  return devicesById.get(entityEntry.device_id)?.area_id || null;
+}
+
+/**
+ * Areas with their floor and label names resolved
+ */
+async function listAreas() {
+  const [areas, floors, labels] = await Promise.all([
+    getRegistry("area"),
+    getRegistry("floor"),
+    getRegistry("label"),
+  ]);
+  const floorsById = new Map(floors.map(f => [f.floor_id, f]));
+  const labelsById = new Map(labels.map(l => [l.label_id, l]));
+
+  return areas.map(area => ({
+    id: area.area_id,
+    name: area.name,
+    floor_id: area.floor_id || null,
+    floor: floorsById.get(area.floor_id)?.name || null,
+    labels: (area.labels || []).map(id => labelsById.get(id)?.name || id),
+    aliases: area.aliases || [],
+  }));
+}
+
 // ============================================================================
 // ESPHOME INTEGRATION HELPERS
 // ============================================================================
@@ -313,967 +789,5038 @@ async function getESPHomeDevices(esphomeUrl) {
 }
 
 // ============================================================================
-// COMMON SCHEMAS FOR STRUCTURED OUTPUT
+// CONFIGURATION API HELPERS (automations, scripts, scenes)
 // ============================================================================
 
-const SCHEMAS = {
-  entityState: {
-    type: "object",
-    properties: {
-      entity_id: { type: "string", description: "Entity identifier" },
-      state: { type: "string", description: "Current state value" },
-      friendly_name: { type: "string", description: "Human-readable name" },
-      device_class: { type: "string", description: "Device classification" },
-      last_changed: { type: "string", description: "ISO timestamp of last state change" },
-      last_updated: { type: "string", description: "ISO timestamp of last update" },
-    },
-    required: ["entity_id", "state"],
-  },
-  
-  entityStateArray: {
-    type: "array",
-    items: {
-      type: "object",
-      properties: {
-        entity_id: { type: "string" },
-        state: { type: "string" },
-        friendly_name: { type: "string" },
-        device_class: { type: "string" },
-      },
-      required: ["entity_id", "state"],
-    },
-  },
-  
-  searchResult: {
-    type: "array",
-    items: {
-      type: "object",
-      properties: {
-        entity_id: { type: "string" },
-        state: { type: "string" },
-        friendly_name: { type: "string" },
-        device_class: { type: "string" },
-        score: { type: "number", description: "Search relevance score" },
-      },
-      required: ["entity_id", "state", "score"],
-    },
-  },
-  
-  entityDetails: {
-    type: "object",
-    properties: {
-      entity_id: { type: "string" },
-      friendly_name: { type: "string" },
-      state: { type: "string" },
-      domain: { type: "string" },
-      device_class: { type: "string" },
-      device_id: { type: "string" },
-      area_id: { type: "string" },
-      attributes: { type: "object" },
-      related_entities: {
-        type: "array",
-        items: {
-          type: "object",
-          properties: {
-            entity_id: { type: "string" },
-            friendly_name: { type: "string" },
-            state: { type: "string" },
-            relationship: { type: "string", enum: ["same_device", "same_area"] },
-          },
-        },
-      },
-    },
-    required: ["entity_id", "state", "domain"],
-  },
-  
-  serviceCallResult: {
-    type: "object",
-    properties: {
-      success: { type: "boolean" },
-      domain: { type: "string" },
-      service: { type: "string" },
-      affected_entities: { type: "array", items: { type: "string" } },
-    },
-    required: ["success", "domain", "service"],
-  },
-  
-  anomaly: {
-    type: "object",
-    properties: {
-      entity_id: { type: "string" },
-      reason: { type: "string" },
-      severity: { type: "string", enum: ["info", "warning", "error"] },
-    },
-    required: ["entity_id", "reason", "severity"],
-  },
-  
-  anomalyArray: {
-    type: "array",
-    items: {
-      type: "object",
-      properties: {
-        entity_id: { type: "string" },
-        reason: { type: "string" },
-        severity: { type: "string", enum: ["info", "warning", "error"] },
-      },
-      required: ["entity_id", "reason", "severity"],
-    },
-  },
-  
-  suggestion: {
-    type: "object",
-    properties: {
-      type: { type: "string" },
-      title: { type: "string" },
-      description: { type: "string" },
-      entities: { type: "array", items: { type: "string" } },
-    },
-    required: ["type", "title", "description"],
-  },
-  
-  suggestionArray: {
-    type: "array",
-    items: {
-      type: "object",
-      properties: {
-        type: { type: "string" },
-        title: { type: "string" },
-        description: { type: "string" },
-      },
-      required: ["type", "title", "description"],
-    },
-  },
-  
-  diagnostics: {
-    type: "object",
-    properties: {
-      entity_id: { type: "string" },
-      timestamp: { type: "string" },
-      current_state: { type: "object" },
-      checks: {
-        type: "array",
-        items: {
-          type: "object",
-          properties: {
-            check: { type: "string" },
-            status: { type: "string", enum: ["ok", "info", "warning", "error"] },
-            details: { type: "string" },
-          },
-        },
-      },
-      history_summary: { type: "object" },
-      relationships: { type: "object" },
-    },
-    required: ["entity_id", "timestamp", "checks"],
-  },
-  
-  configValidation: {
-    type: "object",
-    properties: {
-      result: { type: "string", enum: ["valid", "invalid"] },
-      errors: { type: "string" },
-    },
-    required: ["result"],
-  },
-  
-  integrationDocs: {
-    type: "object",
-    properties: {
-      integration: { type: "string", description: "Integration name" },
-      url: { type: "string", description: "Documentation URL" },
-      title: { type: "string", description: "Integration title" },
-      description: { type: "string", description: "Integration description" },
-      configuration: { type: "string", description: "Configuration section content" },
-      ha_version: { type: "string", description: "Current HA version" },
-      fetched_at: { type: "string", description: "Timestamp when docs were fetched" },
-    },
-    required: ["integration", "url"],
-  },
-  
-  breakingChanges: {
-    type: "object",
-    properties: {
-      ha_version: { type: "string", description: "Current Home Assistant version" },
-      changes: {
-        type: "array",
-        items: {
-          type: "object",
-          properties: {
-            version: { type: "string" },
-            title: { type: "string" },
-            description: { type: "string" },
-            integration: { type: "string" },
-            url: { type: "string" },
-          },
-        },
-      },
-    },
-    required: ["ha_version", "changes"],
-  },
-  
-  configSyntaxCheck: {
-    type: "object",
-    properties: {
-      valid: { type: "boolean", description: "Whether the syntax appears valid" },
-      deprecated: { type: "boolean", description: "Whether deprecated syntax was detected" },
-      warnings: { 
-        type: "array", 
-        items: { type: "string" },
-        description: "List of warnings about the configuration" 
-      },
-      suggestions: { 
-        type: "array", 
-        items: { type: "string" },
-        description: "Suggestions for improving the configuration" 
-      },
-      docs_url: { type: "string", description: "URL to relevant documentation" },
-    },
-    required: ["valid", "deprecated", "warnings", "suggestions"],
-  },
-  
-  area: {
-    type: "object",
-    properties: {
-      id: { type: "string" },
-      name: { type: "string" },
-    },
-    required: ["id", "name"],
-  },
-  
-  areaArray: {
-    type: "array",
-    items: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-        name: { type: "string" },
-      },
-      required: ["id", "name"],
-    },
-  },
-};
-
-// ============================================================================
-// INTELLIGENCE LAYER - Semantic Analysis & Summaries
-// ============================================================================
+const RUN_MODES = ["single", "restart", "queued", "parallel"];
 
 /**
- * Generate a human-readable summary of entity states
+ * Check an automation config before sending it to Home Assistant.
+ * Accepts both the current plural keys (triggers/conditions/actions) and the
+ * legacy singular ones (trigger/condition/action).
+ * @returns {string[]} List of problems, empty when the config looks valid
  */
-function generateStateSummary(states) {
-  const byDomain = {};
-  const anomalies = [];
-  const unavailable = [];
-  
-  for (const state of states) {
-    const [domain] = state.entity_id.split(".");
-    if (!byDomain[domain]) {
-      byDomain[domain] = { count: 0, on: 0, off: 0, entities: [] };
-    }
-    byDomain[domain].count++;
-    byDomain[domain].entities.push(state);
-    
-    if (state.state === "on") byDomain[domain].on++;
-    if (state.state === "off") byDomain[domain].off++;
-    if (state.state === "unavailable" || state.state === "unknown") {
-      unavailable.push(state.entity_id);
-    }
-    
-    // Detect anomalies
-    const anomaly = detectAnomaly(state);
-    if (anomaly) anomalies.push(anomaly);
+function validateAutomationConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["Automation config must be an object"];
   }
-  
-  const lines = ["## Home Assistant State Summary\n"];
-  
-  // Domain overview
-  lines.push("### By Domain");
-  for (const [domain, info] of Object.entries(byDomain).sort((a, b) => b[1].count - a[1].count)) {
-    let detail = `${info.count} entities`;
-    if (info.on > 0 || info.off > 0) {
-      detail += ` (${info.on} on, ${info.off} off)`;
-    }
-    lines.push(`- **${domain}**: ${detail}`);
+
+  const triggers = config.triggers ?? config.trigger;
+  const conditions = config.conditions ?? config.condition;
+  const actions = config.actions ?? config.action;
+
+  if (config.triggers !== undefined && config.trigger !== undefined) {
+    errors.push("Use either 'triggers' or 'trigger', not both");
   }
-  
-  // Unavailable entities
-  if (unavailable.length > 0) {
-    lines.push("\n### Unavailable/Unknown Entities");
-    for (const id of unavailable.slice(0, 10)) {
-      lines.push(`- ${id}`);
-    }
-    if (unavailable.length > 10) {
-      lines.push(`- ... and ${unavailable.length - 10} more`);
-    }
+  if (config.actions !== undefined && config.action !== undefined) {
+    errors.push("Use either 'actions' or 'action', not both");
   }
-  
-  // Anomalies
-  if (anomalies.length > 0) {
-    lines.push("\n### Potential Anomalies Detected");
-    for (const a of anomalies.slice(0, 5)) {
-      lines.push(`- **${a.entity_id}**: ${a.reason}`);
+
+  if (triggers === undefined || (Array.isArray(triggers) && triggers.length === 0)) {
+    errors.push("At least one trigger is required ('triggers')");
+  } else if (typeof triggers !== "object") {
+    errors.push("'triggers' must be a list of trigger objects");
+  } else {
+    for (const [i, trigger] of [].concat(triggers).entries()) {
+      if (!trigger || typeof trigger !== "object") {
+        errors.push(`Trigger #${i + 1} must be an object`);
+      } else if (!trigger.trigger && !trigger.platform) {
+        errors.push(`Trigger #${i + 1} is missing 'trigger' (e.g. 'state', 'time', 'event')`);
+      }
     }
   }
-  
-  return lines.join("\n");
+
+  if (conditions !== undefined && typeof conditions !== "object" && typeof conditions !== "string") {
+    errors.push("'conditions' must be a list of conditions");
+  }
+
+  if (actions === undefined || (Array.isArray(actions) && actions.length === 0)) {
+    errors.push("At least one action is required ('actions')");
+  } else if (typeof actions !== "object") {
+    errors.push("'actions' must be a list of action objects");
+  }
+
+  if (config.mode !== undefined && !RUN_MODES.includes(config.mode)) {
+    errors.push(`Invalid mode '${config.mode}'. Must be one of: ${RUN_MODES.join(", ")}`);
+  }
+
+  if (config.alias !== undefined && typeof config.alias !== "string") {
+    errors.push("'alias' must be a string");
+  }
+
+  return errors;
 }
 
 /**
- * Detect anomalies in entity states
+ * Check a script config before sending it to Home Assistant
+ * @returns {string[]} List of problems, empty when the config looks valid
  */
-function detectAnomaly(state) {
-  const { entity_id, state: value, attributes } = state;
-  const [domain] = entity_id.split(".");
-  
-  // Battery low
-  if (attributes?.battery_level !== undefined && attributes.battery_level < 20) {
-    return { entity_id, reason: `Low battery (${attributes.battery_level}%)`, severity: "warning" };
+function validateScriptConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["Script config must be an object"];
   }
-  
-  // Temperature sensors out of normal range
-  if (domain === "sensor" && attributes?.device_class === "temperature") {
-    const temp = parseFloat(value);
-    if (!isNaN(temp)) {
-      const unit = attributes.unit_of_measurement || "°C";
-      const isCelsius = unit.includes("C");
-      const normalMin = isCelsius ? -10 : 14;
-      const normalMax = isCelsius ? 50 : 122;
-      if (temp < normalMin || temp > normalMax) {
-        return { entity_id, reason: `Unusual temperature: ${value}${unit}`, severity: "warning" };
-      }
-    }
+
+  if (config.sequence === undefined || (Array.isArray(config.sequence) && config.sequence.length === 0)) {
+    errors.push("'sequence' with at least one action is required");
+  } else if (typeof config.sequence !== "object") {
+    errors.push("'sequence' must be a list of action objects");
   }
-  
-  // Humidity out of range
-  if (domain === "sensor" && attributes?.device_class === "humidity") {
-    const humidity = parseFloat(value);
-    if (!isNaN(humidity) && (humidity < 10 || humidity > 95)) {
-      return { entity_id, reason: `Unusual humidity: ${value}%`, severity: "warning" };
-    }
+
+  if (config.mode !== undefined && !RUN_MODES.includes(config.mode)) {
+    errors.push(`Invalid mode '${config.mode}'. Must be one of: ${RUN_MODES.join(", ")}`);
   }
-  
-  // Door/window sensors open for extended period
-  if ((domain === "binary_sensor") && 
-      (attributes?.device_class === "door" || attributes?.device_class === "window") &&
-      value === "on") {
-    const lastChanged = new Date(state.last_changed);
-    const hoursOpen = (Date.now() - lastChanged.getTime()) / (1000 * 60 * 60);
-    if (hoursOpen > 4) {
-      return { entity_id, reason: `Open for ${hoursOpen.toFixed(1)} hours`, severity: "info" };
-    }
+
+  if (config.alias !== undefined && typeof config.alias !== "string") {
+    errors.push("'alias' must be a string");
   }
-  
-  // Lights on during day (basic heuristic)
-  if (domain === "light" && value === "on") {
-    const hour = new Date().getHours();
-    if (hour >= 10 && hour <= 16) {
-      return { entity_id, reason: "Light on during daytime", severity: "info" };
-    }
+
+  if (config.fields !== undefined && (typeof config.fields !== "object" || Array.isArray(config.fields))) {
+    errors.push("'fields' must be a mapping of field name to field definition");
   }
-  
-  return null;
+
+  return errors;
 }
 
 /**
- * Search entities semantically
+ * Check a scene config before sending it to Home Assistant
+ * @returns {string[]} List of problems, empty when the config looks valid
  */
-function searchEntities(states, query) {
-  const queryLower = query.toLowerCase();
-  const terms = queryLower.split(/\s+/);
-  
-  const results = states.map(state => {
-    let score = 0;
-    const searchText = [
-      state.entity_id,
-      state.attributes?.friendly_name || "",
-      state.attributes?.device_class || "",
-      state.state,
-    ].join(" ").toLowerCase();
-    
-    for (const term of terms) {
-      if (searchText.includes(term)) {
-        score += 1;
-        if ((state.attributes?.friendly_name || "").toLowerCase().includes(term)) {
-          score += 2;
-        }
-        if (state.entity_id.includes(term)) {
-          score += 1;
-        }
+function validateSceneConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["Scene config must be an object"];
+  }
+
+  if (!config.name || typeof config.name !== "string") {
+    errors.push("'name' is required");
+  }
+
+  if (!config.entities || typeof config.entities !== "object" || Array.isArray(config.entities)) {
+    errors.push("'entities' must be a mapping of entity_id to state (e.g. { 'light.kitchen': { state: 'on', brightness: 200 } })");
+  } else {
+    const entityIds = Object.keys(config.entities);
+    if (entityIds.length === 0) {
+      errors.push("'entities' must contain at least one entity");
+    }
+    for (const entityId of entityIds) {
+      if (!/^[a-z0-9_]+\.[a-z0-9_]+$/.test(entityId)) {
+        errors.push(`'${entityId}' is not a valid entity_id`);
+      }
+      const value = config.entities[entityId];
+      if (value === null || Array.isArray(value) || !["object", "string", "number", "boolean"].includes(typeof value)) {
+        errors.push(`State for '${entityId}' must be a state string or an object with 'state' and attributes`);
       }
     }
-    
-    return { state, score };
-  }).filter(r => r.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 20)
-    .map(r => ({
-      entity_id: r.state.entity_id,
-      state: r.state.state,
-      friendly_name: r.state.attributes?.friendly_name,
-      device_class: r.state.attributes?.device_class,
-      score: r.score,
-    }));
-  
-  return results;
+  }
+
+  return errors;
 }
 
 /**
- * Get entity relationships
+ * Read a stored configuration item (automation, script, or scene)
+ * via /config/{domain}/config/{id}
  */
-async function getEntityRelationships(entityId) {
-  const states = await callHA("/states");
-  const entity = states.find(s => s.entity_id === entityId);
-  
-  if (!entity) {
-    return { error: "Entity not found" };
+async function getConfigItem(domain, id) {
+  return await callHA(`/config/${domain}/config/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Check whether a configuration item exists without throwing on 404
+ */
+async function configItemExists(domain, id) {
+  try {
+    await getConfigItem(domain, id);
+    return true;
+  } catch (error) {
+    if (error.message.includes("(404)")) return false;
+    throw error;
   }
-  
-  const [domain] = entityId.split(".");
-  const deviceId = entity.attributes?.device_id;
-  const areaId = entity.attributes?.area_id;
-  
-  const related = states.filter(s => {
-    if (s.entity_id === entityId) return false;
-    if (deviceId && s.attributes?.device_id === deviceId) return true;
-    if (areaId && s.attributes?.area_id === areaId) return true;
-    return false;
-  }).map(s => ({
-    entity_id: s.entity_id,
-    friendly_name: s.attributes?.friendly_name,
-    state: s.state,
-    relationship: s.attributes?.device_id === deviceId ? "same_device" : "same_area",
-  }));
-  
-  return {
-    entity_id: entityId,
-    friendly_name: entity.attributes?.friendly_name,
-    state: entity.state,
-    domain,
-    device_class: entity.attributes?.device_class,
-    device_id: deviceId,
-    area_id: areaId,
-    attributes: entity.attributes,
-    related_entities: related.slice(0, 10),
-  };
 }
 
 /**
- * Generate automation suggestions
+ * Write a configuration item and reload its domain so the change takes effect
  */
-function generateSuggestions(states) {
-  const suggestions = [];
-  
-  const motionSensors = states.filter(s => 
-    s.attributes?.device_class === "motion" || 
-    s.entity_id.includes("motion")
-  );
-  const lights = states.filter(s => s.entity_id.startsWith("light."));
-  
-  for (const motion of motionSensors) {
-    const areaId = motion.attributes?.area_id;
-    if (areaId) {
-      const areaLights = lights.filter(l => l.attributes?.area_id === areaId);
-      if (areaLights.length > 0) {
-        suggestions.push({
-          type: "motion_light",
-          title: "Motion-Activated Lighting",
-          description: `Create automation: When ${motion.attributes?.friendly_name || motion.entity_id} detects motion, turn on ${areaLights.map(l => l.attributes?.friendly_name || l.entity_id).join(", ")}`,
-          trigger_entity: motion.entity_id,
-          action_entities: areaLights.map(l => l.entity_id),
-        });
-      }
-    }
+async function saveConfigItem(domain, id, config) {
+  await callHA(`/config/${domain}/config/${encodeURIComponent(id)}`, "POST", config);
+  await callHA(`/services/${domain}/reload`, "POST", {});
+  sendLog("notice", "ha-config", { action: "saved", domain, id });
+}
+
+/**
+ * Delete a configuration item and reload its domain
+ */
+async function deleteConfigItem(domain, id) {
+  await callHA(`/config/${domain}/config/${encodeURIComponent(id)}`, "DELETE");
+  await callHA(`/services/${domain}/reload`, "POST", {});
+  sendLog("notice", "ha-config", { action: "deleted", domain, id });
+}
+
+/**
+ * Turn a human-readable name into a Home Assistant object id
+ * ("Movie Night!" -> "movie_night")
+ */
+function slugify(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Resolve a config id for an automation, script, or scene from either the
+ * explicit id argument (automation_id / script_id / scene_id) or an entity_id.
+ * Scripts are keyed by their object id; automations and scenes expose their
+ * config id as the `id` attribute on the entity.
+ */
+async function resolveConfigId(domain, args) {
+  const idKey = `${domain}_id`;
+  if (args?.[idKey]) return args[idKey];
+  if (!args?.entity_id) {
+    throw new Error(`Either ${idKey} or entity_id is required`);
   }
-  
-  const openings = states.filter(s => 
-    s.attributes?.device_class === "door" || 
-    s.attributes?.device_class === "window"
-  );
-  if (openings.length > 0) {
-    suggestions.push({
-      type: "security_alert",
-      title: "Security Alert Automation",
-      description: `Create notification when doors/windows are left open for extended periods`,
-      entities: openings.map(o => o.entity_id).slice(0, 5),
-    });
+  if (!args.entity_id.startsWith(`${domain}.`)) {
+    throw new Error(`${args.entity_id} is not a ${domain} entity`);
   }
-  
-  const thermostats = states.filter(s => s.entity_id.startsWith("climate."));
-  const tempSensors = states.filter(s => s.attributes?.device_class === "temperature");
-  if (thermostats.length > 0 && tempSensors.length > 0) {
-    suggestions.push({
-      type: "climate_optimization",
-      title: "Climate Optimization",
-      description: "Create automations to adjust thermostat based on occupancy or outdoor temperature",
-      climate_entities: thermostats.map(t => t.entity_id),
-      sensor_entities: tempSensors.map(s => s.entity_id).slice(0, 3),
-    });
+
+  if (domain === "script") {
+    return args.entity_id.slice("script.".length);
   }
-  
-  const powerSensors = states.filter(s => 
-    s.attributes?.device_class === "power" || 
-    s.attributes?.device_class === "energy"
-  );
-  if (powerSensors.length > 0) {
-    suggestions.push({
-      type: "energy_monitoring",
-      title: "Energy Usage Alerts",
-      description: "Create alerts for unusual energy consumption patterns",
-      entities: powerSensors.map(p => p.entity_id).slice(0, 5),
-    });
+
+  const state = await callHA(`/states/${args.entity_id}`);
+  const id = state.attributes?.id;
+  if (!id) {
+    throw new Error(`${args.entity_id} has no config id. It is probably defined in YAML outside ${domain}s.yaml and cannot be edited through the config API.`);
   }
-  
-  return suggestions;
+  return id;
 }
 
 // ============================================================================
-// DOCUMENTATION FETCHING HELPERS
+// AUTOMATION & SCRIPT TRACE HELPERS
 // ============================================================================
 
+const SCRIPT_EXECUTION_OUTCOMES = {
+  finished: "Ran to completion",
+  failed_conditions: "Stopped: conditions not met",
+  failed_single: "Skipped: already running (mode: single)",
+  failed_max_runs: "Skipped: maximum number of runs reached",
+  failed_conditions_unknown: "Stopped: a condition could not be evaluated",
+  error: "Stopped by an error",
+  aborted: "Aborted",
+  cancelled: "Cancelled (replaced by a new run)",
+};
+
 /**
- * Fetch a URL and return its text content
+ * Describe a single trace step as a timeline entry
+ * Steps are keyed by path, e.g. "trigger/0", "condition/1", "action/2/then/0"
  */
-async function fetchUrl(url) {
-  sendLog("debug", "docs", { action: "fetch", url });
-  
-  try {
-    const response = await fetch(url, {
-      headers: {
-        "User-Agent": "HomeAssistant-MCP-Server/2.1.0",
-        "Accept": "text/html,application/xhtml+xml,text/plain",
-      },
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    return await response.text();
-  } catch (error) {
-    sendLog("error", "docs", { action: "fetch_error", url, error: error.message });
-    throw error;
+function describeTraceStep(path, step) {
+  const [kind] = path.split("/");
+  const entry = { time: step.timestamp, path, kind, status: "ok", detail: "" };
+  const result = step.result || {};
+
+  if (step.error) {
+    entry.status = "error";
+    entry.detail = step.error;
+  } else if (kind === "trigger") {
+    const trigger = step.changed_variables?.trigger;
+    entry.status = "fired";
+    entry.detail = trigger?.description || trigger?.platform || "Triggered";
+  } else if (typeof result.result === "boolean") {
+    // Conditions, including those nested in if/choose/wait actions
+    entry.status = result.result ? "passed" : "failed";
+    entry.detail = result.entities?.length ? `entities: ${result.entities.join(", ")}` : "";
+  } else if (result.enabled === false) {
+    entry.status = "skipped";
+    entry.detail = "Step is disabled";
+  } else if (result.params) {
+    const { domain, service, service_data, target } = result.params;
+    entry.detail = `${domain}.${service}`;
+    const targets = target?.entity_id || service_data?.entity_id;
+    if (targets) entry.detail += ` → ${[].concat(targets).join(", ")}`;
+  } else if (result.delay !== undefined) {
+    entry.detail = `delay ${result.delay}s${result.done === false ? " (interrupted)" : ""}`;
+  } else if (result.wait) {
+    entry.detail = `wait ${result.wait.completed ? "completed" : "timed out"}${result.wait.remaining !== undefined ? ` (${result.wait.remaining}s remaining)` : ""}`;
+  } else if (result.choice !== undefined) {
+    entry.detail = `chose ${result.choice === "default" ? "default branch" : `option ${result.choice}`}`;
+  } else if (result.event) {
+    entry.detail = `fired event ${result.event}`;
+  } else if (result.stop) {
+    entry.detail = `stop: ${result.stop}${result.error ? " (as error)" : ""}`;
   }
+
+  return entry;
 }
 
 /**
- * Extract meaningful content from HTML (basic extraction)
+ * Condense a full trace (from trace/get) into a run summary with a flat,
+ * time-ordered timeline of triggers, conditions, and actions
  */
-function extractContentFromHtml(html) {
-  // Remove script and style tags
-  let content = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "");
-  content = content.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "");
-  content = content.replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, "");
-  content = content.replace(/<header[^>]*>[\s\S]*?<\/header>/gi, "");
-  content = content.replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, "");
-  
-  // Extract title
-  const titleMatch = content.match(/<title[^>]*>([^<]+)<\/title>/i);
-  const title = titleMatch ? titleMatch[1].trim() : "";
-  
-  // Extract meta description
-  const descMatch = content.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']+)["']/i);
-  const description = descMatch ? descMatch[1].trim() : "";
-  
-  // Try to find the main content area
-  let mainContent = "";
-  
-  // Look for article or main content
-  const articleMatch = content.match(/<article[^>]*>([\s\S]*?)<\/article>/i);
-  const mainMatch = content.match(/<main[^>]*>([\s\S]*?)<\/main>/i);
-  const contentMatch = content.match(/<div[^>]*class="[^"]*content[^"]*"[^>]*>([\s\S]*?)<\/div>/i);
-  
-  if (articleMatch) {
-    mainContent = articleMatch[1];
-  } else if (mainMatch) {
-    mainContent = mainMatch[1];
-  } else if (contentMatch) {
-    mainContent = contentMatch[1];
-  } else {
-    // Fall back to body
-    const bodyMatch = content.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-    mainContent = bodyMatch ? bodyMatch[1] : content;
+function condenseTrace(trace) {
+  const timeline = [];
+  for (const [path, steps] of Object.entries(trace.trace || {})) {
+    for (const step of steps) {
+      timeline.push(describeTraceStep(path, step));
+    }
   }
-  
-  // Convert common HTML to text/markdown
-  mainContent = mainContent
-    // Code blocks
-    .replace(/<pre[^>]*><code[^>]*>([\s\S]*?)<\/code><\/pre>/gi, "\n```\n$1\n```\n")
-    .replace(/<code[^>]*>([^<]+)<\/code>/gi, "`$1`")
-    // Headings
-    .replace(/<h1[^>]*>([^<]+)<\/h1>/gi, "\n# $1\n")
-    .replace(/<h2[^>]*>([^<]+)<\/h2>/gi, "\n## $1\n")
-    .replace(/<h3[^>]*>([^<]+)<\/h3>/gi, "\n### $1\n")
-    .replace(/<h4[^>]*>([^<]+)<\/h4>/gi, "\n#### $1\n")
-    // Lists
-    .replace(/<li[^>]*>/gi, "- ")
-    .replace(/<\/li>/gi, "\n")
-    // Paragraphs and breaks
-    .replace(/<p[^>]*>/gi, "\n")
-    .replace(/<\/p>/gi, "\n")
-    .replace(/<br\s*\/?>/gi, "\n")
-    // Links - keep the text
-    .replace(/<a[^>]*>([^<]+)<\/a>/gi, "$1")
-    // Bold/strong
-    .replace(/<strong[^>]*>([^<]+)<\/strong>/gi, "**$1**")
-    .replace(/<b[^>]*>([^<]+)<\/b>/gi, "**$1**")
-    // Italic/em
-    .replace(/<em[^>]*>([^<]+)<\/em>/gi, "*$1*")
-    .replace(/<i[^>]*>([^<]+)<\/i>/gi, "*$1*")
-    // Remove remaining tags
-    .replace(/<[^>]+>/g, "")
-    // Decode common entities
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&nbsp;/g, " ")
-    // Clean up whitespace
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-  
-  return { title, description, content: mainContent };
+  timeline.sort((a, b) => new Date(a.time) - new Date(b.time));
+
+  const execution = trace.script_execution;
+  return {
+    run_id: trace.run_id,
+    item_id: trace.item_id,
+    domain: trace.domain,
+    started: trace.timestamp?.start,
+    finished: trace.timestamp?.finish,
+    state: trace.state,
+    script_execution: execution,
+    outcome: trace.state === "running" ? "Still running" : (SCRIPT_EXECUTION_OUTCOMES[execution] || execution || "Unknown"),
+    trigger: trace.trigger,
+    last_step: trace.last_step,
+    error: trace.error,
+    timeline,
+  };
 }
 
 /**
- * Extract configuration section from documentation
+ * Fetch the stored traces for an automation or script and condense the most recent ones
+ * @param {string} domain - "automation" or "script"
+ * @param {string} itemId - Automation config id or script object id
+ * @param {object} options - { runId: fetch only this run, limit: number of runs to detail }
  */
-function extractConfigurationSection(content) {
-  // Look for configuration-related sections
-  const configPatterns = [
-    /## Configuration[\s\S]*?(?=\n## |$)/i,
-    /## YAML Configuration[\s\S]*?(?=\n## |$)/i,
-    /### Configuration Variables[\s\S]*?(?=\n### |\n## |$)/i,
-    /## Setup[\s\S]*?(?=\n## |$)/i,
-  ];
-  
-  for (const pattern of configPatterns) {
-    const match = content.match(pattern);
-    if (match) {
-      return match[0].trim();
-    }
+async function getCondensedTraces(domain, itemId, { runId = null, limit = 3 } = {}) {
+  const summaries = await callHAWebSocket("trace/list", { domain, item_id: itemId });
+  summaries.sort((a, b) => new Date(b.timestamp?.start) - new Date(a.timestamp?.start));
+
+  const runIds = runId ? [runId] : summaries.slice(0, limit).map(t => t.run_id);
+  const runs = [];
+  for (const id of runIds) {
+    const trace = await callHAWebSocket("trace/get", { domain, item_id: itemId, run_id: id });
+    runs.push(condenseTrace(trace));
   }
-  
-  return null;
+
+  return {
+    domain,
+    item_id: itemId,
+    stored_runs: summaries.map(t => ({
+      run_id: t.run_id,
+      started: t.timestamp?.start,
+      state: t.state,
+      script_execution: t.script_execution,
+      trigger: t.trigger,
+      last_step: t.last_step,
+      error: t.error,
+    })),
+    runs,
+  };
 }
 
 /**
- * Extract YAML examples from content
+ * Render condensed traces as a Markdown timeline
  */
-function extractYamlExamples(content) {
-  const examples = [];
-  const codeBlockRegex = /```(?:yaml|YAML)?\n([\s\S]*?)```/g;
-  
-  let match;
-  while ((match = codeBlockRegex.exec(content)) !== null) {
-    examples.push(match[1].trim());
+function formatTracesMarkdown(traces, name) {
+  const statusIcons = { fired: "⚡", passed: "✅", failed: "❌", error: "💥", skipped: "⏭️", ok: "▶️" };
+  let text = `# Traces: ${name}\n\n`;
+  text += `**Stored Runs:** ${traces.stored_runs.length}\n\n`;
+
+  if (traces.stored_runs.length === 0) {
+    text += `*No stored traces. Home Assistant keeps the last 5 runs by default (configurable with \`trace: stored_traces:\`); traces are lost on restart.*\n`;
+    return text;
   }
-  
-  return examples;
+
+  text += `| Started | Outcome | Trigger | Last Step |\n`;
+  text += `|---------|---------|---------|-----------|\n`;
+  for (const run of traces.stored_runs) {
+    const outcome = run.state === "running" ? "Still running" : (SCRIPT_EXECUTION_OUTCOMES[run.script_execution] || run.script_execution || "-");
+    text += `| ${run.started || "-"} | ${run.error ? `${outcome}: ${run.error}` : outcome} | ${run.trigger || "-"} | ${run.last_step || "-"} |\n`;
+  }
+
+  for (const run of traces.runs) {
+    text += `\n## Run ${run.run_id}\n\n`;
+    text += `**Started:** ${run.started || "-"}\n`;
+    text += `**Outcome:** ${run.outcome}\n`;
+    if (run.trigger) text += `**Trigger:** ${run.trigger}\n`;
+    if (run.error) text += `**Error:** ${run.error}\n`;
+    text += `\n`;
+    for (const step of run.timeline) {
+      const time = step.time ? new Date(step.time).toISOString().substring(11, 23) : "--:--:--.---";
+      text += `- \`${time}\` ${statusIcons[step.status] || "▶️"} **${step.path}** ${step.status}${step.detail ? ` - ${step.detail}` : ""}\n`;
+    }
+  }
+
+  return text;
 }
 
-/**
- * Known deprecation patterns for common configurations
- */
-const DEPRECATION_PATTERNS = [
-  {
-    pattern: /^sensor:\s*\n\s*-?\s*platform:\s*template/m,
-    message: "Legacy template sensor syntax detected. Use top-level 'template:' key instead.",
-    suggestion: "template:\n  - sensor:\n      - name: \"My Sensor\"\n        state: \"{{ states('...') }}\"",
-    integration: "template",
-    deprecated_in: "2024.1",
-  },
-  {
-    pattern: /^binary_sensor:\s*\n\s*-?\s*platform:\s*template/m,
-    message: "Legacy template binary_sensor syntax detected. Use top-level 'template:' key instead.",
-    suggestion: "template:\n  - binary_sensor:\n      - name: \"My Sensor\"\n        state: \"{{ is_state('...', 'on') }}\"",
-    integration: "template",
-    deprecated_in: "2024.1",
-  },
-  {
-    pattern: /entity_namespace:/m,
-    message: "'entity_namespace' is deprecated. Use 'unique_id' for entity identification instead.",
-    suggestion: "Remove entity_namespace and add unique_id to each entity.",
-    deprecated_in: "2023.8",
-  },
-  {
-    pattern: /^\s*-\s*platform:\s*time_date/m,
-    message: "The time_date sensor platform is deprecated.",
-    suggestion: "Use template sensors with now() or built-in date/time entities.",
-    integration: "time_date",
-    deprecated_in: "2024.6",
-  },
-  {
-    pattern: /automation:\s*\n\s*-?\s*alias:/m,
-    message: "Consider using automation ID for better organization.",
-    suggestion: "Add 'id: unique_automation_id' to enable UI editing and better tracking.",
-    severity: "info",
-  },
-  {
-    pattern: /device_tracker:\s*\n\s*-?\s*platform:\s*(?:nmap|netgear|ping)/m,
-    message: "Legacy device tracker platforms may have limited functionality.",
-    suggestion: "Consider using the device_tracker integration with the UI for better device tracking.",
-    severity: "info",
-  },
-  {
-    pattern: /cover:\s*\n\s*-?\s*platform:\s*template/m,
-    message: "Legacy template cover syntax detected. Use top-level 'template:' key instead.",
-    suggestion: "template:\n  - cover:\n      - name: \"My Cover\"\n        state: \"{{ ... }}\"",
-    integration: "template",
-    deprecated_in: "2024.1",
-  },
-  {
-    pattern: /switch:\s*\n\s*-?\s*platform:\s*template/m,
-    message: "Legacy template switch syntax detected. Consider using top-level 'template:' key.",
-    suggestion: "template:\n  - switch:\n      - name: \"My Switch\"\n        state: \"{{ ... }}\"",
-    integration: "template",
-    deprecated_in: "2024.4",
+// ============================================================================
+// SAFETY POLICY (call_service / fire_event)
+// ============================================================================
+//
+// Rules are glob patterns ("*" matches anything) in three lists per target
+// type: deny, allow, and confirm. Service patterns are "domain.service",
+// "domain.*", or just "domain"; entity patterns match entity IDs; event
+// patterns match event types. Deny always wins; a non-empty allow list blocks
+// everything it does not match; confirm asks the user through MCP elicitation
+// before executing. The user policy file is merged with the built-in defaults
+// unless it sets "use_defaults": false.
+
+const POLICY_FILE = process.env.HA_MCP_POLICY_FILE || `${HA_OPENCODE_DIR}/mcp_policy.json`;
+
+const DEFAULT_POLICY = {
+  services: {
+    allow: [],
+    deny: [],
+    confirm: [
+      "lock.unlock",
+      "lock.open",
+      "alarm_control_panel.alarm_disarm",
+      "homeassistant.stop",
+      "homeassistant.restart",
+      "hassio.host_shutdown",
+      "hassio.host_reboot",
+      "hassio.addon_stop",
+      "hassio.backup_restore_full",
+      "hassio.backup_restore_partial",
+    ],
   },
-  {
-    pattern: /homeassistant:\s*\n\s*customize:/m,
-    message: "Entity customizations in configuration.yaml work but UI customizations are preferred.",
-    suggestion: "Consider using the UI (Settings -> Devices & Services -> Entities) for customizations.",
-    severity: "info",
+  entities: {
+    allow: [],
+    deny: [],
+    confirm: ["cover.*garage*", "lock.*"],
   },
-  {
-    pattern: /^\s*white_value:/m,
-    message: "'white_value' is deprecated in light services.",
-    suggestion: "Use 'white' instead of 'white_value' in light service calls.",
-    deprecated_in: "2023.3",
+  events: {
+    allow: [],
+    deny: [],
+    confirm: ["homeassistant_stop", "homeassistant_close"],
   },
-];
+};
+
+const POLICY_SECTIONS = ["services", "entities", "events"];
+const POLICY_LISTS = ["allow", "deny", "confirm"];
+
+/**
+ * Load the effective policy: built-in defaults merged with the user policy file.
+ * Read on every call so edits take effect without restarting the server.
+ * An unreadable or invalid policy file throws, which blocks state-changing calls.
+ */
+async function loadSafetyPolicy() {
+  let userPolicy = null;
+  try {
+    userPolicy = JSON.parse(await readFile(POLICY_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Safety policy ${POLICY_FILE} could not be loaded (${error.message}). Fix or remove the file; state-changing calls are blocked until then.`);
+    }
+  }
+
+  const useDefaults = userPolicy?.use_defaults !== false;
+  const policy = { source: userPolicy ? POLICY_FILE : "built-in defaults", use_defaults: useDefaults };
+  for (const section of POLICY_SECTIONS) {
+    policy[section] = {};
+    for (const list of POLICY_LISTS) {
+      const userList = userPolicy?.[section]?.[list] || [];
+      if (!Array.isArray(userList) || userList.some(p => typeof p !== "string")) {
+        throw new Error(`Safety policy ${POLICY_FILE}: '${section}.${list}' must be a list of strings`);
+      }
+      policy[section][list] = [...(useDefaults ? DEFAULT_POLICY[section][list] : []), ...userList];
+    }
+  }
+  return policy;
+}
+
+/**
+ * Match a value against a glob pattern where "*" matches any run of characters
+ */
+function matchesPolicyPattern(value, pattern) {
+  const regex = new RegExp(`^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+  return regex.test(value);
+}
+
+/**
+ * Service patterns may name just a domain ("lock" means "lock.*")
+ */
+function matchesServicePattern(domain, service, pattern) {
+  return matchesPolicyPattern(`${domain}.${service}`, pattern.includes(".") ? pattern : `${pattern}.*`);
+}
+
+/**
+ * Evaluate one policy section for a set of values
+ * @returns {{ decision: "allow"|"deny"|"confirm", reason?: string }}
+ */
+function evaluatePolicySection(rules, values, matcher) {
+  for (const value of values) {
+    const pattern = rules.deny.find(p => matcher(value, p));
+    if (pattern) return { decision: "deny", reason: `'${value}' matches deny rule '${pattern}'` };
+  }
+  if (rules.allow.length > 0) {
+    for (const value of values) {
+      if (!rules.allow.some(p => matcher(value, p))) {
+        return { decision: "deny", reason: `'${value}' is not in the allow list` };
+      }
+    }
+  }
+  for (const value of values) {
+    const pattern = rules.confirm.find(p => matcher(value, p));
+    if (pattern) return { decision: "confirm", reason: `'${value}' matches confirmation rule '${pattern}'` };
+  }
+  return { decision: "allow" };
+}
+
+/**
+ * Decide whether a service call or event may run
+ * @param {object} request - { kind: "service", domain, service, entityIds } or { kind: "event", eventType }
+ */
+function evaluateSafetyPolicy(policy, request) {
+  const results = [];
+  if (request.kind === "service") {
+    results.push(evaluatePolicySection(policy.services, [`${request.domain}.${request.service}`], (value, pattern) => {
+      const [domain, service] = value.split(".");
+      return matchesServicePattern(domain, service, pattern);
+    }));
+    if (request.entityIds.length > 0) {
+      results.push(evaluatePolicySection(policy.entities, request.entityIds, matchesPolicyPattern));
+    }
+  } else {
+    results.push(evaluatePolicySection(policy.events, [request.eventType], matchesPolicyPattern));
+  }
+
+  return results.find(r => r.decision === "deny")
+    || results.find(r => r.decision === "confirm")
+    || { decision: "allow" };
+}
+
+/**
+ * Enforce the safety policy before a state-changing call.
+ * Throws when the call is denied, declined by the user, or needs confirmation
+ * from a client that cannot ask for it.
+ * @param {string} description - Human-readable summary shown in the confirmation prompt
+ * @param {object} [options]
+ * @param {string} [options.alwaysConfirm] - Reason to ask for confirmation even when the policy allows the call
+ */
+async function enforceSafetyPolicy(request, description, { alwaysConfirm } = {}) {
+  const policy = await loadSafetyPolicy();
+  let { decision, reason } = evaluateSafetyPolicy(policy, request);
+
+  if (decision === "allow" && alwaysConfirm) {
+    decision = "confirm";
+    reason = alwaysConfirm;
+  }
+
+  if (decision === "allow") return;
+
+  if (decision === "deny") {
+    sendLog("warning", "safety-policy", { action: "denied", request, reason });
+    throw new Error(`Blocked by safety policy: ${reason}. Edit ${POLICY_FILE} to change this.`);
+  }
+
+  if (!server.getClientCapabilities()?.elicitation) {
+    sendLog("warning", "safety-policy", { action: "confirmation_unavailable", request, reason });
+    throw new Error(`Blocked by safety policy: ${reason} requires user confirmation, but this client does not support confirmation prompts. Ask the user to run it from the Home Assistant UI${alwaysConfirm ? "" : `, or allow it in ${POLICY_FILE}`}.`);
+  }
+
+  sendLog("notice", "safety-policy", { action: "confirmation_requested", request, reason });
+  const response = await server.elicitInput({
+    message: `The assistant wants to run: ${description}\n\nThis requires confirmation because ${reason}.`,
+    requestedSchema: {
+      type: "object",
+      properties: {
+        confirm: { type: "boolean", title: "Allow this action?", description: description },
+      },
+      required: ["confirm"],
+    },
+  });
+
+  if (response.action !== "accept" || response.content?.confirm !== true) {
+    sendLog("notice", "safety-policy", { action: "confirmation_declined", request });
+    throw new Error(`The user did not confirm ${description}. The action was not executed.`);
+  }
+  sendLog("notice", "safety-policy", { action: "confirmed", request });
+}
+
+// ============================================================================
+// SERVICE TARGET RESOLUTION & DRY RUN
+// ============================================================================
+
+/**
+ * Resolve a service call target to concrete entity IDs, the way Home Assistant does:
+ * area/device/floor/label targets expand through the registries and skip
+ * hidden entities and config/diagnostic entities. entity_id may be a
+ * comma-separated string, and "all" means every entity of the service domain.
+ * @param {string} [domain] - Service domain, used to expand "all"
+ * @returns {{ entityIds: string[], sources: object, unknown: string[] }}
+ */
+async function resolveServiceTarget(target = {}, data = {}, domain = null) {
+  const toList = (value) => [].concat(value ?? []).filter(Boolean);
+  const explicit = [...toList(target.entity_id), ...toList(data.entity_id)]
+    .flatMap(id => String(id).split(","))
+    .map(id => id.trim())
+    .filter(Boolean);
+  const areaIds = [...toList(target.area_id), ...toList(data.area_id)];
+  const deviceIds = [...toList(target.device_id), ...toList(data.device_id)];
+  const floorIds = [...toList(target.floor_id), ...toList(data.floor_id)];
+  const labelIds = [...toList(target.label_id), ...toList(data.label_id)];
+
+  const sources = {};
+  const unknown = [];
+  const add = (entityId, source) => {
+    (sources[entityId] = sources[entityId] || []).push(source);
+  };
+  for (const entityId of explicit) {
+    if (!["all", "none"].includes(entityId.toLowerCase())) add(entityId, "entity_id");
+  }
+  if (explicit.some(id => id.toLowerCase() === "all")) {
+    // homeassistant.turn_on/off/toggle with "all" act on every entity
+    const states = await callHA("/states");
+    for (const state of states) {
+      if (!domain || domain === "homeassistant" || state.entity_id.startsWith(`${domain}.`)) add(state.entity_id, "entity_id all");
+    }
+  }
+
+  if (areaIds.length + deviceIds.length + floorIds.length + labelIds.length === 0) {
+    return { entityIds: Object.keys(sources), sources, unknown };
+  }
+
+  const { entities, devices, areas, devicesById, areasById, floorsById, labelsById } = await getRegistries();
+  const targetable = entities.filter(e => !e.entity_category && !e.hidden_by && !e.disabled_by);
+
+  for (const id of areaIds) if (!areasById.has(id)) unknown.push(`area_id '${id}'`);
+  for (const id of deviceIds) if (!devicesById.has(id)) unknown.push(`device_id '${id}'`);
+  for (const id of floorIds) if (!floorsById.has(id)) unknown.push(`floor_id '${id}'`);
+  for (const id of labelIds) if (!labelsById.has(id)) unknown.push(`label_id '${id}'`);
+
+  // Floors and labels expand to areas and devices first
+  const targetAreas = new Map(areaIds.map(id => [id, "area_id"]));
+  for (const area of areas) {
+    if (floorIds.includes(area.floor_id)) targetAreas.set(area.area_id, `floor_id ${area.floor_id}`);
+    const label = (area.labels || []).find(l => labelIds.includes(l));
+    if (label) targetAreas.set(area.area_id, `label_id ${label}`);
+  }
+  const targetDevices = new Map(deviceIds.map(id => [id, "device_id"]));
+  for (const device of devices) {
+    const label = (device.labels || []).find(l => labelIds.includes(l));
+    if (label) targetDevices.set(device.id, `label_id ${label}`);
+  }
+
+  for (const entity of targetable) {
+    const label = (entity.labels || []).find(l => labelIds.includes(l));
+    if (label) add(entity.entity_id, `label_id ${label}`);
+    if (targetDevices.has(entity.device_id)) add(entity.entity_id, `${targetDevices.get(entity.device_id)} (device ${entity.device_id})`);
+    const areaId = getEntityAreaId(entity, devicesById);
+    if (targetAreas.has(areaId)) add(entity.entity_id, `${targetAreas.get(areaId)} (area ${areaId})`);
+  }
+
+  return { entityIds: Object.keys(sources), sources, unknown };
+}
+
+/**
+ * Flatten service fields, including fields grouped in collapsible sections
+ */
+function flattenServiceFields(fields = {}) {
+  const flat = {};
+  for (const [name, field] of Object.entries(fields)) {
+    if (field?.fields) {
+      Object.assign(flat, flattenServiceFields(field.fields));
+    } else {
+      flat[name] = field || {};
+    }
+  }
+  return flat;
+}
+
+/**
+ * Check one value against a service field selector
+ * @returns {string|null} Problem description, or null when the value fits
+ */
+function checkSelectorValue(name, value, selector = {}) {
+  const [type] = Object.keys(selector);
+  const config = selector[type] || {};
+
+  switch (type) {
+    case "number": {
+      const num = Number(value);
+      if (typeof value === "boolean" || value === "" || Number.isNaN(num)) return `'${name}' must be a number`;
+      if (config.min !== undefined && num < config.min) return `'${name}' must be >= ${config.min}`;
+      if (config.max !== undefined && num > config.max) return `'${name}' must be <= ${config.max}`;
+      return null;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : `'${name}' must be true or false`;
+    case "select": {
+      const options = (config.options || []).map(o => (typeof o === "object" ? o.value : o));
+      const values = config.multiple ? [].concat(value) : [value];
+      const invalid = values.filter(v => !options.includes(v));
+      if (options.length > 0 && invalid.length > 0 && !config.custom_value) {
+        return `'${name}' must be one of: ${options.join(", ")} (got ${invalid.join(", ")})`;
+      }
+      return null;
+    }
+    case "text":
+      return typeof value === "string" ? null : `'${name}' must be a string`;
+    case "color_rgb":
+      return Array.isArray(value) && value.length === 3 && value.every(v => Number.isInteger(v) && v >= 0 && v <= 255)
+        ? null
+        : `'${name}' must be [r, g, b] with values 0-255`;
+    case "color_temp": {
+      const num = Number(value);
+      if (Number.isNaN(num)) return `'${name}' must be a number`;
+      if (config.min !== undefined && num < config.min) return `'${name}' must be >= ${config.min}`;
+      if (config.max !== undefined && num > config.max) return `'${name}' must be <= ${config.max}`;
+      return null;
+    }
+    case "entity": {
+      const ids = [].concat(value);
+      if (ids.some(id => typeof id !== "string" || !id.includes("."))) return `'${name}' must be entity ID(s)`;
+      const domains = [].concat(config.domain || (config.filter || []).flatMap(f => [].concat(f.domain || [])));
+      const wrong = domains.length > 0 ? ids.filter(id => !domains.includes(id.split(".")[0])) : [];
+      return wrong.length > 0 ? `'${name}' expects ${domains.join("/")} entities (got ${wrong.join(", ")})` : null;
+    }
+    case "time":
+      return typeof value === "string" && /^\d{1,2}:\d{2}(:\d{2})?$/.test(value) ? null : `'${name}' must be a time (HH:MM or HH:MM:SS)`;
+    case "object":
+      return null;
+    default:
+      return null;
+  }
+}
 
 /**
- * Check YAML configuration for deprecated patterns
+ * Validate service data against the service's field definitions
+ * @returns {{ errors: string[], warnings: string[] }}
  */
-function checkConfigForDeprecations(yamlConfig, integration = null) {
+function validateServiceData(serviceDef, data = {}) {
+  const errors = [];
   const warnings = [];
-  const suggestions = [];
-  let deprecated = false;
-  
-  for (const pattern of DEPRECATION_PATTERNS) {
-    // Skip patterns not relevant to the specified integration
-    if (integration && pattern.integration && pattern.integration !== integration) {
+  const fields = flattenServiceFields(serviceDef.fields);
+  const targetKeys = ["entity_id", "area_id", "device_id", "floor_id", "label_id"];
+
+  for (const [name, value] of Object.entries(data)) {
+    if (targetKeys.includes(name)) continue;
+    if (!fields[name]) {
+      const known = Object.keys(fields);
+      warnings.push(`Unknown field '${name}'.${known.length > 0 ? ` Valid fields: ${known.join(", ")}` : " This service takes no data fields."}`);
       continue;
     }
-    
-    if (pattern.pattern.test(yamlConfig)) {
-      deprecated = deprecated || pattern.deprecated_in !== undefined;
-      
-      const severity = pattern.severity || (pattern.deprecated_in ? "warning" : "info");
-      const warning = pattern.deprecated_in 
-        ? `[DEPRECATED since ${pattern.deprecated_in}] ${pattern.message}`
-        : `[INFO] ${pattern.message}`;
-      
-      warnings.push(warning);
-      if (pattern.suggestion) {
-        suggestions.push(pattern.suggestion);
-      }
+    // Templates are rendered by HA at call time, so their type cannot be checked here
+    if (typeof value === "string" && value.includes("{{")) continue;
+    const problem = checkSelectorValue(name, value, fields[name].selector);
+    if (problem) errors.push(problem);
+  }
+
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.required && data[name] === undefined) {
+      errors.push(`Missing required field '${name}'`);
     }
   }
-  
-  return { deprecated, warnings, suggestions };
+
+  return { errors, warnings };
+}
+
+/**
+ * Work out what a service call would do without calling it
+ */
+async function dryRunServiceCall(domain, service, target = {}, data = {}) {
+  const report = { domain, service, service_exists: false, errors: [], warnings: [] };
+
+  const services = await callHA("/services");
+  const domainServices = services.find(s => s.domain === domain);
+  const serviceDef = domainServices?.services?.[service];
+  if (!domainServices) {
+    report.errors.push(`Domain '${domain}' has no services. Is the integration loaded?`);
+  } else if (!serviceDef) {
+    report.errors.push(`Service '${domain}.${service}' does not exist. Available: ${Object.keys(domainServices.services).join(", ")}`);
+  } else {
+    report.service_exists = true;
+    report.service_name = serviceDef.name;
+    const { errors, warnings } = validateServiceData(serviceDef, data);
+    report.errors.push(...errors);
+    report.warnings.push(...warnings);
+  }
+
+  const { entityIds, sources, unknown } = await resolveServiceTarget(target, data, domain);
+  for (const ref of unknown) report.errors.push(`Unknown ${ref}`);
+
+  // Entity services only act on entities of the domains they declare
+  const targetDomains = (serviceDef?.target?.entity || []).flatMap(e => [].concat(e.domain || []));
+  const states = entityIds.length > 0 ? await callHA("/states") : [];
+  const statesById = new Map(states.map(s => [s.entity_id, s]));
+
+  report.entities = entityIds.map(entityId => {
+    const state = statesById.get(entityId);
+    const entityDomain = entityId.split(".")[0];
+    const ignored = targetDomains.length > 0 && !targetDomains.includes(entityDomain);
+    if (!state) report.errors.push(`Entity '${entityId}' does not exist`);
+    return {
+      entity_id: entityId,
+      friendly_name: state?.attributes?.friendly_name,
+      current_state: state?.state ?? "missing",
+      via: sources[entityId],
+      ...(ignored && { ignored: `not a ${targetDomains.join("/")} entity` }),
+    };
+  });
+
+  const affected = report.entities.filter(e => !e.ignored && e.current_state !== "missing");
+  if (serviceDef?.target && affected.length === 0) {
+    report.errors.push("The target resolves to no entities this service can act on");
+  }
+  for (const entity of report.entities.filter(e => e.current_state === "unavailable")) {
+    report.warnings.push(`${entity.entity_id} is unavailable and will probably not respond`);
+  }
+
+  report.affected_entities = affected.map(e => e.entity_id);
+  report.would_succeed = report.errors.length === 0;
+  return report;
 }
 
 // ============================================================================
-// HELPER: Create annotated content
+// AUDIT LOG (state-changing tool calls)
 // ============================================================================
+//
+// One JSON object per line, appended after each call completes, so "did the
+// assistant do that?" can be answered from the file alone. The log rotates to
+// a single .1 file once it reaches AUDIT_MAX_BYTES.
 
-function createTextContent(text, options = {}) {
-  const content = { type: "text", text };
-  if (options.audience || options.priority !== undefined) {
-    content.annotations = {};
-    if (options.audience) content.annotations.audience = options.audience;
-    if (options.priority !== undefined) content.annotations.priority = options.priority;
+const AUDIT_FILE = process.env.HA_MCP_AUDIT_FILE || `${HA_OPENCODE_DIR}/mcp_audit.jsonl`;
+const AUDIT_MAX_BYTES = 5 * 1024 * 1024;
+const AUDIT_RESULT_MAX_CHARS = 2000;
+// Argument keys whose values never reach the audit file (backup passwords, alarm codes, tokens)
+const AUDIT_REDACTED_KEYS = /^(?:code|pin)$|(?:^|_)(?:password|passwd|secret|token|api_?key)$/i;
+
+/**
+ * Whether a tool call changes state and must be audited
+ */
+function isAuditedToolCall(name, args = {}) {
+  switch (name) {
+    case "call_service":
+      return !args.dry_run;
+    case "fire_event":
+    case "create_automation":
+    case "update_automation":
+    case "delete_automation":
+    case "create_script":
+    case "update_script":
+    case "delete_script":
+    case "create_scene":
+    case "update_scene":
+    case "delete_scene":
+    case "update_component":
+    case "create_backup":
+    case "restore_backup":
+    case "addon_control":
+    case "esphome_upload":
+      return true;
+    case "watch_firmware_update":
+      return args.start_update === true;
+    default:
+      return false;
   }
-  return content;
 }
 
-function createResourceLink(uri, name, description, options = {}) {
-  const link = {
-    type: "resource_link",
-    uri,
-    name,
-    description,
+/**
+ * Replace the values of sensitive keys, at any depth, with "[redacted]"
+ */
+function redactAuditValue(value) {
+  if (Array.isArray(value)) return value.map(redactAuditValue);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+    [key, AUDIT_REDACTED_KEYS.test(key) && v !== undefined && v !== null && v !== "" ? "[redacted]" : redactAuditValue(v)]
+  ));
+}
+
+/**
+ * Append an entry to the audit log. Failures are logged, never thrown:
+ * the call has already happened by the time it is audited.
+ */
+async function appendAuditEntry(entry) {
+  try {
+    await mkdir(dirname(AUDIT_FILE), { recursive: true });
+    const size = await stat(AUDIT_FILE).then(s => s.size, () => 0);
+    if (size >= AUDIT_MAX_BYTES) {
+      await rename(AUDIT_FILE, `${AUDIT_FILE}.1`);
+    }
+    await appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n");
+  } catch (error) {
+    sendLog("error", "audit-log", { action: "write_failed", file: AUDIT_FILE, error: error.message });
+  }
+}
+
+/**
+ * Build an audit entry from a finished tool call
+ */
+function buildAuditEntry(name, args, response, startedAt) {
+  const text = (response.content || []).find(c => c.type === "text")?.text || "";
+  const summary = text.length > AUDIT_RESULT_MAX_CHARS ? `${text.slice(0, AUDIT_RESULT_MAX_CHARS)}…` : text;
+  const client = server.getClientVersion();
+  return {
+    timestamp: new Date(startedAt).toISOString(),
+    tool: name,
+    arguments: redactAuditValue(args || {}),
+    outcome: response.isError ? "error" : "success",
+    duration_ms: Date.now() - startedAt,
+    ...(response.isError ? { error: summary.replace(/^Error: /, "") } : { result: summary }),
+    ...(client && { client: `${client.name}${client.version ? ` ${client.version}` : ""}` }),
   };
-  if (options.mimeType) link.mimeType = options.mimeType;
-  if (options.audience || options.priority !== undefined) {
-    link.annotations = {};
-    if (options.audience) link.annotations.audience = options.audience;
-    if (options.priority !== undefined) link.annotations.priority = options.priority;
+}
+
+/**
+ * Read audit entries (newest first), including the rotated file
+ * @param {object} filters - tool, outcome, entity_id, search, since, until, limit
+ */
+async function readAuditLog(filters = {}) {
+  const { tool, outcome, entity_id, search, since, until, limit = 50 } = filters;
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) {
+    throw new Error("since/until must be ISO 8601 timestamps");
+  }
+
+  const lines = [];
+  for (const file of [`${AUDIT_FILE}.1`, AUDIT_FILE]) {
+    try {
+      lines.push(...(await readFile(file, "utf8")).split("\n"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  const needle = search?.toLowerCase();
+  const entries = [];
+  for (const line of lines.reverse()) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // A partially written line must not hide the rest of the log
+    }
+    const time = Date.parse(entry.timestamp);
+    if (tool && entry.tool !== tool) continue;
+    if (outcome && entry.outcome !== outcome) continue;
+    if (sinceMs !== null && time < sinceMs) continue;
+    if (untilMs !== null && time > untilMs) continue;
+    if (entity_id && !JSON.stringify(entry.arguments).includes(entity_id)) continue;
+    if (needle && !JSON.stringify(entry).toLowerCase().includes(needle)) continue;
+    entries.push(entry);
+    if (entries.length >= limit) break;
+  }
+  return entries;
+}
+
+/**
+ * One-line description of an audited call
+ */
+function describeAuditEntry(entry) {
+  const args = entry.arguments || {};
+  switch (entry.tool) {
+    case "call_service": {
+      const targets = [args.target?.entity_id, args.data?.entity_id, args.target?.area_id, args.target?.device_id, args.target?.floor_id, args.target?.label_id]
+        .flat().filter(Boolean);
+      return `${args.domain}.${args.service}${targets.length > 0 ? ` → ${targets.join(", ")}` : ""}`;
+    }
+    case "fire_event":
+      return `event ${args.event_type}`;
+    case "create_automation":
+    case "update_automation":
+    case "delete_automation":
+    case "create_script":
+    case "update_script":
+    case "delete_script":
+    case "create_scene":
+    case "update_scene":
+    case "delete_scene": {
+      const [verb, kind] = entry.tool.split("_");
+      const id = args[`${kind}_id`] || args.entity_id || args.config?.alias || args.config?.name;
+      return `${verb} ${kind}${id ? ` ${id}` : ""}`;
+    }
+    case "update_component":
+      return `update ${args.component}${args.addon_slug ? ` (${args.addon_slug})` : ""}`;
+    case "create_backup":
+      return `${args.type} backup${args.name ? ` "${args.name}"` : ""}`;
+    case "restore_backup":
+      return `restore ${args.type || "full"} from ${args.slug}`;
+    case "addon_control":
+      return `${args.action} app ${args.addon_slug}`;
+    case "esphome_upload":
+      return `flash ${args.device} via ${args.port}`;
+    case "watch_firmware_update":
+      return `start firmware update ${args.entity_id}`;
+    default:
+      return JSON.stringify(args);
   }
-  return link;
 }
 
 // ============================================================================
-// MCP SERVER SETUP
+// SYSTEM LOG HELPERS
 // ============================================================================
 
-const server = new Server(
-  {
-    name: "home-assistant",
-    version: "2.2.0",
+// Python logging levels used by Home Assistant and the Supervisor
+const HA_LOG_LEVELS = ["debug", "info", "warning", "error", "critical"];
+
+// Supervisor log sources; "host" also serves per-service journald logs via identifiers
+const LOG_SOURCES = {
+  core: "/core/logs",
+  supervisor: "/supervisor/logs",
+  host: "/host/logs",
+  audio: "/audio/logs",
+  dns: "/dns/logs",
+  multicast: "/multicast/logs",
+  observer: "/observer/logs",
+};
+
+// "2025-01-15 10:00:00.123 ERROR (MainThread) [homeassistant.components.mqtt] Message"
+const HA_LOG_LINE = /^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?)\s+(DEBUG|INFO|WARNING|ERROR|CRITICAL)\s+\(([^)]*)\)\s+\[([^\]]+)\]\s?(.*)$/;
+// journald lines from Accept: text/x-log: "2025-01-15 10:00:00.123 homeassistant NetworkManager[512]: Message"
+const JOURNAL_LOG_LINE = /^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?)\s+\S+\s+([^\s[:]+)(?:\[\d+\])?:\s?(.*)$/;
+
+/**
+ * Map a Python logger name to the integration it belongs to
+ * (homeassistant.components.mqtt.client -> mqtt, custom_components.hacs -> hacs)
+ */
+function loggerToIntegration(logger) {
+  const match = logger?.match(/^(?:homeassistant\.components|custom_components)\.([^.]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Split log lines into records. Lines without a timestamp (tracebacks, wrapped
+ * messages) belong to the record before them.
+ * @returns {Array<{timestamp: string|null, level: string|null, thread?: string, logger: string|null, message: string, details: string[]}>}
+ */
+function parseLogRecords(lines) {
+  const records = [];
+  for (const line of lines) {
+    const ha = line.match(HA_LOG_LINE);
+    if (ha) {
+      records.push({ timestamp: ha[1], level: ha[2].toLowerCase(), thread: ha[3], logger: ha[4], message: ha[5], details: [] });
+      continue;
+    }
+    const journal = line.match(JOURNAL_LOG_LINE);
+    if (journal) {
+      records.push({ timestamp: journal[1], level: null, logger: journal[2], message: journal[3], details: [] });
+      continue;
+    }
+    if (records.length > 0) {
+      records[records.length - 1].details.push(line);
+    } else {
+      records.push({ timestamp: null, level: null, logger: null, message: line, details: [] });
+    }
+  }
+  return records;
+}
+
+/**
+ * Render a record back to the lines it came from
+ */
+function formatLogRecord(record) {
+  const head = record.level
+    ? `${record.timestamp} ${record.level.toUpperCase()} (${record.thread}) [${record.logger}] ${record.message}`
+    : record.timestamp ? `${record.timestamp} ${record.logger}: ${record.message}` : record.message;
+  return [head, ...record.details].join("\n");
+}
+
+/**
+ * Filter log records by time range (local time, like the log timestamps),
+ * minimum level, and logger name or integration
+ */
+function filterLogRecords(records, { since, until, level, logger } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) {
+    throw new Error("since/until must be ISO 8601 timestamps");
+  }
+  const minLevel = level ? HA_LOG_LEVELS.indexOf(level) : -1;
+  const loggerNeedle = logger?.toLowerCase();
+
+  return records.filter(record => {
+    if (sinceMs !== null || untilMs !== null) {
+      if (!record.timestamp) return false;
+      const time = Date.parse(record.timestamp.replace(" ", "T"));
+      if (sinceMs !== null && time < sinceMs) return false;
+      if (untilMs !== null && time > untilMs) return false;
+    }
+    // Journald records have no level; they only pass when no level filter is set
+    if (minLevel > 0 && HA_LOG_LEVELS.indexOf(record.level) < minLevel) return false;
+    if (loggerNeedle) {
+      const name = record.logger?.toLowerCase() || "";
+      if (!name.includes(loggerNeedle) && loggerToIntegration(name) !== loggerNeedle) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Normalize a log message so repeats of the same problem group together:
+ * numbers, hex ids, UUIDs, IP addresses, and quoted values become placeholders
+ */
+function normalizeLogMessage(message) {
+  return message
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<uuid>")
+    .replace(/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, "<ip>")
+    .replace(/\b0x[0-9a-f]+\b/gi, "<hex>")
+    .replace(/'[^']*'|"[^"]*"/g, "<value>")
+    .replace(/\b\d+(?:\.\d+)?\b/g, "<n>")
+    .trim();
+}
+
+/**
+ * The exception line ending a traceback ("ValueError: boom"), if any
+ */
+function getRecordException(record) {
+  if (!record.details.some(line => line.startsWith("Traceback"))) return null;
+  for (let i = record.details.length - 1; i >= 0; i--) {
+    const line = record.details[i].trim();
+    if (line && !line.startsWith("File ") && !line.startsWith("^")) return line;
+  }
+  return null;
+}
+
+/**
+ * Group repeated log records by level, logger, normalized message, and exception type
+ * @returns {Array<object>} Groups with count, first/last seen, integration, sample, and latest traceback
+ */
+function groupLogRecords(records) {
+  const groups = new Map();
+  for (const record of records) {
+    const exception = getRecordException(record);
+    const key = [record.level, record.logger, normalizeLogMessage(record.message), exception?.split(":")[0]].join("|");
+    let group = groups.get(key);
+    if (!group) {
+      const integration = loggerToIntegration(record.logger);
+      group = {
+        level: record.level,
+        logger: record.logger,
+        integration,
+        custom_integration: Boolean(record.logger?.startsWith("custom_components.")),
+        message: record.message,
+        exception,
+        count: 0,
+        first_seen: record.timestamp,
+        last_seen: record.timestamp,
+        traceback: [],
+      };
+      groups.set(key, group);
+    }
+    group.count++;
+    group.last_seen = record.timestamp || group.last_seen;
+    group.message = record.message;
+    if (exception) {
+      group.exception = exception;
+      group.traceback = record.details;
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Follow a Supervisor logs endpoint for a bounded time window
+ * @returns {Promise<string[]>} Lines received before the window closed
+ */
+async function followSupervisorLogs(endpoint, seconds, accept = "text/plain") {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), seconds * 1000);
+  let buffer = "";
+  try {
+    const response = await fetch(`http://supervisor${endpoint}/follow`, {
+      headers: { "Authorization": `Bearer ${SUPERVISOR_TOKEN}`, "Accept": accept },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw supervisorError(`${endpoint}/follow`, response.status, await response.text());
+    }
+    const decoder = new TextDecoder();
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+    }
+  } catch (error) {
+    if (error.name !== "AbortError") throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+  return buffer.replace(/\x1b\[[0-9;]*m/g, "").split("\n").filter(line => line.trim());
+}
+
+// ============================================================================
+// STATISTICS & HISTORY HELPERS
+// ============================================================================
+
+const STATISTIC_PERIODS = ["5minute", "hour", "day", "week", "month"];
+const STATISTIC_TYPES = ["mean", "min", "max", "sum", "state", "change"];
+
+// How far back to look when no start time is given, per statistics period
+const STATISTIC_DEFAULT_SPAN_MS = {
+  "5minute": 6 * 60 * 60 * 1000,
+  hour: 24 * 60 * 60 * 1000,
+  day: 30 * 24 * 60 * 60 * 1000,
+  week: 12 * 7 * 24 * 60 * 60 * 1000,
+  month: 365 * 24 * 60 * 60 * 1000,
+};
+
+const UNAVAILABLE_STATES = ["unavailable", "unknown"];
+
+/**
+ * Parse a bucket size like "30s", "15m", "1h", "1d", or "1w" to milliseconds
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration '${text}'. Use a number and unit, e.g. 15m, 1h, 1d.`);
+  }
+  const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2].toLowerCase()];
+  return Number(match[1]) * unitMs;
+}
+
+/**
+ * Human-readable duration, e.g. "2h 15m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  const d = Math.floor(minutes / 1440), h = Math.floor((minutes % 1440) / 60), m = minutes % 60;
+  return [d && `${d}d`, h && `${h}h`, m && `${m}m`].filter(Boolean).join(" ") || "0m";
+}
+
+/**
+ * Aggregate one entity's history into time buckets.
+ * Numeric entities get time-weighted mean, min, max, and last value per bucket;
+ * everything else gets time in each state. Both count transitions.
+ * @param {Array<{state: string, last_changed: string}>} states - History for one entity, oldest first
+ * @returns {{ numeric: boolean, buckets: object[], summary: object }}
+ */
+function aggregateHistory(states, startMs, endMs, bucketMs) {
+  const segments = states
+    .map(s => ({ state: s.state, time: Date.parse(s.last_changed || s.last_updated) }))
+    .sort((a, b) => a.time - b.time)
+    .map((s, i, all) => ({
+      state: s.state,
+      start: Math.max(s.time, startMs),
+      end: Math.min(i + 1 < all.length ? all[i + 1].time : endMs, endMs),
+      changedAt: s.time,
+      value: UNAVAILABLE_STATES.includes(s.state) || s.state === "" || Number.isNaN(Number(s.state)) ? null : Number(s.state),
+    }))
+    .filter(s => s.end > s.start || s.changedAt >= startMs);
+
+  const known = segments.filter(s => !UNAVAILABLE_STATES.includes(s.state));
+  const numeric = known.length > 0 && known.every(s => s.value !== null);
+
+  const aggregate = (from, to) => {
+    const overlapping = segments.filter(s => (s.start < to && s.end > from) || (s.start === s.end && s.start >= from && s.start < to));
+    const bucket = { start: from, end: to, transitions: 0 };
+    let previous = segments.filter(s => s.start < from).pop()?.state;
+    for (const s of overlapping) {
+      if (s.changedAt >= from && s.changedAt < to && previous !== undefined && s.state !== previous) bucket.transitions++;
+      previous = s.state;
+    }
+
+    if (numeric) {
+      // min/max in the loop: spreading a week of samples into Math.min overflows the stack
+      let weighted = 0, duration = 0, min = null, max = null, last = null;
+      for (const s of overlapping) {
+        if (s.value === null) continue;
+        const overlap = Math.min(s.end, to) - Math.max(s.start, from);
+        weighted += s.value * overlap;
+        duration += overlap;
+        if (min === null || s.value < min) min = s.value;
+        if (max === null || s.value > max) max = s.value;
+        last = s.value;
+      }
+      bucket.min = min;
+      bucket.max = max;
+      bucket.mean = duration > 0 ? weighted / duration : last;
+      bucket.last = last;
+    } else {
+      bucket.time_in_state = {};
+      for (const s of overlapping) {
+        const overlap = Math.max(0, Math.min(s.end, to) - Math.max(s.start, from));
+        bucket.time_in_state[s.state] = (bucket.time_in_state[s.state] || 0) + overlap;
+      }
+      bucket.last = overlapping.length > 0 ? overlapping[overlapping.length - 1].state : previous ?? null;
+    }
+    const unavailable = overlapping
+      .filter(s => UNAVAILABLE_STATES.includes(s.state))
+      .reduce((total, s) => total + Math.max(0, Math.min(s.end, to) - Math.max(s.start, from)), 0);
+    if (numeric && unavailable > 0) bucket.unavailable_ms = unavailable;
+    return bucket;
+  };
+
+  const buckets = [];
+  for (let from = startMs; from < endMs; from += bucketMs) {
+    buckets.push(aggregate(from, Math.min(from + bucketMs, endMs)));
+  }
+  return { numeric, buckets, summary: aggregate(startMs, endMs) };
+}
+
+/**
+ * Fetch long-term statistics with their metadata.
+ * Types default per statistic: change for counters (energy, gas, water), mean/min/max for measurements.
+ * @param {object} options - statisticIds, start, end, period, types, units ({ unit_class: unit })
+ * @returns {Promise<{ metadata: Map<string, object>, statistics: Object<string, object[]>, types: Object<string, string[]>, missing: string[], startTime: string }>}
+ */
+async function getStatistics({ statisticIds, start, end, period = "hour", types, units }) {
+  if (!STATISTIC_PERIODS.includes(period)) {
+    throw new Error(`Unknown period: ${period}. Use one of: ${STATISTIC_PERIODS.join(", ")}`);
+  }
+  const startTime = start || new Date(Date.now() - STATISTIC_DEFAULT_SPAN_MS[period]).toISOString();
+
+  const metadataList = await callHAWebSocket("recorder/get_statistics_metadata", { statistic_ids: statisticIds });
+  const metadata = new Map(metadataList.map(m => [m.statistic_id, m]));
+  const missing = statisticIds.filter(id => !metadata.has(id));
+  if (missing.length === statisticIds.length) {
+    throw new Error(`No long-term statistics for ${missing.join(", ")}. Only sensors with a state_class (measurement, total, total_increasing) have statistics.`);
+  }
+
+  const typesById = {};
+  for (const [id, meta] of metadata) {
+    typesById[id] = types?.length > 0 ? types : meta.has_sum ? ["change"] : ["mean", "min", "max"];
+  }
+  const allTypes = [...new Set(Object.values(typesById).flat())];
+
+  const statistics = await callHAWebSocket("recorder/statistics_during_period", {
+    start_time: startTime,
+    ...(end && { end_time: end }),
+    statistic_ids: [...metadata.keys()],
+    period,
+    types: allTypes,
+    ...(units && { units }),
+  });
+
+  return { metadata, statistics, types: typesById, missing, startTime };
+}
+
+/**
+ * Unit a statistic is reported in, after any requested conversion
+ */
+function getStatisticUnit(meta, units) {
+  return (meta.unit_class && units?.[meta.unit_class]) || meta.statistics_unit_of_measurement || meta.unit_of_measurement || "";
+}
+
+/**
+ * Round for display: 2 decimals, or 3 significant digits for small values
+ */
+function formatStatValue(value) {
+  if (value === null || value === undefined) return "-";
+  if (Math.abs(value) >= 1 || value === 0) return String(Math.round(value * 100) / 100);
+  return String(Number(value.toPrecision(3)));
+}
+
+/**
+ * Format a timestamp in Home Assistant's time zone at a resolution that suits the period
+ * @param {number|string} time - Epoch milliseconds or ISO string (older HA versions)
+ */
+function formatPeriodStart(time, timeZone, period = "hour") {
+  const date = new Date(time);
+  const options = { timeZone, year: "numeric", month: "2-digit", day: "2-digit", hourCycle: "h23" };
+  if (period === "month") delete options.day;
+  if (!["day", "week", "month"].includes(period)) Object.assign(options, { hour: "2-digit", minute: "2-digit" });
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-CA", options).formatToParts(date).map(p => [p.type, p.value]));
+  const day = [parts.year, parts.month, parts.day].filter(Boolean).join("-");
+  return parts.hour ? `${day} ${parts.hour}:${parts.minute}` : day;
+}
+
+/**
+ * Summarize rows over the whole window: total change, extremes, and average of means
+ */
+function summarizeStatisticRows(rows) {
+  const values = (key) => rows.map(r => r[key]).filter(v => typeof v === "number");
+  const summary = {};
+  if (values("change").length > 0) summary.change = values("change").reduce((a, b) => a + b, 0);
+  if (values("min").length > 0) summary.min = Math.min(...values("min"));
+  if (values("max").length > 0) summary.max = Math.max(...values("max"));
+  if (values("mean").length > 0) summary.mean = values("mean").reduce((a, b) => a + b, 0) / values("mean").length;
+  const last = rows[rows.length - 1];
+  if (typeof last?.sum === "number") summary.sum = last.sum;
+  if (typeof last?.state === "number") summary.state = last.state;
+  return summary;
+}
+
+// Exports live in the HA config directory so they survive restarts and can be copied off via Samba etc.
+const EXPORTS_DIR = `${HA_OPENCODE_DIR}/exports`;
+
+const EXPORT_MIME_TYPES = { csv: "text/csv", jsonl: "application/jsonl" };
+
+/**
+ * Quote one CSV row (RFC 4180)
+ */
+function toCsvRow(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(",");
+}
+
+/**
+ * Write rows to EXPORTS_DIR as CSV or JSONL
+ * @param {string} filename - Already sanitized file name including extension
+ * @param {string[]} columns - Column order (CSV header)
+ * @param {object[]} rows
+ * @returns {Promise<{ path: string, bytes: number }>}
+ */
+async function writeExport(filename, columns, rows, format) {
+  const body = format === "csv"
+    ? [toCsvRow(columns), ...rows.map(row => toCsvRow(columns.map(c => row[c])))].join("\n") + "\n"
+    : rows.map(row => JSON.stringify(row)).join("\n") + (rows.length > 0 ? "\n" : "");
+  await mkdir(EXPORTS_DIR, { recursive: true });
+  const path = `${EXPORTS_DIR}/${filename}`;
+  await writeFile(path, body);
+  return { path, bytes: Buffer.byteLength(body) };
+}
+
+/**
+ * Safe export file name: user-supplied names are reduced to a basename of [A-Za-z0-9._-]
+ */
+function buildExportFilename(requested, ids, source, format) {
+  if (requested) {
+    const base = requested.split("/").pop().replace(/[^A-Za-z0-9._-]/g, "_").replace(/^\.+/, "");
+    if (!base) throw new Error(`Invalid filename: ${requested}`);
+    return base.toLowerCase().endsWith(`.${format}`) ? base : `${base}.${format}`;
+  }
+  const subject = ids.length === 1 ? ids[0] : `${ids[0]}_and_${ids.length - 1}_more`;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "_");
+  return `${source}_${subject.replace(/[^A-Za-z0-9_-]/g, "_")}_${stamp}.${format}`;
+}
+
+// ============================================================================
+// CHART RENDERING (SVG and PNG)
+// ============================================================================
+//
+// Charts are laid out once as a list of drawing commands (rect, polyline, text)
+// and then rendered either as SVG or rasterized to PNG in plain JS: a 5x7 bitmap
+// font, antialiased lines, and a minimal PNG encoder on top of node:zlib.
+
+const CHART_FORMATS = ["png", "svg"];
+const CHART_WIDTH = 900;
+const CHART_PANEL_HEIGHT = 150;
+const CHART_MARGIN = { top: 28, right: 20, bottom: 36, left: 64 };
+const CHART_PANEL_GAP = 34;
+const CHART_COLORS = ["#03a9f4", "#ff9800", "#4caf50", "#e91e63", "#9c27b0", "#795548", "#009688", "#607d8b"];
+const CHART_STATE_COLORS = { on: "#ffc107", off: "#cfd8dc", unavailable: "#9e9e9e", unknown: "#bdbdbd" };
+
+// 5x7 glyphs, one byte per column, bit 0 at the top. Lowercase renders as uppercase.
+const CHART_FONT = {
+  " ": [0, 0, 0, 0, 0], "0": [62, 81, 73, 69, 62], "1": [0, 66, 127, 64, 0], "2": [66, 97, 81, 73, 70],
+  "3": [33, 65, 69, 75, 49], "4": [24, 20, 18, 127, 16], "5": [39, 69, 69, 69, 57], "6": [60, 74, 73, 73, 48],
+  "7": [1, 113, 9, 5, 3], "8": [54, 73, 73, 73, 54], "9": [6, 73, 73, 41, 30], "A": [126, 17, 17, 17, 126],
+  "B": [127, 73, 73, 73, 54], "C": [62, 65, 65, 65, 34], "D": [127, 65, 65, 34, 28], "E": [127, 73, 73, 73, 65],
+  "F": [127, 9, 9, 9, 1], "G": [62, 65, 73, 73, 122], "H": [127, 8, 8, 8, 127], "I": [0, 65, 127, 65, 0],
+  "J": [32, 64, 65, 63, 1], "K": [127, 8, 20, 34, 65], "L": [127, 64, 64, 64, 64], "M": [127, 2, 12, 2, 127],
+  "N": [127, 4, 8, 16, 127], "O": [62, 65, 65, 65, 62], "P": [127, 9, 9, 9, 6], "Q": [62, 65, 81, 33, 94],
+  "R": [127, 9, 25, 41, 70], "S": [70, 73, 73, 73, 49], "T": [1, 1, 127, 1, 1], "U": [63, 64, 64, 64, 63],
+  "V": [31, 32, 64, 32, 31], "W": [63, 64, 56, 64, 63], "X": [99, 20, 8, 20, 99], "Y": [7, 8, 112, 8, 7],
+  "Z": [97, 81, 73, 69, 67], ".": [0, 96, 96, 0, 0], ":": [0, 54, 54, 0, 0], "-": [8, 8, 8, 8, 8],
+  "_": [64, 64, 64, 64, 64], "/": [32, 16, 8, 4, 2], "%": [35, 19, 8, 100, 98], "(": [0, 28, 34, 65, 0],
+  ")": [0, 65, 34, 28, 0], "+": [8, 8, 62, 8, 8], ",": [0, 80, 48, 0, 0], "=": [20, 20, 20, 20, 20],
+  "[": [0, 127, 65, 65, 0], "]": [0, 65, 65, 127, 0], "°": [0, 6, 9, 9, 6], "?": [2, 1, 81, 9, 6],
+};
+
+/**
+ * Round a range to "nice" axis ticks
+ * @returns {number[]}
+ */
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Number(v.toPrecision(12)));
+  }
+  if (ticks[ticks.length - 1] < max) ticks.push(Number((ticks[ticks.length - 1] + step).toPrecision(12)));
+  return ticks;
+}
+
+/**
+ * Time axis ticks on whole local hours or days across the window
+ * (the UTC offset is taken at the start of the window, so ticks may shift by an hour across DST)
+ */
+function chartTimeTicks(startMs, endMs, timeZone, maxTicks = 8) {
+  const HOUR = 60 * 60 * 1000;
+  const step = [1, 2, 3, 6, 12, 24, 48, 168, 336, 720, 2160, 8760]
+    .map(h => h * HOUR)
+    .find(s => (endMs - startMs) / s <= maxTicks) || 8760 * HOUR;
+  const offset = Date.parse(`${formatPeriodStart(startMs, timeZone, "hour").replace(" ", "T")}:00Z`) - Math.floor(startMs / 60000) * 60000;
+  const ticks = [];
+  for (let t = Math.ceil((startMs + offset) / step) * step - offset; t <= endMs; t += step) ticks.push(t);
+  return ticks;
+}
+
+/**
+ * Build history chart panels: numeric entities as step lines, others as state timelines
+ * @param {Array<{entityId: string, name?: string, unit?: string, states: object[]}>} entities
+ */
+function buildHistoryChartPanels(entities, startMs, endMs) {
+  return entities.map(({ entityId, name, unit, states }) => {
+    const changes = states
+      .map(s => ({ state: s.state, time: Math.max(Date.parse(s.last_changed || s.last_updated), startMs) }))
+      .sort((a, b) => a.time - b.time);
+    const known = changes.filter(c => !UNAVAILABLE_STATES.includes(c.state));
+    const numeric = known.length > 0 && known.every(c => c.state !== "" && !Number.isNaN(Number(c.state)));
+    const title = `${name || entityId}${unit ? ` [${unit}]` : ""}`;
+
+    if (numeric) {
+      // Step line: each value holds until the next change; gaps where unavailable
+      const lines = [];
+      let current = null;
+      changes.forEach((c, i) => {
+        const until = i + 1 < changes.length ? changes[i + 1].time : endMs;
+        if (UNAVAILABLE_STATES.includes(c.state)) {
+          current = null;
+          return;
+        }
+        if (!current) {
+          current = [];
+          lines.push(current);
+        }
+        current.push([c.time, Number(c.state)], [until, Number(c.state)]);
+      });
+      return { title, kind: "lines", series: [{ points: lines.flat(), segments: lines, color: CHART_COLORS[0] }] };
+    }
+
+    const segments = changes.map((c, i) => ({
+      state: c.state,
+      start: c.time,
+      end: i + 1 < changes.length ? changes[i + 1].time : endMs,
+    }));
+    return { title, kind: "timeline", segments };
+  });
+}
+
+/**
+ * Build statistics chart panels: change as bars, mean as a line with min/max as thin lines
+ * @param {Array<{id: string, name?: string, unit?: string, rows: object[], types: string[]}>} statistics
+ */
+function buildStatisticsChartPanels(statistics) {
+  return statistics.map(({ id, name, unit, rows, types }) => {
+    const title = `${name || id}${unit ? ` [${unit}]` : ""}`;
+    const time = (row) => new Date(row.start).getTime();
+    if (types.includes("change") || (types.includes("sum") && !types.includes("mean"))) {
+      const key = types.includes("change") ? "change" : "sum";
+      return {
+        title: `${title} ${key}`,
+        kind: "bars",
+        bars: rows.filter(r => typeof r[key] === "number").map(r => ({ start: time(r), end: new Date(r.end).getTime() || time(r), value: r[key] })),
+      };
+    }
+    const series = ["max", "mean", "min"]
+      .filter(t => types.includes(t))
+      .map(t => {
+        const points = rows.filter(r => typeof r[t] === "number").map(r => [time(r), r[t]]);
+        return { label: t, points, segments: [points], color: t === "mean" ? CHART_COLORS[0] : "#90caf9", width: t === "mean" ? 2 : 1 };
+      });
+    return { title: `${title} ${series.map(s => s.label).join("/")}`, kind: "lines", series };
+  });
+}
+
+/**
+ * Reduce a polyline (in pixels) to its first, lowest, highest, and last point per pixel column.
+ * It draws the same as the full line, but its size no longer grows with the sample count.
+ */
+function decimatePolyline(points) {
+  const result = [];
+  for (let i = 0; i < points.length;) {
+    const column = Math.floor(points[i][0]);
+    let j = i, low = i, high = i;
+    for (; j < points.length && Math.floor(points[j][0]) === column; j++) {
+      if (points[j][1] < points[low][1]) low = j;
+      if (points[j][1] > points[high][1]) high = j;
+    }
+    for (const k of [...new Set([i, low, high, j - 1])].sort((a, b) => a - b)) result.push(points[k]);
+    i = j;
+  }
+  return result;
+}
+
+/**
+ * Lay out panels into drawing commands
+ * @returns {{ width: number, height: number, commands: object[] }}
+ */
+function layoutChart(panels, startMs, endMs, timeZone) {
+  const width = CHART_WIDTH;
+  const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+  const height = CHART_MARGIN.top + panels.length * CHART_PANEL_HEIGHT + (panels.length - 1) * CHART_PANEL_GAP + CHART_MARGIN.bottom;
+  const commands = [{ op: "rect", x: 0, y: 0, w: width, h: height, fill: "#ffffff" }];
+  const x = (t) => CHART_MARGIN.left + ((t - startMs) / (endMs - startMs)) * plotWidth;
+  const span = endMs - startMs;
+  const timeTicks = chartTimeTicks(startMs, endMs, timeZone, span > 24 * 60 * 60 * 1000 && span <= 3 * 24 * 60 * 60 * 1000 ? 6 : 8);
+  const timeLabel = (t) => {
+    const text = formatPeriodStart(t, timeZone, span > 3 * 24 * 60 * 60 * 1000 ? "day" : "hour");
+    return span <= 24 * 60 * 60 * 1000 ? text.slice(-5) : text;
+  };
+
+  panels.forEach((panel, index) => {
+    const top = CHART_MARGIN.top + index * (CHART_PANEL_HEIGHT + CHART_PANEL_GAP);
+    const bottom = top + CHART_PANEL_HEIGHT;
+    commands.push({ op: "text", x: CHART_MARGIN.left, y: top - 8, text: panel.title, size: 12, color: "#212121" });
+    commands.push({ op: "rect", x: CHART_MARGIN.left, y: top, w: plotWidth, h: CHART_PANEL_HEIGHT, fill: "#fafafa" });
+    for (const t of timeTicks) {
+      commands.push({ op: "polyline", points: [[x(t), top], [x(t), bottom]], stroke: "#eeeeee", width: 1 });
+    }
+
+    if (panel.kind === "timeline") {
+      const states = [...new Set(panel.segments.map(s => s.state))];
+      const colorOf = (state) => CHART_STATE_COLORS[state] || CHART_COLORS[states.indexOf(state) % CHART_COLORS.length];
+      for (const s of panel.segments) {
+        commands.push({ op: "rect", x: x(s.start), y: top + 30, w: Math.max(x(s.end) - x(s.start), 1), h: CHART_PANEL_HEIGHT - 60, fill: colorOf(s.state) });
+      }
+      let legendX = CHART_MARGIN.left + 8;
+      for (const state of states.slice(0, 8)) {
+        commands.push({ op: "rect", x: legendX, y: top + 8, w: 10, h: 10, fill: colorOf(state) });
+        commands.push({ op: "text", x: legendX + 14, y: top + 17, text: state, size: 10, color: "#424242" });
+        legendX += 24 + state.length * 7;
+      }
+    } else {
+      // A loop rather than Math.min(...values), which overflows the stack for long histories
+      let low = Infinity, high = -Infinity;
+      const include = (v) => {
+        if (v < low) low = v;
+        if (v > high) high = v;
+      };
+      if (panel.kind === "bars") {
+        include(0);
+        for (const bar of panel.bars) include(bar.value);
+      } else {
+        for (const series of panel.series) for (const point of series.points) include(point[1]);
+      }
+      const ticks = niceTicks(low === Infinity ? 0 : low, high === -Infinity ? 1 : high);
+      const yMin = ticks[0], yMax = ticks[ticks.length - 1];
+      const y = (v) => bottom - ((v - yMin) / (yMax - yMin)) * CHART_PANEL_HEIGHT;
+      for (const tick of ticks) {
+        commands.push({ op: "polyline", points: [[CHART_MARGIN.left, y(tick)], [CHART_MARGIN.left + plotWidth, y(tick)]], stroke: "#e0e0e0", width: 1 });
+        commands.push({ op: "text", x: CHART_MARGIN.left - 6, y: y(tick) + 4, text: formatStatValue(tick), size: 10, color: "#616161", anchor: "end" });
+      }
+
+      if (panel.kind === "bars") {
+        for (const bar of panel.bars.filter(b => b.start < endMs && b.end > startMs)) {
+          const left = x(Math.max(bar.start, startMs)) + 1, right = Math.max(x(Math.min(bar.end, endMs)) - 1, left + 1);
+          commands.push({ op: "rect", x: left, y: Math.min(y(bar.value), y(0)), w: right - left, h: Math.abs(y(0) - y(bar.value)), fill: panel.color || CHART_COLORS[0] });
+        }
+      } else {
+        for (const series of panel.series) {
+          for (const segment of series.segments) {
+            const visible = segment.filter(([t]) => t >= startMs && t <= endMs);
+            if (visible.length === 0) continue;
+            commands.push({ op: "polyline", points: decimatePolyline(visible.map(([t, v]) => [x(t), y(v)])), stroke: series.color, width: series.width || 2 });
+          }
+        }
+      }
+    }
+
+    commands.push({ op: "polyline", points: [[CHART_MARGIN.left, bottom], [CHART_MARGIN.left + plotWidth, bottom]], stroke: "#757575", width: 1 });
+  });
+
+  const axisY = height - CHART_MARGIN.bottom + 18;
+  let labelRight = 0;
+  for (const t of timeTicks) {
+    const text = timeLabel(t);
+    const textWidth = text.length * 6;
+    const anchor = x(t) - textWidth / 2 < 0 ? "start" : x(t) + textWidth / 2 > width ? "end" : "middle";
+    const left = anchor === "start" ? x(t) : anchor === "end" ? x(t) - textWidth : x(t) - textWidth / 2;
+    if (left < labelRight + 8) continue;
+    commands.push({ op: "text", x: x(t), y: axisY, text, size: 10, color: "#616161", anchor });
+    labelRight = left + textWidth;
+  }
+
+  return { width, height, commands };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+}
+
+/**
+ * Render drawing commands as an SVG document
+ */
+function renderChartSvg({ width, height, commands }) {
+  const round = (n) => Math.round(n * 10) / 10;
+  const body = commands.map(c => {
+    switch (c.op) {
+      case "rect":
+        return `<rect x="${round(c.x)}" y="${round(c.y)}" width="${round(c.w)}" height="${round(c.h)}" fill="${c.fill}"/>`;
+      case "polyline":
+        return `<polyline points="${c.points.map(p => `${round(p[0])},${round(p[1])}`).join(" ")}" fill="none" stroke="${c.stroke}" stroke-width="${c.width}" stroke-linejoin="round"/>`;
+      case "text":
+        return `<text x="${round(c.x)}" y="${round(c.y)}" font-size="${c.size}" fill="${c.color}" text-anchor="${c.anchor || "start"}">${escapeXml(c.text)}</text>`;
+      default:
+        return "";
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">\n${body.join("\n")}\n</svg>\n`;
+}
+
+/**
+ * Minimal RGB raster with alpha blending
+ */
+function createRaster(width, height) {
+  const pixels = new Uint8Array(width * height * 3);
+  const parse = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const blend = (x, y, rgb, alpha) => {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    if (x < 0 || y < 0 || x >= width || y >= height || alpha <= 0) return;
+    const i = (y * width + x) * 3;
+    for (let k = 0; k < 3; k++) pixels[i + k] = Math.round(pixels[i + k] * (1 - alpha) + rgb[k] * Math.min(alpha, 1));
+  };
+
+  const fillRect = (x, y, w, h, color) => {
+    const rgb = parse(color);
+    for (let yy = Math.round(y); yy < Math.round(y + h); yy++) {
+      for (let xx = Math.round(x); xx < Math.round(x + w); xx++) blend(xx, yy, rgb, 1);
+    }
+  };
+
+  // Xiaolin Wu antialiased line, repeated side by side for thicker strokes
+  const line = (x0, y0, x1, y1, rgb, alpha = 1) => {
+    const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+    if (steep) [x0, y0, x1, y1] = [y0, x0, y1, x1];
+    if (x0 > x1) [x0, y0, x1, y1] = [x1, y1, x0, y0];
+    const dx = x1 - x0, gradient = dx === 0 ? 1 : (y1 - y0) / dx;
+    const plot = (a, b, c) => (steep ? blend(b, a, rgb, c * alpha) : blend(a, b, rgb, c * alpha));
+    let yy = y0;
+    for (let xx = Math.round(x0); xx <= Math.round(x1); xx++) {
+      const fraction = yy - Math.floor(yy);
+      plot(xx, Math.floor(yy), 1 - fraction);
+      plot(xx, Math.floor(yy) + 1, fraction);
+      yy += gradient;
+    }
+  };
+
+  const polyline = (points, color, strokeWidth = 1) => {
+    const rgb = parse(color);
+    for (let i = 1; i < points.length; i++) {
+      const [x0, y0] = points[i - 1], [x1, y1] = points[i];
+      const horizontal = Math.abs(x1 - x0) >= Math.abs(y1 - y0);
+      for (let offset = 0; offset < strokeWidth; offset++) {
+        const shift = offset - (strokeWidth - 1) / 2;
+        if (horizontal) line(x0, y0 + shift, x1, y1 + shift, rgb);
+        else line(x0 + shift, y0, x1 + shift, y1, rgb);
+      }
+    }
+  };
+
+  const text = (x, y, value, size, color, anchor = "start") => {
+    const scale = size >= 14 ? 2 : 1;
+    const chars = [...String(value).toUpperCase()];
+    const textWidth = chars.length * 6 * scale;
+    let left = anchor === "end" ? x - textWidth : anchor === "middle" ? x - textWidth / 2 : x;
+    const top = Math.round(y - 7 * scale);
+    for (const ch of chars) {
+      const glyph = CHART_FONT[ch] || CHART_FONT["?"];
+      glyph.forEach((column, cx) => {
+        for (let cy = 0; cy < 7; cy++) {
+          if (column & (1 << cy)) fillRect(left + cx * scale, top + cy * scale, scale, scale, color);
+        }
+      });
+      left += 6 * scale;
+    }
+  };
+
+  return { width, height, pixels, fillRect, polyline, text };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode an RGB raster as PNG (8-bit truecolor, no filtering)
+ */
+function encodePng({ width, height, pixels }) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rows[y * (width * 3 + 1)] = 0;
+    Buffer.from(pixels.buffer, y * width * 3, width * 3).copy(rows, y * (width * 3 + 1) + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(rows)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Rasterize drawing commands to a PNG buffer
+ */
+function renderChartPng({ width, height, commands }) {
+  const raster = createRaster(width, height);
+  for (const c of commands) {
+    if (c.op === "rect") raster.fillRect(c.x, c.y, c.w, c.h, c.fill);
+    else if (c.op === "polyline") raster.polyline(c.points, c.stroke, c.width);
+    else if (c.op === "text") raster.text(c.x, c.y, c.text, c.size, c.color, c.anchor);
+  }
+  return encodePng(raster);
+}
+
+/**
+ * Render a laid-out chart as MCP image content
+ * @param {"svg"|"png"} format
+ */
+function renderChartContent(chart, format) {
+  if (format === "svg") {
+    return createImageContent(Buffer.from(renderChartSvg(chart)).toString("base64"), "image/svg+xml", { audience: ["user"], priority: 0.9 });
+  }
+  return createImageContent(renderChartPng(chart).toString("base64"), "image/png", { audience: ["user"], priority: 0.9 });
+}
+
+// ============================================================================
+// ENERGY HELPERS
+// ============================================================================
+
+// Flows tracked per period; battery_in is energy charged into the battery, battery_out discharged from it
+const ENERGY_FLOWS = ["grid_import", "grid_export", "solar", "battery_in", "battery_out", "gas", "water"];
+
+const ENERGY_FLOW_LABELS = {
+  grid_import: "Grid import",
+  grid_export: "Grid export",
+  solar: "Solar",
+  battery_in: "Battery charge",
+  battery_out: "Battery discharge",
+  gas: "Gas",
+  water: "Water",
+};
+
+/**
+ * Read the energy dashboard preferences
+ * @returns {Promise<object>} energy_sources, device_consumption, device_consumption_water
+ */
+async function getEnergyPrefs() {
+  try {
+    return await callHAWebSocket("energy/get_prefs");
+  } catch (e) {
+    if (/not[_ ]found|no prefs/i.test(e.message)) {
+      throw new Error("The energy dashboard is not configured. Set it up under Settings > Dashboards > Energy, or use get_statistics on individual meters.");
+    }
+    throw e;
+  }
+}
+
+/**
+ * Map energy preferences to the statistic IDs behind each flow and each device
+ * @returns {{ flows: Object<string, string[]>, devices: Array<{ id: string, name?: string, included_in_stat?: string }>, waterDevices: Array<{ id: string, name?: string }> }}
+ */
+function getEnergyStatisticIds(prefs) {
+  const flows = Object.fromEntries(ENERGY_FLOWS.map(f => [f, []]));
+  for (const source of prefs.energy_sources || []) {
+    switch (source.type) {
+      case "grid":
+        flows.grid_import.push(...(source.flow_from || []).map(f => f.stat_energy_from));
+        flows.grid_export.push(...(source.flow_to || []).map(f => f.stat_energy_to));
+        if (source.stat_energy_from) flows.grid_import.push(source.stat_energy_from);
+        if (source.stat_energy_to) flows.grid_export.push(source.stat_energy_to);
+        break;
+      case "solar":
+        flows.solar.push(source.stat_energy_from);
+        break;
+      case "battery":
+        flows.battery_in.push(source.stat_energy_to);
+        flows.battery_out.push(source.stat_energy_from);
+        break;
+      case "gas":
+      case "water":
+        flows[source.type].push(source.stat_energy_from);
+        break;
+    }
+  }
+  for (const flow of ENERGY_FLOWS) flows[flow] = flows[flow].filter(Boolean);
+
+  const devices = (prefs.device_consumption || []).map(d => ({ id: d.stat_consumption, name: d.name, included_in_stat: d.included_in_stat }));
+  const waterDevices = (prefs.device_consumption_water || []).map(d => ({ id: d.stat_consumption, name: d.name }));
+  return { flows, devices, waterDevices };
+}
+
+/**
+ * Compute energy flows, home consumption, and per-device usage per period from recorder statistics.
+ * Home consumption = grid import + solar + battery discharge - grid export - battery charge,
+ * the same balance the energy dashboard uses. Energy is converted to kWh.
+ * @returns {Promise<{ periods: object[], totals: object, devices: object[], units: object, missing: string[], startTime: string }>}
+ */
+async function computeEnergyUsage(prefs, { start, end, period = "day" }) {
+  const { flows, devices, waterDevices } = getEnergyStatisticIds(prefs);
+  const allIds = [...new Set([...Object.values(flows).flat(), ...devices.map(d => d.id), ...waterDevices.map(d => d.id)])];
+  if (allIds.length === 0) {
+    throw new Error("The energy dashboard has no sources or devices configured");
+  }
+
+  const units = { energy: "kWh" };
+  const { metadata, statistics, missing, startTime } = await getStatistics({
+    statisticIds: allIds, start, end, period, types: ["change"], units,
+  });
+
+  // Rows keyed by period start so flows with gaps still line up
+  const byStart = new Map();
+  const row = (start) => {
+    if (!byStart.has(start)) {
+      byStart.set(start, { start, ...Object.fromEntries(ENERGY_FLOWS.map(f => [f, 0])), devices: {}, water_devices: {} });
+    }
+    return byStart.get(start);
+  };
+  const eachChange = (id, fn) => {
+    for (const r of statistics[id] || []) {
+      if (typeof r.change === "number") fn(row(new Date(r.start).getTime()), r.change);
+    }
+  };
+
+  for (const flow of ENERGY_FLOWS) {
+    for (const id of flows[flow]) eachChange(id, (r, change) => { r[flow] += change; });
+  }
+  for (const d of devices) eachChange(d.id, (r, change) => { r.devices[d.id] = (r.devices[d.id] || 0) + change; });
+  for (const d of waterDevices) eachChange(d.id, (r, change) => { r.water_devices[d.id] = (r.water_devices[d.id] || 0) + change; });
+
+  const periods = [...byStart.values()].sort((a, b) => a.start - b.start);
+  for (const p of periods) {
+    p.consumption = p.grid_import + p.solar + p.battery_out - p.grid_export - p.battery_in;
+    // Devices included in another device's meter would be counted twice
+    const tracked = devices.filter(d => !d.included_in_stat).reduce((total, d) => total + (p.devices[d.id] || 0), 0);
+    p.untracked = devices.length > 0 ? Math.max(0, p.consumption - tracked) : null;
+  }
+
+  const sum = (key) => periods.reduce((total, p) => total + (p[key] || 0), 0);
+  const totals = Object.fromEntries([...ENERGY_FLOWS, "consumption", "untracked"].map(k => [k, sum(k)]));
+  const deviceTotals = [...devices, ...waterDevices.map(d => ({ ...d, water: true }))]
+    .filter(d => metadata.has(d.id))
+    .map(d => ({
+      ...d,
+      name: d.name || metadata.get(d.id).name || d.id,
+      unit: getStatisticUnit(metadata.get(d.id), units),
+      total: periods.reduce((total, p) => total + ((d.water ? p.water_devices : p.devices)[d.id] || 0), 0),
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  const unitOf = (ids) => ids.map(id => metadata.get(id)).filter(Boolean).map(m => getStatisticUnit(m, units))[0] || "";
+  return {
+    periods,
+    totals,
+    devices: deviceTotals,
+    flows,
+    units: { gas: unitOf(flows.gas), water: unitOf(flows.water) },
+    missing,
+    startTime,
+  };
+}
+
+/**
+ * Describe one energy/validate issue, e.g. "entity unavailable: sensor.x (unavailable)"
+ */
+function describeEnergyIssue(issue) {
+  const entities = (issue.affected_entities || []).map(([entityId, extra]) => (extra !== null && extra !== undefined ? `${entityId} (${extra})` : entityId));
+  return `${issue.type.replace(/_/g, " ")}${entities.length > 0 ? `: ${entities.join(", ")}` : ""}`;
+}
+
+// ============================================================================
+// COMMON SCHEMAS FOR STRUCTURED OUTPUT
+// ============================================================================
+
+const SCHEMAS = {
+  entityState: {
+    type: "object",
+    properties: {
+      entity_id: { type: "string", description: "Entity identifier" },
+      state: { type: "string", description: "Current state value" },
+      friendly_name: { type: "string", description: "Human-readable name" },
+      device_class: { type: "string", description: "Device classification" },
+      last_changed: { type: "string", description: "ISO timestamp of last state change" },
+      last_updated: { type: "string", description: "ISO timestamp of last update" },
+    },
+    required: ["entity_id", "state"],
+  },
+  
+  entityStateArray: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        entity_id: { type: "string" },
+        state: { type: "string" },
+        friendly_name: { type: "string" },
+        device_class: { type: "string" },
+      },
+      required: ["entity_id", "state"],
+    },
+  },
+  
+  searchResult: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        entity_id: { type: "string" },
+        state: { type: "string" },
+        friendly_name: { type: "string" },
+        device_class: { type: "string" },
+        score: { type: "number", description: "Search relevance score" },
+      },
+      required: ["entity_id", "state", "score"],
+    },
+  },
+  
+  entityDetails: {
+    type: "object",
+    properties: {
+      entity_id: { type: "string" },
+      friendly_name: { type: "string" },
+      state: { type: "string" },
+      domain: { type: "string" },
+      device_class: { type: "string" },
+      platform: { type: "string", description: "Integration that provides the entity" },
+      config_entry: { type: "object" },
+      device_id: { type: "string" },
+      device: { type: "object" },
+      area_id: { type: "string", description: "Entity area, or the device area when the entity has none" },
+      area_name: { type: "string" },
+      floor_id: { type: "string" },
+      labels: { type: "array", items: { type: "string" } },
+      attributes: { type: "object" },
+      relationship_counts: { type: "object" },
+      related_entities: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            entity_id: { type: "string" },
+            friendly_name: { type: "string" },
+            state: { type: "string" },
+            relationship: { type: "string", enum: ["same_device", "same_area", "same_config_entry", "same_label", "same_floor"] },
+          },
+        },
+      },
+    },
+    required: ["entity_id", "state", "domain"],
+  },
+  
+  serviceCallResult: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      domain: { type: "string" },
+      service: { type: "string" },
+      affected_entities: { type: "array", items: { type: "string" } },
+    },
+    required: ["success", "domain", "service"],
+  },
+  
+  anomaly: {
+    type: "object",
+    properties: {
+      entity_id: { type: "string" },
+      reason: { type: "string" },
+      severity: { type: "string", enum: ["info", "warning", "error"] },
+      type: { type: "string", description: "Baseline mode: deviation, step_change, stale, or flapping" },
+      rule: { type: "string", description: "Name of the user anomaly rule that matched" },
+    },
+    required: ["entity_id", "reason", "severity"],
+  },
+  
+  anomalyArray: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        entity_id: { type: "string" },
+        reason: { type: "string" },
+        severity: { type: "string", enum: ["info", "warning", "error"] },
+        type: { type: "string", description: "Baseline mode: deviation, step_change, stale, or flapping" },
+        rule: { type: "string", description: "Name of the user anomaly rule that matched" },
+      },
+      required: ["entity_id", "reason", "severity"],
+    },
+  },
+  
+  suggestion: {
+    type: "object",
+    properties: {
+      type: { type: "string" },
+      title: { type: "string" },
+      description: { type: "string" },
+      entities: { type: "array", items: { type: "string" } },
+    },
+    required: ["type", "title", "description"],
+  },
+  
+  suggestionArray: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        type: { type: "string" },
+        title: { type: "string" },
+        description: { type: "string" },
+      },
+      required: ["type", "title", "description"],
+    },
+  },
+  
+  diagnostics: {
+    type: "object",
+    properties: {
+      entity_id: { type: "string" },
+      timestamp: { type: "string" },
+      current_state: { type: "object" },
+      checks: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            check: { type: "string" },
+            status: { type: "string", enum: ["ok", "info", "warning", "error"] },
+            details: { type: "string" },
+          },
+        },
+      },
+      history_summary: { type: "object" },
+      relationships: { type: "object" },
+    },
+    required: ["entity_id", "timestamp", "checks"],
+  },
+  
+  configValidation: {
+    type: "object",
+    properties: {
+      result: { type: "string", enum: ["valid", "invalid"] },
+      errors: { type: "string" },
+    },
+    required: ["result"],
+  },
+  
+  integrationDocs: {
+    type: "object",
+    properties: {
+      integration: { type: "string", description: "Integration name" },
+      url: { type: "string", description: "Documentation URL" },
+      title: { type: "string", description: "Integration title" },
+      description: { type: "string", description: "Integration description" },
+      configuration: { type: "string", description: "Configuration section content" },
+      ha_version: { type: "string", description: "Current HA version" },
+      fetched_at: { type: "string", description: "Timestamp when docs were fetched" },
+    },
+    required: ["integration", "url"],
+  },
+  
+  breakingChanges: {
+    type: "object",
+    properties: {
+      ha_version: { type: "string", description: "Current Home Assistant version" },
+      latest_version: { type: "string", description: "Latest available Home Assistant version" },
+      releases: { type: "array", items: { type: "string" }, description: "Releases whose notes were checked" },
+      changes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            version: { type: "string" },
+            title: { type: "string" },
+            description: { type: "string" },
+            integration: { type: "string" },
+            integrations: { type: "array", items: { type: "string" } },
+            affects_installed: { type: "boolean", description: "Whether one of the integrations is loaded" },
+            url: { type: "string" },
+          },
+        },
+      },
+    },
+    required: ["ha_version", "changes"],
+  },
+  
+  configSyntaxCheck: {
+    type: "object",
+    properties: {
+      valid: { type: "boolean", description: "Whether the syntax appears valid" },
+      deprecated: { type: "boolean", description: "Whether deprecated syntax was detected" },
+      errors: {
+        type: "array",
+        items: { type: "string" },
+        description: "YAML parse and include errors with file:line:column"
+      },
+      warnings: { 
+        type: "array", 
+        items: { type: "string" },
+        description: "List of warnings about the configuration" 
+      },
+      suggestions: { 
+        type: "array", 
+        items: { type: "string" },
+        description: "Suggestions for improving the configuration" 
+      },
+      files: {
+        type: "array",
+        items: { type: "string" },
+        description: "Files parsed, relative to the configuration directory"
+      },
+      docs_url: { type: "string", description: "URL to relevant documentation" },
+    },
+    required: ["valid", "deprecated", "warnings", "suggestions"],
+  },
+  
+  area: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+    },
+    required: ["id", "name"],
+  },
+  
+  areaArray: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        floor_id: { type: "string" },
+        floor: { type: "string" },
+        labels: { type: "array", items: { type: "string" } },
+      },
+      required: ["id", "name"],
+    },
+  },
+};
+
+// ============================================================================
+// ANOMALY RULES (user-defined, YAML)
+// ============================================================================
+//
+// Each rule selects entities by entity_id glob(s) and/or device_class and flags
+// them when every key of its condition holds:
+//
+//   rules:
+//     - name: freezer_too_warm
+//       entity_id: "sensor.*freezer*"
+//       condition: { above: -15 }
+//       severity: warning
+//       message: "{name} is at {state}{unit}"
+//     - name: garage_open_at_night
+//       entity_id: cover.garage_door
+//       condition: { state: open, after: "22:00", before: "06:00" }
+//
+// Built-in heuristics keep running alongside unless listed in disable_builtin.
+// The file is read on every evaluation so edits apply without a restart.
+
+const ANOMALY_RULES_FILE = process.env.HA_MCP_ANOMALY_RULES_FILE || `${HA_OPENCODE_DIR}/anomaly_rules.yaml`;
+
+const BUILTIN_ANOMALY_RULES = ["battery_low", "temperature_range", "humidity_range", "door_open", "light_daytime"];
+
+const ANOMALY_SEVERITIES = ["info", "warning", "error"];
+
+const ANOMALY_CONDITION_KEYS = ["above", "below", "state", "not_state", "attribute", "unchanged_for", "after", "before"];
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function parseTimeOfDay(text, where) {
+  const match = String(text).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${where}: '${text}' is not a time of day (HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Validate one rule from the file and normalize it for evaluation
+ */
+function normalizeAnomalyRule(rule, index) {
+  const where = `rule ${rule?.name ? `'${rule.name}'` : index + 1}`;
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new Error(`${where}: must be a mapping`);
+  }
+  const toList = (value, key) => {
+    const list = [].concat(value ?? []);
+    if (list.some(v => typeof v !== "string")) throw new Error(`${where}: '${key}' must be a string or a list of strings`);
+    return list;
+  };
+  const entityPatterns = toList(rule.entity_id, "entity_id");
+  const deviceClasses = toList(rule.device_class, "device_class");
+  if (entityPatterns.length === 0 && deviceClasses.length === 0) {
+    throw new Error(`${where}: needs entity_id and/or device_class`);
+  }
+
+  const condition = rule.condition;
+  if (!condition || typeof condition !== "object" || Object.keys(condition).length === 0) {
+    throw new Error(`${where}: needs a condition (${ANOMALY_CONDITION_KEYS.join(", ")})`);
+  }
+  const unknown = Object.keys(condition).filter(k => !ANOMALY_CONDITION_KEYS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown condition key(s) ${unknown.join(", ")}; use ${ANOMALY_CONDITION_KEYS.join(", ")}`);
+  }
+  for (const key of ["above", "below"]) {
+    if (condition[key] !== undefined && typeof condition[key] !== "number") throw new Error(`${where}: '${key}' must be a number`);
+  }
+  if (condition.attribute !== undefined && typeof condition.attribute !== "string") {
+    throw new Error(`${where}: 'attribute' must be an attribute name`);
+  }
+  if ((condition.after === undefined) !== (condition.before === undefined)) {
+    throw new Error(`${where}: 'after' and 'before' must be used together`);
+  }
+
+  const severity = rule.severity || "warning";
+  if (!ANOMALY_SEVERITIES.includes(severity)) {
+    throw new Error(`${where}: severity must be one of ${ANOMALY_SEVERITIES.join(", ")}`);
+  }
+
+  return {
+    name: String(rule.name || `rule_${index + 1}`),
+    entityPatterns,
+    excludePatterns: toList(rule.exclude, "exclude"),
+    deviceClasses,
+    condition: {
+      ...condition,
+      ...(condition.state !== undefined && { state: toList(condition.state, "state").map(String) }),
+      ...(condition.not_state !== undefined && { not_state: toList(condition.not_state, "not_state").map(String) }),
+      ...(condition.unchanged_for !== undefined && {
+        unchanged_for: typeof condition.unchanged_for === "number" ? condition.unchanged_for * 1000 : parseDuration(condition.unchanged_for),
+      }),
+      ...(condition.after !== undefined && {
+        after: parseTimeOfDay(condition.after, where),
+        before: parseTimeOfDay(condition.before, where),
+      }),
+    },
+    severity,
+    message: rule.message ? String(rule.message) : null,
+  };
+}
+
+/**
+ * Load user anomaly rules. Never throws: a missing file means no user rules, and
+ * problems are returned in errors so callers can report them next to the results.
+ * @returns {Promise<{ source: string|null, rules: object[], disabledBuiltins: Set<string>, errors: string[] }>}
+ */
+async function loadAnomalyRules() {
+  const result = { source: null, rules: [], disabledBuiltins: new Set(), errors: [] };
+  let text;
+  try {
+    text = await readFile(ANOMALY_RULES_FILE, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") result.errors.push(`${ANOMALY_RULES_FILE} could not be read: ${error.message}`);
+    return result;
+  }
+
+  let doc;
+  try {
+    doc = parseYaml(text) ?? {};
+  } catch (error) {
+    result.errors.push(`${ANOMALY_RULES_FILE} is not valid YAML: ${error.message}`);
+    return result;
+  }
+  result.source = ANOMALY_RULES_FILE;
+
+  for (const name of [].concat(doc.disable_builtin ?? [])) {
+    if (BUILTIN_ANOMALY_RULES.includes(name)) result.disabledBuiltins.add(name);
+    else result.errors.push(`disable_builtin: unknown built-in rule '${name}' (use ${BUILTIN_ANOMALY_RULES.join(", ")})`);
+  }
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) {
+    result.errors.push(`'rules' must be a list`);
+    return result;
+  }
+  (doc.rules || []).forEach((rule, index) => {
+    try {
+      result.rules.push(normalizeAnomalyRule(rule, index));
+    } catch (error) {
+      result.errors.push(error.message);
+    }
+  });
+  return result;
+}
+
+/**
+ * Evaluate user rules against one entity state
+ * @returns {object[]} Anomalies in the same shape as detectAnomaly()
+ */
+function evaluateAnomalyRules(state, rules) {
+  const anomalies = [];
+  const { entity_id, attributes = {} } = state;
+  const now = new Date();
+  const unchangedMs = now.getTime() - Date.parse(state.last_changed);
+
+  for (const rule of rules) {
+    if (rule.entityPatterns.length > 0 && !rule.entityPatterns.some(p => matchesPolicyPattern(entity_id, p))) continue;
+    if (rule.excludePatterns.some(p => matchesPolicyPattern(entity_id, p))) continue;
+    if (rule.deviceClasses.length > 0 && !rule.deviceClasses.includes(attributes.device_class)) continue;
+
+    const c = rule.condition;
+    const value = c.attribute !== undefined ? attributes[c.attribute] : state.state;
+    if (value === undefined || value === null) continue;
+    if (c.above !== undefined || c.below !== undefined) {
+      const number = Number(value);
+      if (value === "" || Number.isNaN(number)) continue;
+      if (c.above !== undefined && !(number > c.above)) continue;
+      if (c.below !== undefined && !(number < c.below)) continue;
+    }
+    if (c.state && !c.state.includes(String(value))) continue;
+    if (c.not_state && c.not_state.includes(String(value))) continue;
+    if (c.unchanged_for !== undefined && !(unchangedMs >= c.unchanged_for)) continue;
+    if (c.after !== undefined) {
+      // Time windows may wrap midnight ("22:00" to "06:00")
+      const minute = now.getHours() * 60 + now.getMinutes();
+      const inWindow = c.after <= c.before ? minute >= c.after && minute < c.before : minute >= c.after || minute < c.before;
+      if (!inWindow) continue;
+    }
+
+    const unit = c.attribute === undefined && attributes.unit_of_measurement ? attributes.unit_of_measurement : "";
+    const placeholders = {
+      entity_id,
+      name: attributes.friendly_name || entity_id,
+      state: state.state,
+      unit,
+      value: String(value),
+      duration: formatDuration(unchangedMs),
+    };
+    const reason = rule.message
+      ? rule.message.replace(/\{(\w+)\}/g, (match, key) => placeholders[key] ?? match)
+      : `${c.attribute !== undefined ? `${c.attribute} = ${value}` : `${state.state}${unit}`} (rule '${rule.name}')`;
+    anomalies.push({ entity_id, reason, severity: rule.severity, rule: rule.name });
+  }
+  return anomalies;
+}
+
+/**
+ * All anomalies for one entity: user rules plus the built-in heuristics that are not disabled
+ * @param {object} anomalyRules - Result of loadAnomalyRules()
+ */
+function detectAnomalies(state, anomalyRules) {
+  const builtin = detectAnomaly(state, anomalyRules?.disabledBuiltins);
+  return [...evaluateAnomalyRules(state, anomalyRules?.rules || []), ...(builtin ? [builtin] : [])];
+}
+
+/**
+ * Describe rule file problems for tool output, or "" when there are none
+ */
+function describeAnomalyRuleErrors(anomalyRules) {
+  if (anomalyRules.errors.length === 0) return "";
+  return `⚠️ Problems in anomaly rules (${ANOMALY_RULES_FILE}); affected rules were skipped:\n${anomalyRules.errors.map(e => `- ${e}`).join("\n")}\n\n`;
+}
+
+// ============================================================================
+// INTELLIGENCE LAYER - Semantic Analysis & Summaries
+// ============================================================================
+
+/**
+ * Generate a human-readable summary of entity states
+ * @param {object} [anomalyRules] - Result of loadAnomalyRules(); built-in heuristics only when omitted
+ */
+function generateStateSummary(states, anomalyRules) {
+  const byDomain = {};
+  const anomalies = [];
+  const unavailable = [];
+  
+  for (const state of states) {
+    const [domain] = state.entity_id.split(".");
+    if (!byDomain[domain]) {
+      byDomain[domain] = { count: 0, on: 0, off: 0, entities: [] };
+    }
+    byDomain[domain].count++;
+    byDomain[domain].entities.push(state);
+    
+    if (state.state === "on") byDomain[domain].on++;
+    if (state.state === "off") byDomain[domain].off++;
+    if (state.state === "unavailable" || state.state === "unknown") {
+      unavailable.push(state.entity_id);
+    }
+    
+    // Detect anomalies
+    anomalies.push(...detectAnomalies(state, anomalyRules));
+  }
+  
+  const lines = ["## Home Assistant State Summary\n"];
+  
+  // Domain overview
+  lines.push("### By Domain");
+  for (const [domain, info] of Object.entries(byDomain).sort((a, b) => b[1].count - a[1].count)) {
+    let detail = `${info.count} entities`;
+    if (info.on > 0 || info.off > 0) {
+      detail += ` (${info.on} on, ${info.off} off)`;
+    }
+    lines.push(`- **${domain}**: ${detail}`);
+  }
+  
+  // Unavailable entities
+  if (unavailable.length > 0) {
+    lines.push("\n### Unavailable/Unknown Entities");
+    for (const id of unavailable.slice(0, 10)) {
+      lines.push(`- ${id}`);
+    }
+    if (unavailable.length > 10) {
+      lines.push(`- ... and ${unavailable.length - 10} more`);
+    }
+  }
+  
+  // Anomalies
+  if (anomalies.length > 0) {
+    lines.push("\n### Potential Anomalies Detected");
+    for (const a of anomalies.slice(0, 5)) {
+      lines.push(`- **${a.entity_id}**: ${a.reason}`);
+    }
+  }
+  
+  return lines.join("\n");
+}
+
+/**
+ * Detect anomalies in entity states with the built-in heuristics
+ * @param {Set<string>} [disabled] - Names from BUILTIN_ANOMALY_RULES to skip
+ */
+function detectAnomaly(state, disabled = new Set()) {
+  const { entity_id, state: value, attributes } = state;
+  const [domain] = entity_id.split(".");
+  
+  // Battery low
+  if (!disabled.has("battery_low") && attributes?.battery_level !== undefined && attributes.battery_level < 20) {
+    return { entity_id, reason: `Low battery (${attributes.battery_level}%)`, severity: "warning" };
+  }
+  
+  // Temperature sensors out of normal range
+  if (!disabled.has("temperature_range") && domain === "sensor" && attributes?.device_class === "temperature") {
+    const temp = parseFloat(value);
+    if (!isNaN(temp)) {
+      const unit = attributes.unit_of_measurement || "°C";
+      const isCelsius = unit.includes("C");
+      const normalMin = isCelsius ? -10 : 14;
+      const normalMax = isCelsius ? 50 : 122;
+      if (temp < normalMin || temp > normalMax) {
+        return { entity_id, reason: `Unusual temperature: ${value}${unit}`, severity: "warning" };
+      }
+    }
+  }
+  
+  // Humidity out of range
+  if (!disabled.has("humidity_range") && domain === "sensor" && attributes?.device_class === "humidity") {
+    const humidity = parseFloat(value);
+    if (!isNaN(humidity) && (humidity < 10 || humidity > 95)) {
+      return { entity_id, reason: `Unusual humidity: ${value}%`, severity: "warning" };
+    }
+  }
+  
+  // Door/window sensors open for extended period
+  if (!disabled.has("door_open") && (domain === "binary_sensor") && 
+      (attributes?.device_class === "door" || attributes?.device_class === "window") &&
+      value === "on") {
+    const lastChanged = new Date(state.last_changed);
+    const hoursOpen = (Date.now() - lastChanged.getTime()) / (1000 * 60 * 60);
+    if (hoursOpen > 4) {
+      return { entity_id, reason: `Open for ${hoursOpen.toFixed(1)} hours`, severity: "info" };
+    }
+  }
+  
+  // Lights on during day (basic heuristic)
+  if (!disabled.has("light_daytime") && domain === "light" && value === "on") {
+    const hour = new Date().getHours();
+    if (hour >= 10 && hour <= 16) {
+      return { entity_id, reason: "Light on during daytime", severity: "info" };
+    }
+  }
+  
+  return null;
+}
+
+// ============================================================================
+// BASELINE ANOMALY DETECTION
+// ============================================================================
+//
+// Learns what is normal per entity instead of using fixed thresholds: hour-of-day
+// mean/stddev and typical hour-to-hour change from hourly recorder statistics,
+// and typical update interval and change rate from recent history.
+
+const BASELINE_MAX_ENTITIES = 300;
+const BASELINE_MIN_SAMPLES = 4; // Hourly means per hour of day before a deviation is trusted
+const BASELINE_HISTORY_HOURS = 48;
+const BASELINE_STALE_FACTOR = 10; // Stale after this many typical update intervals...
+const BASELINE_STALE_MIN_MS = 2 * 60 * 60 * 1000; // ...but never sooner than this
+const BASELINE_FLAP_MIN_CHANGES = 6; // Changes in the last hour before an entity can be flapping
+
+function meanAndStddev(values) {
+  if (values.length === 0) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((total, v) => total + (v - mean) ** 2, 0) / values.length;
+  return { mean, stddev: Math.sqrt(variance), count: values.length };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Hour of day (0-23) of a timestamp in Home Assistant's time zone
+ */
+function hourOfDay(time, timeZone) {
+  return Number(formatPeriodStart(time, timeZone, "hour").slice(11, 13));
+}
+
+/**
+ * Learn a numeric baseline from hourly statistics (mean/min/max rows)
+ * @returns {{ hours: Array<object|null>, overall: object|null, delta: object|null, variedShare: number, lastMean: number|null }}
+ */
+function buildStatisticBaseline(rows, timeZone) {
+  const byHour = Array.from({ length: 24 }, () => []);
+  const deltas = [];
+  let varied = 0;
+  let previous = null;
+  for (const row of rows) {
+    if (typeof row.mean !== "number") continue;
+    const start = new Date(row.start).getTime();
+    byHour[hourOfDay(start, timeZone)].push(row.mean);
+    // Only consecutive hours count towards the typical change
+    if (previous && start - previous.start <= 60 * 60 * 1000) deltas.push(row.mean - previous.mean);
+    if (typeof row.max === "number" && typeof row.min === "number" && row.max > row.min) varied++;
+    previous = { start, mean: row.mean };
+  }
+  const means = byHour.flat();
+  return {
+    hours: byHour.map(meanAndStddev),
+    overall: meanAndStddev(means),
+    delta: meanAndStddev(deltas),
+    variedShare: means.length > 0 ? varied / means.length : 0,
+    lastMean: previous?.mean ?? null,
+  };
+}
+
+/**
+ * Summarize recent history: change times, typical interval, and changes in the last hour
+ */
+function analyzeHistoryActivity(states, startMs, endMs) {
+  const changes = states
+    .map(s => ({ state: s.state, time: Date.parse(s.last_changed || s.last_updated) }))
+    .filter(c => c.time > startMs)
+    .sort((a, b) => a.time - b.time);
+  const intervals = changes.slice(1).map((c, i) => c.time - changes[i].time);
+  const hourAgo = endMs - 60 * 60 * 1000;
+  const earlierHours = (hourAgo - startMs) / (60 * 60 * 1000);
+  return {
+    changes: changes.length,
+    typicalInterval: intervals.length >= 4 ? median(intervals) : null,
+    lastHour: changes.filter(c => c.time > hourAgo).length,
+    hourlyRate: earlierHours > 0 ? changes.filter(c => c.time <= hourAgo).length / earlierHours : 0,
+    unavailableDrops: changes.filter((c, i) => UNAVAILABLE_STATES.includes(c.state) && !UNAVAILABLE_STATES.includes(changes[i - 1]?.state)).length,
+  };
+}
+
+/**
+ * Detect anomalies against learned baselines: deviation from the usual value at this
+ * hour of day, sudden step changes, stale sensors, and flapping entities.
+ * @param {object[]} states - Entities to check
+ * @param {object} options - days (statistics window), zThreshold, timeZone, and narrowed
+ *   (the caller picked the entities, so check every one instead of only sensors and binary sensors)
+ * @returns {Promise<{ anomalies: object[], checked: { statistics: number, history: number, skipped: number } }>}
+ */
+async function detectBaselineAnomalies(states, { days = 14, zThreshold = 3, timeZone, narrowed = false }) {
+  const now = Date.now();
+  const isNumeric = (s) => s.state !== "" && !Number.isNaN(Number(s.state));
+  const candidates = states
+    .filter(s => narrowed || s.entity_id.startsWith("binary_sensor.") || (s.entity_id.startsWith("sensor.") && isNumeric(s)))
+    .sort((a, b) => Number(Boolean(b.attributes?.device_class)) - Number(Boolean(a.attributes?.device_class)));
+  const checked = candidates.slice(0, BASELINE_MAX_ENTITIES);
+
+  // Hourly statistics only exist for measurements; meters (total_increasing) have no meaningful hourly mean
+  const statisticIds = checked
+    .filter(s => s.entity_id.startsWith("sensor.") && s.attributes?.state_class === "measurement" && isNumeric(s))
+    .map(s => s.entity_id);
+  const baselines = new Map();
+  if (statisticIds.length > 0) {
+    try {
+      const { statistics } = await getStatistics({
+        statisticIds,
+        start: new Date(now - days * 24 * 60 * 60 * 1000).toISOString(),
+        period: "hour",
+        types: ["mean", "min", "max"],
+      });
+      for (const [id, rows] of Object.entries(statistics)) baselines.set(id, buildStatisticBaseline(rows, timeZone));
+    } catch (e) {
+      sendLog("warning", "anomalies", { action: "statistics_failed", error: e.message });
+    }
+  }
+
+  const historyStart = now - BASELINE_HISTORY_HOURS * 60 * 60 * 1000;
+  const activity = new Map();
+  if (checked.length > 0) {
+    const params = new URLSearchParams({
+      filter_entity_id: checked.map(s => s.entity_id).join(","),
+      minimal_response: "true",
+      no_attributes: "true",
+    });
+    const history = await callHA(`/history/period/${encodeURIComponent(new Date(historyStart).toISOString())}?${params}`);
+    for (const group of history) {
+      if (group.length > 0) activity.set(group[0].entity_id, analyzeHistoryActivity(group, historyStart, now));
+    }
+  }
+
+  const anomalies = [];
+  for (const state of checked) {
+    const { entity_id } = state;
+    const baseline = baselines.get(entity_id);
+    const recent = activity.get(entity_id);
+    const unit = state.attributes?.unit_of_measurement ? ` ${state.attributes.unit_of_measurement}` : "";
+
+    if (baseline && isNumeric(state)) {
+      const value = Number(state.state);
+      const hour = hourOfDay(now, timeZone);
+      const usual = baseline.hours[hour];
+      if (usual && usual.count >= BASELINE_MIN_SAMPLES) {
+        // Floor the spread so a sensor that is flat at this hour still allows normal jitter
+        const sigma = Math.max(usual.stddev, (baseline.overall?.stddev || 0) * 0.25, 1e-6);
+        const z = (value - usual.mean) / sigma;
+        if (Math.abs(z) >= zThreshold) {
+          anomalies.push({
+            entity_id,
+            type: "deviation",
+            severity: Math.abs(z) >= zThreshold * 2 ? "warning" : "info",
+            reason: `${formatStatValue(value)}${unit} is ${z > 0 ? "above" : "below"} its usual ${formatStatValue(usual.mean)}${unit} ± ${formatStatValue(usual.stddev)} around ${String(hour).padStart(2, "0")}:00 (${formatStatValue(Math.abs(z))} σ)`,
+            details: { value, baseline_mean: usual.mean, baseline_stddev: usual.stddev, samples: usual.count, z },
+          });
+        }
+      }
+      if (baseline.delta && baseline.delta.count >= 24 && baseline.lastMean !== null) {
+        const step = value - baseline.lastMean;
+        const sigma = Math.max(baseline.delta.stddev, 1e-6);
+        if (Math.abs(step) / sigma >= zThreshold * 2 && Math.abs(step) > Math.abs(baseline.delta.mean) + sigma) {
+          anomalies.push({
+            entity_id,
+            type: "step_change",
+            severity: "info",
+            reason: `Jumped ${step > 0 ? "+" : ""}${formatStatValue(step)}${unit} from last hour's average ${formatStatValue(baseline.lastMean)}${unit}; hour-to-hour changes are usually within ± ${formatStatValue(sigma)}${unit}`,
+            details: { value, last_hour_mean: baseline.lastMean, typical_hourly_change: sigma },
+          });
+        }
+      }
+    }
+
+    if (entity_id.startsWith("sensor.") && !UNAVAILABLE_STATES.includes(state.state)) {
+      const lastSeen = Date.parse(state.last_reported || state.last_updated);
+      // Expected interval: from recent changes, or "at least hourly" when the statistics show it normally moves
+      const expected = recent?.typicalInterval || (baseline && baseline.variedShare >= 0.5 ? 60 * 60 * 1000 : null);
+      const age = now - lastSeen;
+      if (expected && age > Math.max(BASELINE_STALE_FACTOR * expected, BASELINE_STALE_MIN_MS)) {
+        anomalies.push({
+          entity_id,
+          type: "stale",
+          severity: "warning",
+          reason: `No update for ${formatDuration(age)} (normally every ${formatDuration(expected)}); the device may have stopped reporting while its last value is still shown`,
+          details: { last_seen: new Date(lastSeen).toISOString(), typical_interval_ms: expected },
+        });
+      }
+    }
+
+    if (recent) {
+      if (recent.lastHour >= BASELINE_FLAP_MIN_CHANGES && recent.lastHour >= 4 * Math.max(recent.hourlyRate, 1)) {
+        anomalies.push({
+          entity_id,
+          type: "flapping",
+          severity: "warning",
+          reason: `Changed ${recent.lastHour} times in the last hour (usually ${formatStatValue(recent.hourlyRate)} per hour)`,
+          details: { last_hour_changes: recent.lastHour, typical_hourly_changes: recent.hourlyRate },
+        });
+      } else if (recent.unavailableDrops >= 3) {
+        anomalies.push({
+          entity_id,
+          type: "flapping",
+          severity: "warning",
+          reason: `Became unavailable ${recent.unavailableDrops} times in the last ${BASELINE_HISTORY_HOURS} hours (unstable connection?)`,
+          details: { unavailable_drops: recent.unavailableDrops },
+        });
+      }
+    }
+  }
+
+  return {
+    anomalies,
+    checked: { statistics: baselines.size, history: activity.size, skipped: candidates.length - checked.length },
+  };
+}
+
+/**
+ * Search entities semantically
+ */
+function searchEntities(states, query) {
+  const queryLower = query.toLowerCase();
+  const terms = queryLower.split(/\s+/);
+  
+  const results = states.map(state => {
+    let score = 0;
+    const searchText = [
+      state.entity_id,
+      state.attributes?.friendly_name || "",
+      state.attributes?.device_class || "",
+      state.state,
+    ].join(" ").toLowerCase();
+    
+    for (const term of terms) {
+      if (searchText.includes(term)) {
+        score += 1;
+        if ((state.attributes?.friendly_name || "").toLowerCase().includes(term)) {
+          score += 2;
+        }
+        if (state.entity_id.includes(term)) {
+          score += 1;
+        }
+      }
+    }
+    
+    return { state, score };
+  }).filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 20)
+    .map(r => ({
+      entity_id: r.state.entity_id,
+      state: r.state.state,
+      friendly_name: r.state.attributes?.friendly_name,
+      device_class: r.state.attributes?.device_class,
+      score: r.score,
+    }));
+  
+  return results;
+}
+
+// Strongest relationship first; each related entity is listed once under its strongest link
+const RELATIONSHIP_ORDER = ["same_device", "same_area", "same_config_entry", "same_label", "same_floor"];
+const RELATIONSHIP_LIMITS = { same_device: 25, same_area: 15, same_config_entry: 10, same_label: 10, same_floor: 10 };
+
+/**
+ * Get entity relationships from the entity, device, area, floor, and label registries.
+ * State objects do not carry device or area ids, so everything here comes from the registries.
+ */
+async function getEntityRelationships(entityId) {
+  const [states, registries] = await Promise.all([callHA("/states"), getRegistries()]);
+  const entity = states.find(s => s.entity_id === entityId);
+  
+  if (!entity) {
+    return { error: "Entity not found" };
+  }
+  
+  const { entitiesById, devicesById, areasById, floorsById, labelsById } = registries;
+  const [domain] = entityId.split(".");
+  const entry = entitiesById.get(entityId);
+  const device = entry?.device_id ? devicesById.get(entry.device_id) : null;
+  const areaId = getEntityAreaId(entry, devicesById);
+  const area = areaId ? areasById.get(areaId) : null;
+  const floorId = area?.floor_id || null;
+  const labelIds = entry?.labels || [];
+  
+  let configEntry = null;
+  if (entry?.config_entry_id) {
+    try {
+      const entries = await callHA("/config/config_entries/entry");
+      const match = entries.find(e => e.entry_id === entry.config_entry_id);
+      if (match) {
+        configEntry = { entry_id: match.entry_id, domain: match.domain, title: match.title, state: match.state };
+      }
+    } catch (e) {
+      sendLog("debug", "relationships", { action: "config_entry_lookup_failed", error: e.message });
+    }
+  }
+  
+  const statesById = new Map(states.map(s => [s.entity_id, s]));
+  const related = [];
+  if (entry) {
+    for (const other of registries.entities) {
+      if (other.entity_id === entityId || !statesById.has(other.entity_id)) continue;
+      
+      const otherAreaId = getEntityAreaId(other, devicesById);
+      const sharedLabels = (other.labels || []).filter(id => labelIds.includes(id));
+      let relationship = null;
+      if (entry.device_id && other.device_id === entry.device_id) {
+        relationship = "same_device";
+      } else if (areaId && otherAreaId === areaId) {
+        relationship = "same_area";
+      } else if (entry.config_entry_id && other.config_entry_id === entry.config_entry_id) {
+        relationship = "same_config_entry";
+      } else if (sharedLabels.length > 0) {
+        relationship = "same_label";
+      } else if (floorId && otherAreaId && areasById.get(otherAreaId)?.floor_id === floorId) {
+        relationship = "same_floor";
+      }
+      if (!relationship) continue;
+      
+      const state = statesById.get(other.entity_id);
+      related.push({
+        entity_id: other.entity_id,
+        friendly_name: state.attributes?.friendly_name,
+        state: state.state,
+        relationship,
+        ...(sharedLabels.length > 0 && { shared_labels: sharedLabels.map(id => labelsById.get(id)?.name || id) }),
+      });
+    }
+  }
+  
+  const relationshipCounts = {};
+  const relatedEntities = [];
+  for (const relationship of RELATIONSHIP_ORDER) {
+    const group = related.filter(r => r.relationship === relationship);
+    relationshipCounts[relationship] = group.length;
+    relatedEntities.push(...group.slice(0, RELATIONSHIP_LIMITS[relationship]));
+  }
+  
+  return {
+    entity_id: entityId,
+    friendly_name: entity.attributes?.friendly_name,
+    state: entity.state,
+    domain,
+    device_class: entity.attributes?.device_class,
+    in_entity_registry: Boolean(entry),
+    platform: entry?.platform,
+    config_entry: configEntry,
+    device_id: device?.id,
+    device: device ? {
+      id: device.id,
+      name: device.name_by_user || device.name,
+      manufacturer: device.manufacturer,
+      model: device.model,
+      sw_version: device.sw_version,
+      via_device_id: device.via_device_id,
+    } : null,
+    area_id: areaId,
+    area_name: area?.name || null,
+    area_source: entry?.area_id ? "entity" : (areaId ? "device" : null),
+    floor_id: floorId,
+    floor_name: floorId ? floorsById.get(floorId)?.name || null : null,
+    labels: labelIds.map(id => labelsById.get(id)?.name || id),
+    attributes: entity.attributes,
+    relationship_counts: relationshipCounts,
+    related_entities: relatedEntities,
+  };
+}
+
+/**
+ * Generate automation suggestions
+ */
+function generateSuggestions(states) {
+  const suggestions = [];
+  
+  const motionSensors = states.filter(s => 
+    s.attributes?.device_class === "motion" || 
+    s.entity_id.includes("motion")
+  );
+  const lights = states.filter(s => s.entity_id.startsWith("light."));
+  
+  for (const motion of motionSensors) {
+    const areaId = motion.attributes?.area_id;
+    if (areaId) {
+      const areaLights = lights.filter(l => l.attributes?.area_id === areaId);
+      if (areaLights.length > 0) {
+        suggestions.push({
+          type: "motion_light",
+          title: "Motion-Activated Lighting",
+          description: `Create automation: When ${motion.attributes?.friendly_name || motion.entity_id} detects motion, turn on ${areaLights.map(l => l.attributes?.friendly_name || l.entity_id).join(", ")}`,
+          trigger_entity: motion.entity_id,
+          action_entities: areaLights.map(l => l.entity_id),
+        });
+      }
+    }
+  }
+  
+  const openings = states.filter(s => 
+    s.attributes?.device_class === "door" || 
+    s.attributes?.device_class === "window"
+  );
+  if (openings.length > 0) {
+    suggestions.push({
+      type: "security_alert",
+      title: "Security Alert Automation",
+      description: `Create notification when doors/windows are left open for extended periods`,
+      entities: openings.map(o => o.entity_id).slice(0, 5),
+    });
+  }
+  
+  const thermostats = states.filter(s => s.entity_id.startsWith("climate."));
+  const tempSensors = states.filter(s => s.attributes?.device_class === "temperature");
+  if (thermostats.length > 0 && tempSensors.length > 0) {
+    suggestions.push({
+      type: "climate_optimization",
+      title: "Climate Optimization",
+      description: "Create automations to adjust thermostat based on occupancy or outdoor temperature",
+      climate_entities: thermostats.map(t => t.entity_id),
+      sensor_entities: tempSensors.map(s => s.entity_id).slice(0, 3),
+    });
+  }
+  
+  const powerSensors = states.filter(s => 
+    s.attributes?.device_class === "power" || 
+    s.attributes?.device_class === "energy"
+  );
+  if (powerSensors.length > 0) {
+    suggestions.push({
+      type: "energy_monitoring",
+      title: "Energy Usage Alerts",
+      description: "Create alerts for unusual energy consumption patterns",
+      entities: powerSensors.map(p => p.entity_id).slice(0, 5),
+    });
+  }
+  
+  return suggestions;
+}
+
+// ============================================================================
+// DOCUMENTATION FETCHING HELPERS
+// ============================================================================
+
+/**
+ * Fetch a URL and return its text content
+ */
+async function fetchUrl(url) {
+  sendLog("debug", "docs", { action: "fetch", url });
+  
+  try {
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent": "HomeAssistant-MCP-Server/2.1.0",
+        "Accept": "text/html,application/xhtml+xml,text/plain",
+      },
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    return await response.text();
+  } catch (error) {
+    sendLog("error", "docs", { action: "fetch_error", url, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Extract meaningful content from HTML (basic extraction)
+ */
+function extractContentFromHtml(html) {
+  // Remove script and style tags
+  let content = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "");
+  content = content.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "");
+  content = content.replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, "");
+  content = content.replace(/<header[^>]*>[\s\S]*?<\/header>/gi, "");
+  content = content.replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, "");
+  
+  // Extract title
+  const titleMatch = content.match(/<title[^>]*>([^<]+)<\/title>/i);
+  const title = titleMatch ? titleMatch[1].trim() : "";
+  
+  // Extract meta description
+  const descMatch = content.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']+)["']/i);
+  const description = descMatch ? descMatch[1].trim() : "";
+  
+  // Try to find the main content area
+  let mainContent = "";
+  
+  // Look for article or main content
+  const articleMatch = content.match(/<article[^>]*>([\s\S]*?)<\/article>/i);
+  const mainMatch = content.match(/<main[^>]*>([\s\S]*?)<\/main>/i);
+  const contentMatch = content.match(/<div[^>]*class="[^"]*content[^"]*"[^>]*>([\s\S]*?)<\/div>/i);
+  
+  if (articleMatch) {
+    mainContent = articleMatch[1];
+  } else if (mainMatch) {
+    mainContent = mainMatch[1];
+  } else if (contentMatch) {
+    mainContent = contentMatch[1];
+  } else {
+    // Fall back to body
+    const bodyMatch = content.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+    mainContent = bodyMatch ? bodyMatch[1] : content;
+  }
+  
+  // Convert common HTML to text/markdown
+  mainContent = mainContent
+    // Code blocks
+    .replace(/<pre[^>]*><code[^>]*>([\s\S]*?)<\/code><\/pre>/gi, "\n```\n$1\n```\n")
+    .replace(/<code[^>]*>([^<]+)<\/code>/gi, "`$1`")
+    // Headings
+    .replace(/<h1[^>]*>([^<]+)<\/h1>/gi, "\n# $1\n")
+    .replace(/<h2[^>]*>([^<]+)<\/h2>/gi, "\n## $1\n")
+    .replace(/<h3[^>]*>([^<]+)<\/h3>/gi, "\n### $1\n")
+    .replace(/<h4[^>]*>([^<]+)<\/h4>/gi, "\n#### $1\n")
+    // Lists
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<\/li>/gi, "\n")
+    // Paragraphs and breaks
+    .replace(/<p[^>]*>/gi, "\n")
+    .replace(/<\/p>/gi, "\n")
+    .replace(/<br\s*\/?>/gi, "\n")
+    // Links - keep the text
+    .replace(/<a[^>]*>([^<]+)<\/a>/gi, "$1")
+    // Bold/strong
+    .replace(/<strong[^>]*>([^<]+)<\/strong>/gi, "**$1**")
+    .replace(/<b[^>]*>([^<]+)<\/b>/gi, "**$1**")
+    // Italic/em
+    .replace(/<em[^>]*>([^<]+)<\/em>/gi, "*$1*")
+    .replace(/<i[^>]*>([^<]+)<\/i>/gi, "*$1*")
+    // Remove remaining tags
+    .replace(/<[^>]+>/g, "")
+    // Decode common entities
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    // Clean up whitespace
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  
+  return { title, description, content: mainContent };
+}
+
+/**
+ * Extract configuration section from documentation
+ */
+function extractConfigurationSection(content) {
+  // Look for configuration-related sections
+  const configPatterns = [
+    /## Configuration[\s\S]*?(?=\n## |$)/i,
+    /## YAML Configuration[\s\S]*?(?=\n## |$)/i,
+    /### Configuration Variables[\s\S]*?(?=\n### |\n## |$)/i,
+    /## Setup[\s\S]*?(?=\n## |$)/i,
+  ];
+  
+  for (const pattern of configPatterns) {
+    const match = content.match(pattern);
+    if (match) {
+      return match[0].trim();
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Extract YAML examples from content
+ */
+function extractYamlExamples(content) {
+  const examples = [];
+  const codeBlockRegex = /```(?:yaml|YAML)?\n([\s\S]*?)```/g;
+  
+  let match;
+  while ((match = codeBlockRegex.exec(content)) !== null) {
+    examples.push(match[1].trim());
+  }
+  
+  return examples;
+}
+
+// ============================================================================
+// RELEASE NOTES (backward-incompatible changes per release)
+// ============================================================================
+//
+// Each release's blog post has a "Backward-incompatible changes" section with one
+// collapsible entry per integration. Entries are parsed into { title, integrations,
+// description } and cached on disk per release. A release is re-fetched daily for its
+// first month, while patch releases may still amend its notes; after that the cache is final.
+
+const RELEASE_NOTES_INDEX_URL = `${HA_BLOG_URL}/categories/release-notes/`;
+
+const RELEASE_NOTES_CACHE_DIR = `${HA_OPENCODE_DIR}/cache/release_notes`;
+
+const RELEASE_NOTES_REFRESH_MS = 24 * 60 * 60 * 1000;
+
+const RELEASE_NOTES_FRESH_DAYS = 31;
+
+/**
+ * Release ("2024.12") of a Home Assistant version ("2024.12.3", "2025.1.0b2"), or null
+ */
+function releaseOfVersion(version) {
+  const match = String(version || "").match(/^(\d{4})\.(\d{1,2})(?:\.|$|b)/);
+  return match ? `${match[1]}.${Number(match[2])}` : null;
+}
+
+/**
+ * Order two releases ("2024.12" < "2025.1")
+ */
+function compareReleases(a, b) {
+  const [ay, am] = a.split(".").map(Number);
+  const [by, bm] = b.split(".").map(Number);
+  return ay - by || am - bm;
+}
+
+/**
+ * Read a cached JSON document, or null when missing or unreadable
+ */
+async function readReleaseNotesCache(name) {
+  try {
+    return JSON.parse(await readFile(`${RELEASE_NOTES_CACHE_DIR}/${name}.json`, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a cached JSON document; caching is best effort
+ */
+async function writeReleaseNotesCache(name, data) {
+  try {
+    await mkdir(RELEASE_NOTES_CACHE_DIR, { recursive: true });
+    await writeFile(`${RELEASE_NOTES_CACHE_DIR}/${name}.json`, JSON.stringify(data));
+  } catch (error) {
+    sendLog("warning", "docs", { action: "release_notes_cache_write_failed", error: error.message });
+  }
+}
+
+/**
+ * Release notes posts by release, from the blog's release-notes category
+ * @returns {Promise<object>} { "2024.12": { url, date }, ... }
+ */
+async function getReleaseNotesIndex({ refresh = false } = {}) {
+  const cached = await readReleaseNotesCache("index");
+  if (cached && !refresh && Date.now() - Date.parse(cached.fetched_at) < RELEASE_NOTES_REFRESH_MS) return cached.releases;
+
+  try {
+    const html = await fetchUrl(RELEASE_NOTES_INDEX_URL);
+    const releases = {};
+    // Posts live at /blog/2024/12/04/release-202412/ (the month is not zero-padded in the slug)
+    const linkRegex = /href="(?:https:\/\/www\.home-assistant\.io)?(\/blog\/(\d{4})\/(\d{2})\/(\d{2})\/release-(\d{4})(\d{1,2})\/?)"/g;
+    let match;
+    while ((match = linkRegex.exec(html)) !== null) {
+      const release = `${match[5]}.${Number(match[6])}`;
+      releases[release] ??= { url: `${HA_DOCS_BASE}${match[1].replace(/\/?$/, "/")}`, date: `${match[2]}-${match[3]}-${match[4]}` };
+    }
+    if (Object.keys(releases).length === 0) throw new Error("no release posts found on the release notes page");
+    await writeReleaseNotesCache("index", { fetched_at: new Date().toISOString(), releases });
+    return releases;
+  } catch (error) {
+    // A stale index is better than none when the blog is unreachable
+    if (cached) return cached.releases;
+    throw new Error(`Could not load the release notes index (${RELEASE_NOTES_INDEX_URL}): ${error.message}`);
+  }
+}
+
+/**
+ * Parse the "Backward-incompatible changes" section of a release notes page.
+ * Throws when the section is missing or its entries are not recognized, so a layout
+ * change on the blog surfaces as a failure instead of "no breaking changes".
+ * @returns {object[]} { title, integrations, description, pull_requests }
+ */
+export function parseReleaseNotesBreakingChanges(html) {
+  const section = html.match(/<h2[^>]*id="(?:backward-incompatible-changes|breaking-changes)"[^>]*>[\s\S]*?(?=<h2[\s>]|$)/i);
+  if (!section) {
+    throw new Error('the release notes have no "Backward-incompatible changes" section; the page layout may have changed');
+  }
+
+  const toEntry = (titleHtml, bodyHtml) => {
+    const title = extractContentFromHtml(titleHtml).content.replace(/\*\*/g, "").trim();
+    const integrations = [...new Set([...bodyHtml.matchAll(/href="[^"]*\/integrations\/([a-z0-9_]+)\/?(?:#[^"]*)?"/g)].map(m => m[1]))];
+    if (integrations.length === 0 && title) integrations.push(title.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, ""));
+    return {
+      title,
+      integrations,
+      description: extractContentFromHtml(bodyHtml).content,
+      pull_requests: [...new Set([...bodyHtml.matchAll(/github\.com\/home-assistant\/core\/pull\/(\d+)/g)].map(m => Number(m[1])))],
+    };
+  };
+
+  const changes = [];
+  const detailsRegex = /<details[^>]*>\s*<summary[^>]*>([\s\S]*?)<\/summary>([\s\S]*?)<\/details>/gi;
+  let match;
+  while ((match = detailsRegex.exec(section[0])) !== null) changes.push(toEntry(match[1], match[2]));
+
+  // Older posts use an h3 per integration instead of collapsible entries
+  if (changes.length === 0) {
+    for (const part of section[0].split(/(?=<h3[\s>])/i).slice(1)) {
+      const heading = part.match(/<h3[^>]*>([\s\S]*?)<\/h3>/i);
+      if (heading) changes.push(toEntry(heading[1], part.slice(heading.index + heading[0].length)));
+    }
+  }
+  const entries = changes.filter(change => change.title);
+  if (entries.length === 0 && /\/integrations\/|\/core\/pull\//.test(section[0])) {
+    throw new Error('the "Backward-incompatible changes" section links to changes, but none could be read; the page layout may have changed');
+  }
+  return entries;
+}
+
+/**
+ * Backward-incompatible changes of one release, from the cache or the blog
+ */
+async function getReleaseBreakingChanges(release, index, { refresh = false } = {}) {
+  const post = index[release];
+  if (!post) throw new Error(`no release notes published for ${release}`);
+
+  // An empty list is never trusted from the cache: it may come from a page that did not parse
+  const stored = await readReleaseNotesCache(release);
+  const cached = stored?.changes?.length > 0 ? stored : null;
+  const settled = Date.now() - Date.parse(post.date) > RELEASE_NOTES_FRESH_DAYS * 86400000;
+  if (cached && !refresh && (settled || Date.now() - Date.parse(cached.fetched_at) < RELEASE_NOTES_REFRESH_MS)) {
+    return cached;
+  }
+
+  try {
+    const notes = {
+      release,
+      url: post.url,
+      date: post.date,
+      fetched_at: new Date().toISOString(),
+      changes: parseReleaseNotesBreakingChanges(await fetchUrl(post.url)),
+    };
+    if (notes.changes.length > 0) await writeReleaseNotesCache(release, notes);
+    return notes;
+  } catch (error) {
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Integrations loaded in Home Assistant, from /config components ("mqtt", "mqtt.sensor", "sensor.template")
+ */
+async function getLoadedIntegrations() {
+  const config = await callHA("/config");
+  return { version: config.version, integrations: new Set((config.components || []).flatMap(c => c.split("."))) };
+}
+
+/**
+ * Backward-incompatible changes between two versions, marked by whether they affect a loaded integration
+ * @param {object} options - from (installed version), to (target version), release (one release instead of a range), refresh
+ * @returns {Promise<{ releases: string[], changes: object[], failures: object[], loaded: Set|null }>}
+ */
+async function analyzeBreakingChanges({ from, to, release, refresh = false }) {
+  const index = await getReleaseNotesIndex({ refresh });
+  const fromRelease = releaseOfVersion(from);
+  const toRelease = releaseOfVersion(to);
+  const releases = release
+    ? [releaseOfVersion(release) || release]
+    : Object.keys(index)
+      .filter(r => fromRelease && toRelease && compareReleases(r, fromRelease) > 0 && compareReleases(r, toRelease) <= 0)
+      .sort(compareReleases);
+  // A release that is newer than the newest post (a beta, or notes not out yet) has nothing to show
+  if (!release && toRelease && fromRelease && compareReleases(toRelease, fromRelease) > 0 && !index[toRelease]) {
+    releases.push(toRelease);
+  }
+
+  let loaded = null;
+  try {
+    loaded = (await getLoadedIntegrations()).integrations;
+  } catch (error) {
+    sendLog("warning", "docs", { action: "components_fetch_failed", error: error.message });
+  }
+
+  const changes = [];
+  const failures = [];
+  for (const r of releases) {
+    try {
+      const notes = await getReleaseBreakingChanges(r, index, { refresh });
+      for (const change of notes.changes) {
+        changes.push({
+          ...change,
+          version: r,
+          url: `${notes.url}#backward-incompatible-changes`,
+          affects_installed: loaded ? change.integrations.some(i => loaded.has(i)) : null,
+        });
+      }
+    } catch (error) {
+      failures.push({ release: r, error: error.message });
+    }
+  }
+  return { releases, changes, failures, loaded };
+}
+
+// ============================================================================
+// UPDATE READINESS (pre-flight checks for update_component)
+// ============================================================================
+
+// Free space below these (GB) blocks or questions an update; images are unpacked before the old one is removed
+const UPDATE_MIN_FREE_GB = 1;
+const UPDATE_WARN_FREE_GB = 3;
+
+const UPDATE_BACKUP_MAX_AGE_HOURS = 24;
+
+// Words in changelog entries that deserve a closer look before updating
+const CHANGELOG_ATTENTION_REGEX = /breaking|backward[- ]incompatible|migrat|no longer|removed|deprecat/i;
+
+/**
+ * Order two dotted versions ("2.10.1" > "2.9"); non-numeric parts compare as text
+ */
+function compareVersions(a, b) {
+  const pa = String(a).replace(/^v/, "").split(/[.\-+]/);
+  const pb = String(b).replace(/^v/, "").split(/[.\-+]/);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const x = pa[i] ?? "0";
+    const y = pb[i] ?? "0";
+    const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Changelog sections for versions after installed, up to and including latest.
+ * Sections start at headings like "## 1.2.3", "### [1.2.3] - 2025-01-01", or "# v1.2.3".
+ * @returns {Array<{ version: string, text: string }>}
+ */
+function extractChangelogEntries(changelog, installed, latest) {
+  const sections = [];
+  for (const line of String(changelog).split("\n")) {
+    const heading = line.match(/^#{1,4}\s*\[?v?(\d+(?:\.\d+)+[\w.-]*)\]?/);
+    if (heading) sections.push({ version: heading[1], lines: [] });
+    else if (sections.length > 0) sections[sections.length - 1].lines.push(line);
+  }
+  return sections
+    .filter(s => compareVersions(s.version, installed) > 0 && compareVersions(s.version, latest) <= 0)
+    .map(s => ({ version: s.version, text: s.lines.join("\n").trim() }));
+}
+
+/**
+ * Newest backup that covers what an update replaces: the Home Assistant config for
+ * core, the app for an app update, and a full backup for OS and Supervisor
+ */
+function findCoveringBackup(backups, component, addonSlug) {
+  const covers = (backup) => {
+    if (backup.type === "full") return true;
+    if (component === "core") return Boolean(backup.content?.homeassistant);
+    if (component === "addon") return (backup.content?.addons || []).includes(addonSlug);
+    return false;
+  };
+  return [...backups].filter(covers).sort((a, b) => new Date(b.date) - new Date(a.date))[0] || null;
+}
+
+// ============================================================================
+// HOME ASSISTANT YAML (parsing, includes, deprecation rules)
+// ============================================================================
+//
+// Configuration is parsed into a small tree of map, seq, and scalar nodes that
+// carry their file, line, and column, so findings can point at the exact spot.
+// Home Assistant's tags are understood: !include and !include_dir_* are followed
+// when checking files in the config directory (never for pasted snippets), and
+// !secret, !input, and !env_var are kept as tagged scalars and never resolved.
+
+const HA_INCLUDE_TAGS = ["!include", "!include_dir_list", "!include_dir_named", "!include_dir_merge_list", "!include_dir_merge_named"];
+const HA_YAML_TAGS = [...HA_INCLUDE_TAGS, "!secret", "!input", "!env_var"].map(tag => ({ tag, resolve: (value) => value }));
+const HA_INCLUDE_MAX_DEPTH = 10;
+// Nodes reached through aliases, per parse; nested aliases otherwise grow exponentially
+const HA_YAML_MAX_ALIAS_NODES = 10000;
+
+/**
+ * Display a file relative to the config directory
+ */
+function configRelativePath(file) {
+  return file.startsWith(`${HA_CONFIG_DIR}/`) ? relative(HA_CONFIG_DIR, file) : file;
+}
+
+/**
+ * "file:line:col" for a tree location (snippets have no file)
+ */
+function formatConfigLocation(loc) {
+  if (!loc) return "";
+  return loc.file ? `${configRelativePath(loc.file)}:${loc.line}:${loc.col}` : `line ${loc.line}, column ${loc.col}`;
+}
+
+/**
+ * Resolve a user-supplied path ("configuration.yaml", "/config/packages/x.yaml") inside the config directory
+ */
+function resolveConfigPath(path) {
+  const file = resolvePath(HA_CONFIG_DIR, String(path).replace(/^\/config(\/|$)/, ""));
+  if (file !== HA_CONFIG_DIR && !file.startsWith(`${HA_CONFIG_DIR}/`)) {
+    throw new Error(`${path} is outside the Home Assistant configuration directory`);
+  }
+  return file;
+}
+
+/**
+ * YAML files for !include_dir_*: recursive, sorted, skipping hidden entries and secrets.yaml (as Home Assistant does)
+ */
+async function listIncludeDirFiles(dir) {
+  const files = [];
+  for (const entry of (await readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith(".")) continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listIncludeDirFiles(path));
+    else if (entry.name.endsWith(".yaml") && entry.name !== "secrets.yaml") files.push(path);
+  }
+  return files;
+}
+
+/**
+ * Parse one YAML text and convert it to a config tree
+ * @param {object} state - Shared across included files: errors, warnings, files, followIncludes
+ * @param {string|null} file - Absolute path, or null for a snippet
+ */
+async function buildConfigTreeFromText(text, file, state, stack = []) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { customTags: HA_YAML_TAGS, lineCounter, merge: true });
+  if (file) state.files.push(file);
+  state.sources.set(file, text);
+
+  const toIssue = (e) => ({
+    loc: e.linePos?.[0] ? { file, line: e.linePos[0].line, col: e.linePos[0].col } : { file, line: 1, col: 1 },
+    message: e.message.split("\n")[0].replace(/ at line \d+, column \d+:?$/, ""),
+    code: e.code,
+  });
+  // Home Assistant warns about duplicate keys rather than refusing the file
+  for (const e of doc.errors) (e.code === "DUPLICATE_KEY" ? state.warnings : state.errors).push(toIssue(e));
+  for (const e of doc.warnings) state.warnings.push(toIssue(e));
+  if (doc.errors.some(e => e.code !== "DUPLICATE_KEY")) return null;
+
+  const location = (node) => ({ file, ...lineCounter.linePos(node?.range?.[0] ?? 0) });
+  // range is [start, value end, node end] as offsets into this file's text, for migrations
+
+  // The tree is walked by hand, so yaml's own maxAliasCount does not apply here.
+  // ancestors holds the collections being converted, to catch anchors that contain their own alias.
+  const ancestors = new Set();
+  const convert = async (node, viaAlias = false) => {
+    if (!node) return null;
+    if (isAlias(node)) {
+      const target = node.resolve(doc);
+      if (ancestors.has(target)) {
+        state.errors.push({ loc: location(node), message: `alias *${node.source} refers to a node that contains it`, code: "ALIAS_CYCLE" });
+        return null;
+      }
+      return convert(target, true);
+    }
+    if (viaAlias) {
+      state.aliasNodes = (state.aliasNodes || 0) + 1;
+      if (state.aliasNodes > HA_YAML_MAX_ALIAS_NODES) {
+        if (state.aliasNodes === HA_YAML_MAX_ALIAS_NODES + 1) {
+          state.errors.push({ loc: location(node), message: `aliases expand to more than ${HA_YAML_MAX_ALIAS_NODES} nodes`, code: "ALIAS_LIMIT" });
+        }
+        return null;
+      }
+    }
+    const loc = location(node);
+    if (isMap(node)) {
+      ancestors.add(node);
+      const entries = [];
+      for (const pair of node.items) {
+        const rawKey = isScalar(pair.key) ? pair.key.value : pair.key;
+        const value = await convert(pair.value, viaAlias);
+        if (rawKey === "<<" || (typeof rawKey === "symbol" && rawKey.description === "<<")) {
+          // Merge keys: splice the referenced mapping(s) in
+          for (const source of value?.type === "seq" ? value.items : [value]) {
+            if (source?.type === "map") entries.push(...source.entries);
+          }
+          continue;
+        }
+        entries.push({ key: String(rawKey), keyLoc: location(pair.key), keyRange: pair.key?.range, value });
+      }
+      ancestors.delete(node);
+      return { type: "map", entries, loc, range: node.range, flow: Boolean(node.flow) };
+    }
+    if (isSeq(node)) {
+      ancestors.add(node);
+      const items = [];
+      for (const item of node.items) items.push(await convert(item, viaAlias));
+      ancestors.delete(node);
+      return { type: "seq", items, loc, range: node.range, flow: Boolean(node.flow) };
+    }
+    if (isScalar(node)) {
+      const scalar = { type: "scalar", value: node.value, tag: node.tag, loc, range: node.range };
+      return HA_INCLUDE_TAGS.includes(node.tag) ? resolveConfigInclude(scalar, file, state, stack) : scalar;
+    }
+    return null;
+  };
+  const root = await convert(doc.contents);
+  state.roots.set(file, root);
+  return root;
+}
+
+/**
+ * Replace an include scalar with the included content; on failure keep the scalar and record an error
+ */
+async function resolveConfigInclude(scalar, file, state, stack) {
+  if (!state.followIncludes || !file) return scalar;
+  const target = resolvePath(dirname(file), String(scalar.value));
+  const fail = (message) => {
+    state.errors.push({ loc: scalar.loc, message: `${scalar.tag} ${scalar.value}: ${message}`, code: "INCLUDE" });
+    return scalar;
+  };
+  if (target !== HA_CONFIG_DIR && !target.startsWith(`${HA_CONFIG_DIR}/`)) return fail("outside the configuration directory");
+  if (stack.length >= HA_INCLUDE_MAX_DEPTH) return fail(`includes nested more than ${HA_INCLUDE_MAX_DEPTH} deep`);
+  if (stack.includes(target)) return fail("include loop");
+
+  const load = async (path) => buildConfigTreeFromText(await readFile(path, "utf8"), path, state, [...stack, file]);
+  try {
+    if (scalar.tag === "!include") return await load(target);
+    const roots = [];
+    for (const path of await listIncludeDirFiles(target)) roots.push({ path, root: await load(path) });
+    switch (scalar.tag) {
+      case "!include_dir_list":
+        return { type: "seq", items: roots.map(r => r.root), loc: scalar.loc };
+      case "!include_dir_named":
+        return {
+          type: "map",
+          entries: roots.map(r => ({ key: basename(r.path, ".yaml"), keyLoc: { file: r.path, line: 1, col: 1 }, value: r.root })),
+          loc: scalar.loc,
+        };
+      case "!include_dir_merge_list":
+        return { type: "seq", items: roots.flatMap(r => (r.root?.type === "seq" ? r.root.items : [])), loc: scalar.loc };
+      default:
+        return { type: "map", entries: roots.flatMap(r => (r.root?.type === "map" ? r.root.entries : [])), loc: scalar.loc };
+    }
+  } catch (e) {
+    return fail(e.code === "ENOENT" ? "not found" : e.code === "ENOTDIR" ? "not a directory" : e.message);
+  }
+}
+
+/**
+ * Parse Home Assistant YAML (a snippet, or a file with its includes) into a location-aware tree
+ * @param {object} options - text (snippet) or file (absolute path, includes followed)
+ * @returns {Promise<{ root: object|null, errors: object[], warnings: object[], files: string[], sources: Map, roots: Map }>}
+ *   sources and roots hold each file's text and tree, keyed by path (null for a snippet)
+ */
+async function parseHaConfig({ text, file }) {
+  const state = { errors: [], warnings: [], files: [], sources: new Map(), roots: new Map(), followIncludes: Boolean(file) };
+  const root = await buildConfigTreeFromText(file ? await readFile(file, "utf8") : text, file || null, state);
+  return { root, errors: state.errors, warnings: state.warnings, files: state.files, sources: state.sources, roots: state.roots };
+}
+
+/**
+ * Parse the yaml_config or path argument of the config tools. A bare list (automations,
+ * sensor platforms) is treated as the config of the given integration.
+ * @returns {Promise<{ file: string|null, parsed: object, root: object|null }>}
+ */
+async function parseConfigArgument({ yaml_config, path, integration }) {
+  if (!yaml_config && !path) {
+    throw new Error("Provide yaml_config (a snippet) or path (a file in the configuration directory)");
+  }
+  const file = path ? resolveConfigPath(path) : null;
+  let parsed;
+  try {
+    parsed = await parseHaConfig(file ? { file } : { text: yaml_config });
+  } catch (error) {
+    throw new Error(error.code === "ENOENT" ? `${path} not found in the configuration directory` : error.message);
+  }
+  const root = parsed.root?.type === "seq" && integration
+    ? { type: "map", entries: [{ key: integration, keyLoc: parsed.root.loc, value: parsed.root }], loc: parsed.root.loc }
+    : parsed.root;
+  return { file, parsed, root };
+}
+
+/**
+ * Mapping entry by key
+ */
+function getConfigEntry(node, key) {
+  return node?.type === "map" ? node.entries.find(e => e.key === key) : undefined;
+}
+
+/**
+ * Integration keys at the top level and inside packages ("sensor 2:" counts as sensor)
+ * @returns {Array<{ domain: string, entry: object, path: string }>}
+ */
+function getConfigDomains(root) {
+  const domains = [];
+  const collect = (node, prefix) => {
+    if (node?.type !== "map") return;
+    for (const entry of node.entries) domains.push({ domain: entry.key.split(" ")[0], entry, path: `${prefix}${entry.key}` });
+  };
+  collect(root, "");
+  const packages = getConfigEntry(getConfigEntry(root, "homeassistant")?.value, "packages")?.value;
+  for (const pkg of packages?.type === "map" ? packages.entries : []) {
+    collect(pkg.value, `homeassistant.packages.${pkg.key}.`);
+  }
+  return domains;
+}
+
+/**
+ * Every mapping entry in the tree with its dotted path, its mapping, and the key that holds that mapping
+ * (through lists, so entries of trigger items have parentKey "trigger")
+ */
+function* walkConfigTree(node, path = "", parentKey = null) {
+  if (node?.type === "map") {
+    for (const entry of node.entries) {
+      const entryPath = path ? `${path}.${entry.key}` : entry.key;
+      yield { entry, path: entryPath, map: node, parentKey };
+      yield* walkConfigTree(entry.value, entryPath, entry.key);
+    }
+  } else if (node?.type === "seq") {
+    for (const [i, item] of node.items.entries()) yield* walkConfigTree(item, `${path}[${i}]`, parentKey);
+  }
+}
+
+// Deprecation rules come in versioned packs: the built-in pack below plus any
+// .yaml, .yml, or .json files in the rules directory, read on every check:
+//
+//   version: 1
+//   name: my_rules
+//   disable: [yaml_customize]
+//   rules:
+//     - id: legacy_mqtt_light
+//       match: { domain: light, platform: mqtt }
+//       message: "MQTT lights belong under the top-level mqtt: key."
+//       deprecated_in: "2022.6"
+//
+// match selects where a rule applies:
+// - domain: integration key(s), at the top level or in packages ("sensor 2:" counts as sensor)
+// - platform: items under the domain with this platform (a string or a list)
+// - missing_key: items under the domain without this key
+// - key: a key directly under the domain; anywhere below it with deep: true; only in
+//   mappings held by one of the inside keys (through lists); anywhere at all without a domain
+//
+// fix makes a rule machine-applicable for migrate_config: { type: rename_key, to },
+// { type: remove_key }, or { type: template_platform } (legacy "platform: template"
+// items to the template: integration). A rule with the id of an earlier one replaces it.
+
+const DEPRECATION_RULES_DIR = process.env.HA_MCP_DEPRECATION_RULES_DIR || `${HA_OPENCODE_DIR}/deprecation_rules`;
+
+const DEPRECATION_PACK_VERSION = 1;
+
+const DEPRECATION_MATCH_KEYS = ["domain", "platform", "missing_key", "key", "deep", "inside"];
+
+const DEPRECATION_FIX_TYPES = ["rename_key", "remove_key", "template_platform"];
+
+const DEPRECATION_SEVERITIES = ["info", "warning", "error"];
+
+// Keys that hold actions in automations, scripts, and template entities
+const ACTION_LIST_KEYS = [
+  "action", "actions", "sequence", "then", "else", "default", "parallel",
+  "turn_on", "turn_off", "open_cover", "close_cover", "stop_cover", "set_cover_position", "set_cover_tilt_position",
+];
+
+const BUILTIN_DEPRECATION_PACK = {
+  version: DEPRECATION_PACK_VERSION,
+  name: "builtin",
+  rules: [
+    {
+      id: "legacy_template_sensor",
+      match: { domain: "sensor", platform: "template" },
+      message: "Legacy template sensor syntax detected. Use top-level 'template:' key instead.",
+      suggestion: "template:\n  - sensor:\n      - name: \"My Sensor\"\n        state: \"{{ states('...') }}\"",
+      integration: "template",
+      deprecated_in: "2024.1",
+      fix: { type: "template_platform" },
+    },
+    {
+      id: "legacy_template_binary_sensor",
+      match: { domain: "binary_sensor", platform: "template" },
+      message: "Legacy template binary_sensor syntax detected. Use top-level 'template:' key instead.",
+      suggestion: "template:\n  - binary_sensor:\n      - name: \"My Sensor\"\n        state: \"{{ is_state('...', 'on') }}\"",
+      integration: "template",
+      deprecated_in: "2024.1",
+      fix: { type: "template_platform" },
+    },
+    {
+      id: "entity_namespace",
+      match: { key: "entity_namespace" },
+      message: "'entity_namespace' is deprecated. Use 'unique_id' for entity identification instead.",
+      suggestion: "Remove entity_namespace and add unique_id to each entity.",
+      deprecated_in: "2023.8",
+    },
+    {
+      id: "time_date_platform",
+      match: { domain: "sensor", platform: "time_date" },
+      message: "The time_date sensor platform is deprecated.",
+      suggestion: "Use template sensors with now() or built-in date/time entities.",
+      integration: "time_date",
+      deprecated_in: "2024.6",
+    },
+    {
+      id: "automation_without_id",
+      match: { domain: "automation", missing_key: "id" },
+      message: "Consider using automation ID for better organization.",
+      suggestion: "Add 'id: unique_automation_id' to enable UI editing and better tracking.",
+      severity: "info",
+    },
+    {
+      id: "legacy_device_tracker",
+      match: { domain: "device_tracker", platform: ["nmap_tracker", "netgear", "ping"] },
+      message: "Legacy device tracker platforms may have limited functionality.",
+      suggestion: "Consider using the device_tracker integration with the UI for better device tracking.",
+      severity: "info",
+    },
+    {
+      id: "legacy_template_cover",
+      match: { domain: "cover", platform: "template" },
+      message: "Legacy template cover syntax detected. Use top-level 'template:' key instead.",
+      suggestion: "template:\n  - cover:\n      - name: \"My Cover\"\n        state: \"{{ ... }}\"",
+      integration: "template",
+      deprecated_in: "2024.1",
+      fix: { type: "template_platform" },
+    },
+    {
+      id: "legacy_template_switch",
+      match: { domain: "switch", platform: "template" },
+      message: "Legacy template switch syntax detected. Consider using top-level 'template:' key.",
+      suggestion: "template:\n  - switch:\n      - name: \"My Switch\"\n        state: \"{{ ... }}\"",
+      integration: "template",
+      deprecated_in: "2024.4",
+      fix: { type: "template_platform" },
+    },
+    {
+      id: "yaml_customize",
+      match: { domain: "homeassistant", key: "customize" },
+      message: "Entity customizations in configuration.yaml work but UI customizations are preferred.",
+      suggestion: "Consider using the UI (Settings -> Devices & Services -> Entities) for customizations.",
+      severity: "info",
+    },
+    {
+      id: "white_value",
+      match: { key: "white_value" },
+      message: "'white_value' is deprecated in light services.",
+      suggestion: "Use 'white' instead of 'white_value' in light service calls.",
+      deprecated_in: "2023.3",
+      fix: { type: "rename_key", to: "white" },
+    },
+    {
+      id: "service_to_action",
+      match: { domain: ["automation", "script", "template"], key: "service", inside: ACTION_LIST_KEYS },
+      message: "'service:' in actions was renamed to 'action:' in 2024.8. The old key still works.",
+      suggestion: "Use 'action: light.turn_on' instead of 'service: light.turn_on'.",
+      severity: "info",
+      fix: { type: "rename_key", to: "action" },
+    },
+    {
+      id: "trigger_platform",
+      match: { domain: ["automation", "script", "template"], key: "platform", inside: ["trigger", "triggers", "wait_for_trigger"] },
+      message: "'platform:' in triggers was renamed to 'trigger:' in 2024.10. The old key still works.",
+      suggestion: "Use 'trigger: state' instead of 'platform: state' in triggers.",
+      severity: "info",
+      fix: { type: "rename_key", to: "trigger" },
+    },
+  ],
+};
+
+/**
+ * Validate one rule from a pack
+ */
+function normalizeDeprecationRule(rule, index, pack) {
+  const where = `${pack}: rule ${rule?.id ? `'${rule.id}'` : index + 1}`;
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) throw new Error(`${where}: must be a mapping`);
+  if (typeof rule.id !== "string" || !rule.id) throw new Error(`${where}: needs an id`);
+  if (typeof rule.message !== "string") throw new Error(`${where}: needs a message`);
+
+  const match = rule.match;
+  if (!match || typeof match !== "object" || Array.isArray(match)) throw new Error(`${where}: needs a match mapping`);
+  const unknown = Object.keys(match).filter(k => !DEPRECATION_MATCH_KEYS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown match key(s) ${unknown.join(", ")}; use ${DEPRECATION_MATCH_KEYS.join(", ")}`);
+  }
+  const selectors = ["platform", "missing_key", "key"].filter(k => match[k] !== undefined);
+  if (selectors.length !== 1) throw new Error(`${where}: match needs exactly one of platform, missing_key, key`);
+  if (!match.domain && !match.key) throw new Error(`${where}: platform and missing_key need a domain`);
+  if (match.inside !== undefined && (!Array.isArray(match.inside) || match.inside.some(k => typeof k !== "string"))) {
+    throw new Error(`${where}: 'inside' must be a list of keys`);
+  }
+  for (const key of ["deprecated_in", "removed_in"]) {
+    if (rule[key] !== undefined && typeof rule[key] !== "string") {
+      // YAML reads 2024.10 as the number 2024.1
+      throw new Error(`${where}: '${key}' must be a quoted version string like "2024.10"`);
+    }
+  }
+  const severity = rule.severity || (rule.deprecated_in ? "warning" : "info");
+  if (!DEPRECATION_SEVERITIES.includes(severity)) {
+    throw new Error(`${where}: severity must be one of ${DEPRECATION_SEVERITIES.join(", ")}`);
+  }
+
+  const fix = rule.fix;
+  if (fix !== undefined) {
+    if (!DEPRECATION_FIX_TYPES.includes(fix?.type)) throw new Error(`${where}: fix type must be one of ${DEPRECATION_FIX_TYPES.join(", ")}`);
+    if (fix.type === "rename_key" && (!match.key || typeof fix.to !== "string")) {
+      throw new Error(`${where}: rename_key needs a key match and 'to'`);
+    }
+    if (fix.type === "remove_key" && !match.key) throw new Error(`${where}: remove_key needs a key match`);
+    if (fix.type === "template_platform" && (match.platform !== "template" || !LEGACY_TEMPLATE_PLATFORMS[match.domain])) {
+      throw new Error(`${where}: template_platform needs platform: template under ${Object.keys(LEGACY_TEMPLATE_PLATFORMS).join(", ")}`);
+    }
+  }
+
+  return {
+    id: rule.id,
+    match: { ...match, ...(match.domain !== undefined && { domain: [].concat(match.domain).map(String) }) },
+    message: rule.message,
+    suggestion: rule.suggestion ? String(rule.suggestion) : null,
+    integration: rule.integration || null,
+    deprecated_in: rule.deprecated_in,
+    removed_in: rule.removed_in,
+    severity,
+    fix: fix || null,
+  };
+}
+
+/**
+ * Load the built-in pack and the user's packs. Never throws: problems are returned in
+ * errors and the affected packs or rules are skipped.
+ * @returns {Promise<{ rules: object[], packs: object[], errors: string[] }>}
+ */
+async function loadDeprecationRules() {
+  const result = { rules: [], packs: [], errors: [] };
+  const packs = [{ source: "built-in", pack: BUILTIN_DEPRECATION_PACK }];
+
+  let names = [];
+  try {
+    names = (await readdir(DEPRECATION_RULES_DIR)).filter(n => /\.(ya?ml|json)$/.test(n)).sort();
+  } catch (error) {
+    if (error.code !== "ENOENT") result.errors.push(`${DEPRECATION_RULES_DIR} could not be read: ${error.message}`);
+  }
+  for (const name of names) {
+    const path = join(DEPRECATION_RULES_DIR, name);
+    try {
+      const text = await readFile(path, "utf8");
+      packs.push({ source: path, pack: name.endsWith(".json") ? JSON.parse(text) : parseYaml(text) });
+    } catch (error) {
+      result.errors.push(`${name} could not be loaded: ${error.message}`);
+    }
+  }
+
+  const rules = new Map();
+  const disabled = new Set();
+  for (const { source, pack } of packs) {
+    const where = source === "built-in" ? "built-in" : basename(source);
+    if (!pack || typeof pack !== "object" || Array.isArray(pack)) {
+      result.errors.push(`${where}: must be a mapping with version and rules`);
+      continue;
+    }
+    if (pack.version !== DEPRECATION_PACK_VERSION) {
+      result.errors.push(`${where}: unsupported pack version ${JSON.stringify(pack.version)} (expected ${DEPRECATION_PACK_VERSION})`);
+      continue;
+    }
+    if (pack.rules !== undefined && !Array.isArray(pack.rules)) {
+      result.errors.push(`${where}: 'rules' must be a list`);
+      continue;
+    }
+    for (const id of [].concat(pack.disable ?? [])) disabled.add(String(id));
+    let count = 0;
+    (pack.rules || []).forEach((rule, index) => {
+      try {
+        const normalized = normalizeDeprecationRule(rule, index, where);
+        rules.set(normalized.id, { ...normalized, pack: pack.name || where });
+        count++;
+      } catch (error) {
+        result.errors.push(error.message);
+      }
+    });
+    result.packs.push({ name: pack.name || where, source, rules: count });
+  }
+
+  for (const id of disabled) {
+    if (!rules.has(id)) result.errors.push(`disable: unknown rule '${id}'`);
+  }
+  result.rules = [...rules.values()].filter(rule => !disabled.has(rule.id));
+  return result;
+}
+
+/**
+ * Describe rule pack problems for tool output, or "" when there are none
+ */
+function describeDeprecationRuleErrors(ruleSet) {
+  if (ruleSet.errors.length === 0) return "";
+  return `⚠️ Problems in deprecation rule packs (${DEPRECATION_RULES_DIR}); affected rules were skipped:\n${ruleSet.errors.map(e => `- ${e}`).join("\n")}\n\n`;
+}
+
+/**
+ * Locations in the tree where a deprecation rule matches. target holds the tree nodes a fix needs.
+ * @returns {Array<{ loc: object, path: string, target: object }>}
+ */
+function findDeprecationMatches(rule, root) {
+  const { domain, platform, missing_key, key, deep, inside } = rule.match;
+  const matches = [];
+  const findKey = (node, path, parentKey) => {
+    for (const found of walkConfigTree(node, path, parentKey)) {
+      if (found.entry.key !== key || (inside && !inside.includes(found.parentKey))) continue;
+      matches.push({ loc: found.entry.keyLoc, path: found.path, target: { entry: found.entry, map: found.map } });
+    }
+  };
+  if (!domain) {
+    findKey(root, "", null);
+    return matches;
+  }
+
+  for (const d of getConfigDomains(root).filter(d => domain.includes(d.domain))) {
+    const value = d.entry.value;
+    if (key && (deep || inside)) {
+      findKey(value, d.path, d.entry.key);
+      continue;
+    }
+    if (key) {
+      const entry = getConfigEntry(value, key);
+      if (entry) matches.push({ loc: entry.keyLoc, path: `${d.path}.${key}`, target: { entry, map: value } });
+      continue;
+    }
+    // Platform-style integrations hold a list of items, or a single mapping
+    const items = value?.type === "seq" ? value.items.map((node, i) => ({ node, path: `${d.path}[${i}]` })) : [{ node: value, path: d.path }];
+    for (const item of items) {
+      if (item.node?.type !== "map") continue;
+      if (platform) {
+        const entry = getConfigEntry(item.node, "platform");
+        if (entry && [].concat(platform).includes(String(entry.value?.value))) {
+          matches.push({ loc: entry.value.loc, path: `${item.path}.platform`, target: { item: item.node, domain: d.domain, domainEntry: d.entry } });
+        }
+      } else if (missing_key && !getConfigEntry(item.node, missing_key)) {
+        matches.push({ loc: item.node.loc, path: item.path, target: { item: item.node } });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Check a parsed config tree for deprecated patterns
+ * @param {object[]} rules - From loadDeprecationRules()
+ * @returns {{ deprecated: boolean, findings: object[] }}
+ */
+function checkConfigForDeprecations(root, rules, integration = null) {
+  const findings = [];
+  const seen = new Set();
+  for (const rule of rules) {
+    // Skip rules not relevant to the specified integration (its own rules and rules about its platforms stay)
+    if (integration && rule.integration && rule.integration !== integration && !rule.match.domain?.includes(integration)) continue;
+    for (const match of findDeprecationMatches(rule, root)) {
+      // Merge keys and aliases reach the same node more than once
+      const id = `${rule.id}@${formatConfigLocation(match.loc)}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      findings.push({
+        rule: rule.id,
+        severity: rule.severity,
+        message: rule.message,
+        suggestion: rule.suggestion,
+        deprecated_in: rule.deprecated_in,
+        fix: rule.fix,
+        ...match,
+      });
+    }
+  }
+  return { deprecated: findings.some(f => f.deprecated_in), findings };
+}
+
+const COMMA_ENTITY_ID_SUGGESTION = "Multiple entity_ids should be formatted as a YAML list, not comma-separated.";
+
+// Legacy template platforms: the key holding the entities, and renamed options
+const LEGACY_TEMPLATE_PLATFORMS = { sensor: "sensors", binary_sensor: "sensors", switch: "switches", cover: "covers" };
+
+const LEGACY_TEMPLATE_OPTIONS = {
+  value_template: "state",
+  icon_template: "icon",
+  entity_picture_template: "picture",
+  availability_template: "availability",
+  attribute_templates: "attributes",
+  position_template: "position",
+  tilt_template: "tilt",
+};
+
+/**
+ * Plain value of a tree node, refusing tags and included content (they cannot be moved as text)
+ */
+function configTreeToValue(node, file) {
+  if (!node) return null;
+  if (node.loc.file !== file) throw new Error("uses !include");
+  if (node.type === "map") return Object.fromEntries(node.entries.map(e => [e.key, configTreeToValue(e.value, file)]));
+  if (node.type === "seq") return node.items.map(item => configTreeToValue(item, file));
+  if (node.tag && HA_YAML_TAGS.some(t => t.tag === node.tag)) throw new Error(`uses ${node.tag}`);
+  return node.value;
+}
+
+/**
+ * One legacy template entity ("object_id: {friendly_name, value_template, ...}") in template: syntax.
+ * default_entity_id keeps the entity_id, which would otherwise follow the name.
+ */
+function convertLegacyTemplateEntity(domain, objectId, config) {
+  const entity = {
+    name: config.friendly_name ?? config.friendly_name_template ?? objectId,
+    default_entity_id: `${domain}.${objectId}`,
+  };
+  for (const [key, value] of Object.entries(config)) {
+    // entity_id was only a hint for update tracking and is no longer accepted
+    if (["friendly_name", "friendly_name_template", "entity_id"].includes(key)) continue;
+    entity[LEGACY_TEMPLATE_OPTIONS[key] || key] = value;
+  }
+  return entity;
+}
+
+/**
+ * Start of the line containing offset
+ */
+function lineStartOffset(text, offset) {
+  return text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+/**
+ * Start of the line after the last non-blank character before offset
+ */
+function lineEndOffset(text, offset) {
+  let end = offset;
+  while (end > 0 && /\s/.test(text[end - 1])) end--;
+  const newline = text.indexOf("\n", end);
+  return newline === -1 ? text.length : newline + 1;
+}
+
+/**
+ * Text edits for the machine-applicable findings
+ * @param {object} parsed - From parseHaConfig()
+ * @returns {{ edits: Map<string|null, object[]>, applied: object[], skipped: object[] }}
+ */
+function planDeprecationFixes(findings, parsed) {
+  const edits = new Map();
+  const applied = [];
+  const skipped = [];
+  const addEdit = (file, edit) => {
+    if (!edits.has(file)) edits.set(file, []);
+    edits.get(file).push(edit);
+  };
+  const moves = new Map();
+
+  for (const finding of findings.filter(f => f.fix)) {
+    const file = finding.loc.file;
+    const source = parsed.sources.get(file);
+    const { entry, map } = finding.target;
+
+    if (finding.fix.type === "rename_key") {
+      if (getConfigEntry(map, finding.fix.to)) {
+        skipped.push({ finding, reason: `'${finding.fix.to}' is already set next to it` });
+        continue;
+      }
+      addEdit(file, { start: entry.keyRange[0], end: entry.keyRange[1], text: finding.fix.to, findings: [finding] });
+      applied.push(finding);
+    } else if (finding.fix.type === "remove_key") {
+      const start = lineStartOffset(source, entry.keyRange[0]);
+      if (map.flow || source.slice(start, entry.keyRange[0]).trim() !== "") {
+        skipped.push({ finding, reason: "the key does not start its own line" });
+        continue;
+      }
+      addEdit(file, { start, end: lineEndOffset(source, entry.value?.range?.[1] ?? entry.keyRange[1]), text: "", findings: [finding] });
+      applied.push(finding);
+    } else {
+      // template_platform: collected per domain entry, since moving every item removes the key
+      const { item, domain, domainEntry } = finding.target;
+      const key = LEGACY_TEMPLATE_PLATFORMS[domain];
+      let entities;
+      try {
+        if (item.flow || domainEntry.value.flow) throw new Error("is written in flow style ({ } or [ ])");
+        const extra = item.entries.map(e => e.key).filter(k => k !== "platform" && k !== key);
+        if (extra.length > 0) throw new Error(`has platform options (${extra.join(", ")}) that have no template: equivalent`);
+        const legacy = configTreeToValue(getConfigEntry(item, key)?.value, file);
+        if (!legacy || typeof legacy !== "object" || Array.isArray(legacy)) throw new Error(`has no '${key}' mapping`);
+        entities = Object.entries(legacy).map(([objectId, config]) => convertLegacyTemplateEntity(domain, objectId, config || {}));
+      } catch (error) {
+        skipped.push({ finding, reason: `the legacy platform ${error.message}` });
+        continue;
+      }
+      if (!moves.has(domainEntry)) moves.set(domainEntry, { domain, items: [] });
+      moves.get(domainEntry).items.push({ finding, item, entities });
+    }
+  }
+
+  // The template: block goes into the file whose top level holds the legacy domain key
+  const additions = new Map();
+  for (const [domainEntry, move] of moves) {
+    const file = domainEntry.keyLoc.file;
+    const root = parsed.roots.get(file);
+    const template = getConfigEntry(root, "template");
+    const reason = root?.type !== "map" || !root.entries.includes(domainEntry)
+      ? "its integration key is not at the top level of a file"
+      : template && (template.value?.type !== "seq" || template.value.flow || template.value.loc.file !== file)
+        ? "the file's template: key is not a plain list; move it by hand"
+        : null;
+    if (reason) {
+      for (const { finding } of move.items) skipped.push({ finding, reason });
+      continue;
+    }
+
+    const value = domainEntry.value;
+    const source = parsed.sources.get(file);
+    const moved = move.items.map(({ finding }) => finding);
+    if (value.loc.file === file && (value.type === "map" || value.items.length === move.items.length)) {
+      const start = lineStartOffset(source, domainEntry.keyRange[0]);
+      let end = lineEndOffset(source, value.range[1]);
+      // Take the blank line after the key along when one precedes it (or it starts the file)
+      if (source[end] === "\n" && (start === 0 || source[start - 2] === "\n")) end++;
+      addEdit(file, { start, end, text: "", findings: moved });
+    } else {
+      for (const { finding, item } of move.items) {
+        const itemSource = parsed.sources.get(item.loc.file);
+        addEdit(item.loc.file, { start: lineStartOffset(itemSource, item.range[0]), end: lineEndOffset(itemSource, item.range[1]), text: "", findings: [finding] });
+      }
+    }
+    if (!additions.has(file)) additions.set(file, { template, items: [], findings: [] });
+    additions.get(file).items.push(...move.items.map(({ entities }) => ({ [move.domain]: entities })));
+    additions.get(file).findings.push(...moved);
+    applied.push(...moved);
+  }
+
+  for (const [file, { template, items, findings: moved }] of additions) {
+    const source = parsed.sources.get(file);
+    if (template) {
+      const indent = " ".repeat(template.value.loc.col - 1);
+      const text = stringifyYaml(items, { lineWidth: 0 }).replace(/^(?=.)/gm, indent);
+      const at = lineEndOffset(source, template.value.range[1]);
+      addEdit(file, { start: at, end: at, text: source[at - 1] === "\n" || at === 0 ? text : `\n${text}`, findings: moved });
+    } else {
+      const separator = source === "" ? "" : source.endsWith("\n") ? "\n" : "\n\n";
+      addEdit(file, { start: source.length, end: source.length, text: `${separator}${stringifyYaml({ template: items }, { lineWidth: 0 })}`, findings: moved });
+    }
+  }
+  return { edits, applied, skipped };
+}
+
+/**
+ * Apply non-overlapping text edits; an edit overlapping an earlier one is returned in conflicts
+ */
+function applyTextEdits(text, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  const kept = [];
+  const conflicts = [];
+  for (const edit of sorted) {
+    const previous = kept[kept.length - 1];
+    if (previous && edit.start === previous.start && edit.end === previous.end && edit.text === previous.text) continue;
+    if (previous && edit.start < previous.end) conflicts.push(edit);
+    else kept.push(edit);
+  }
+  let result = text;
+  for (const edit of kept.reverse()) result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  return { text: result, conflicts };
+}
+
+/**
+ * Line diff (Myers), as [op, line] pairs where op is " ", "-" or "+"
+ */
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+  search: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push([" ", a[--x]]);
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) ops.push(["+", b[--y]]);
+    else ops.push(["-", a[--x]]);
+  }
+  return ops.reverse();
+}
+
+/**
+ * Unified diff of two texts with three lines of context
+ */
+function unifiedDiff(before, after, name, context = 3) {
+  const split = (text) => (text === "" ? [] : text.replace(/\n$/, "").split("\n"));
+  let oldLine = 1;
+  let newLine = 1;
+  const ops = diffLines(split(before), split(after)).map(([op, line]) => {
+    const numbered = { op, line, oldLine, newLine };
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+    return numbered;
+  });
+
+  const output = [`--- a/${name}`, `+++ b/${name}`];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].op === " ") {
+      i++;
+      continue;
+    }
+    // Grow the hunk while the next change is within 2 * context unchanged lines
+    const start = Math.max(0, i - context);
+    let end = i;
+    for (;;) {
+      while (end < ops.length && ops[end].op !== " ") end++;
+      let gap = end;
+      while (gap < ops.length && ops[gap].op === " ") gap++;
+      if (gap < ops.length && gap - end <= 2 * context) {
+        end = gap;
+        continue;
+      }
+      end = Math.min(gap, end + context);
+      break;
+    }
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(o => o.op !== "+").length;
+    const newCount = hunk.filter(o => o.op !== "-").length;
+    output.push(`@@ -${hunk[0].oldLine - (oldCount === 0 ? 1 : 0)},${oldCount} +${hunk[0].newLine - (newCount === 0 ? 1 : 0)},${newCount} @@`);
+    for (const o of hunk) output.push(`${o.op}${o.line}`);
+    i = end;
+  }
+  return output.join("\n");
+}
+
+/**
+ * Apply the machine-applicable fixes to every affected file. A fix that conflicts with another
+ * or leaves a file that no longer parses is withdrawn from every file it touches.
+ * @param {object} parsed - From parseHaConfig()
+ * @returns {{ files: object[], applied: object[], skipped: object[] }}
+ *   files: { file, before, after, diff } for each changed file
+ */
+function migrateConfig(parsed, findings) {
+  const { edits, applied, skipped } = planDeprecationFixes(findings, parsed);
+  const withdrawn = new Map();
+  const withdraw = (edit, reason) => {
+    for (const finding of edit.findings) if (!withdrawn.has(finding)) withdrawn.set(finding, reason);
+  };
+
+  let files;
+  let settled = false;
+  while (!settled) {
+    files = [];
+    const before = withdrawn.size;
+    for (const [file, fileEdits] of edits) {
+      const active = fileEdits.filter(edit => !edit.findings.some(f => withdrawn.has(f)));
+      const source = parsed.sources.get(file);
+      const { text: after, conflicts } = applyTextEdits(source, active);
+      for (const edit of conflicts) withdraw(edit, "overlaps another fix; run migrate_config again on the result");
+      const check = parseDocument(after, { customTags: HA_YAML_TAGS });
+      const error = check.errors.find(e => e.code !== "DUPLICATE_KEY");
+      if (error) {
+        for (const edit of active) withdraw(edit, `the rewritten file did not parse (${error.message.split("\n")[0]})`);
+        continue;
+      }
+      if (after !== source) files.push({ file, before: source, after, diff: unifiedDiff(source, after, file ? configRelativePath(file) : "snippet.yaml") });
+    }
+    settled = withdrawn.size === before;
+  }
+
+  for (const [finding, reason] of withdrawn) skipped.push({ finding, reason });
+  return { files, applied: applied.filter(f => !withdrawn.has(f)), skipped };
+}
+
+
+// ============================================================================
+// HELPER: Create annotated content
+// ============================================================================
+
+function createTextContent(text, options = {}) {
+  const content = { type: "text", text };
+  if (options.audience || options.priority !== undefined) {
+    content.annotations = {};
+    if (options.audience) content.annotations.audience = options.audience;
+    if (options.priority !== undefined) content.annotations.priority = options.priority;
+  }
+  return content;
+}
+
+function createImageContent(data, mimeType, options = {}) {
+  const content = { type: "image", data, mimeType };
+  if (options.audience || options.priority !== undefined) {
+    content.annotations = {};
+    if (options.audience) content.annotations.audience = options.audience;
+    if (options.priority !== undefined) content.annotations.priority = options.priority;
+  }
+  return content;
+}
+
+function createResourceLink(uri, name, description, options = {}) {
+  const link = {
+    type: "resource_link",
+    uri,
+    name,
+    description,
+  };
+  if (options.mimeType) link.mimeType = options.mimeType;
+  if (options.audience || options.priority !== undefined) {
+    link.annotations = {};
+    if (options.audience) link.annotations.audience = options.audience;
+    if (options.priority !== undefined) link.annotations.priority = options.priority;
+  }
+  return link;
+}
+
+// ============================================================================
+// MCP SERVER SETUP
+// ============================================================================
+
+const server = new Server(
+  {
+    name: "home-assistant",
+    version: "2.2.0",
+  },
+  {
+    capabilities: {
+      tools: {
+        listChanged: false,
+      },
+      resources: {
+        subscribe: true,
+        listChanged: false,
+      },
+      prompts: {
+        listChanged: false,
+      },
+      logging: {},
+    },
+  }
+);
+
+// ============================================================================
+// TOOLS DEFINITION - With titles, outputSchema, and annotations
+// ============================================================================
+
+const TOOLS = [
+  // === STATE MANAGEMENT ===
+  {
+    name: "get_states",
+    title: "Get Entity States",
+    description: "Get the current state of entities. Can return all entities, filter by domain, or get a specific entity. Returns entity_id, state, and key attributes.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_id: {
+          type: "string",
+          description: "Specific entity ID (e.g., 'light.living_room'). If not provided, returns all/filtered entities.",
+        },
+        domain: {
+          type: "string",
+          description: "Filter by domain (e.g., 'light', 'switch', 'sensor', 'automation')",
+        },
+        summarize: {
+          type: "boolean",
+          description: "If true, returns a human-readable summary instead of raw data",
+        },
+      },
+    },
+    outputSchema: SCHEMAS.entityStateArray,
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+      openWorld: false,
+    },
+  },
+  {
+    name: "search_entities",
+    title: "Search Entities",
+    description: "Search for entities by name, type, or description. Uses semantic matching to find relevant entities.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search query (e.g., 'bedroom lights', 'temperature sensors', 'front door')",
+        },
+      },
+      required: ["query"],
+    },
+    outputSchema: SCHEMAS.searchResult,
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_entity_details",
+    title: "Get Entity Details",
+    description: "Get detailed information about an entity from the registries: its device, area (own or inherited from the device), floor, labels, owning integration/config entry, and related entities on the same device, area, floor, label, or config entry.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_id: {
+          type: "string",
+          description: "The entity ID to get details for",
+        },
+      },
+      required: ["entity_id"],
+    },
+    outputSchema: SCHEMAS.entityDetails,
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  
+  // === SERVICE CALLS ===
+  {
+    name: "call_service",
+    title: "Call Home Assistant Service",
+    description: "Call a Home Assistant service to control devices or trigger actions. Use for turning on/off lights, running scripts, triggering automations, etc. THIS MODIFIES DEVICE STATE. Use dry_run: true to preview which entities would be affected and validate the data first. Subject to the safety policy (see ha://policy): some calls are blocked or need user confirmation.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Service domain (e.g., 'light', 'switch', 'automation', 'script', 'climate')",
+        },
+        service: {
+          type: "string",
+          description: "Service name (e.g., 'turn_on', 'turn_off', 'toggle', 'trigger', 'set_temperature')",
+        },
+        target: {
+          type: "object",
+          description: "Target for the service call",
+          properties: {
+            entity_id: {
+              oneOf: [
+                { type: "string" },
+                { type: "array", items: { type: "string" } }
+              ],
+              description: "Entity ID(s) to target"
+            },
+            area_id: {
+              oneOf: [
+                { type: "string" },
+                { type: "array", items: { type: "string" } }
+              ],
+              description: "Area ID(s) to target"
+            },
+            device_id: {
+              oneOf: [
+                { type: "string" },
+                { type: "array", items: { type: "string" } }
+              ],
+              description: "Device ID(s) to target"
+            },
+            floor_id: {
+              oneOf: [
+                { type: "string" },
+                { type: "array", items: { type: "string" } }
+              ],
+              description: "Floor ID(s) to target"
+            },
+            label_id: {
+              oneOf: [
+                { type: "string" },
+                { type: "array", items: { type: "string" } }
+              ],
+              description: "Label ID(s) to target"
+            },
+          },
+        },
+        data: {
+          type: "object",
+          description: "Additional service data (e.g., brightness: 255, color_temp: 400, temperature: 72)",
+        },
+        dry_run: {
+          type: "boolean",
+          description: "Don't call the service. Check it exists, validate data against its fields, resolve the target to the entities it would affect, and report.",
+          default: false,
+        },
+      },
+      required: ["domain", "service"],
+    },
+    outputSchema: SCHEMAS.serviceCallResult,
+    annotations: {
+      destructive: true,
+      idempotent: false,
+      requiresConfirmation: true,
+    },
+  },
+  {
+    name: "get_services",
+    title: "List Available Services",
+    description: "List available services, optionally filtered by domain. Shows what actions can be performed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Filter services by domain (e.g., 'light', 'climate')",
+        },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  
+  // === HISTORY & LOGBOOK ===
+  {
+    name: "get_history",
+    title: "Get Entity History",
+    description: "Get historical state data for entities. Essential for analyzing trends, debugging issues, or understanding patterns. Raw output is large: use aggregate/bucket for anything longer than a few hours, or get_statistics for long-term sensor trends.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_id: {
+          oneOf: [
+            { type: "string" },
+            { type: "array", items: { type: "string" } }
+          ],
+          description: "Entity ID(s) to get history for (required)",
+        },
+        start_time: {
+          type: "string",
+          description: "Start time in ISO format (e.g., '2024-01-15T00:00:00'). Defaults to 24 hours ago.",
+        },
+        end_time: {
+          type: "string",
+          description: "End time in ISO format. Defaults to now.",
+        },
+        minimal: {
+          type: "boolean",
+          description: "If true, returns minimal response (faster, less data)",
+        },
+        aggregate: {
+          type: "boolean",
+          description: "Summarize instead of returning raw states: time-weighted mean/min/max/last for numeric sensors, time in each state for everything else, and transition counts",
+        },
+        bucket: {
+          type: "string",
+          description: "Aggregate per time bucket (e.g., '15m', '1h', '1d'). Implies aggregate. Without it, aggregate summarizes the whole window.",
+        },
+        chart: {
+          type: "string",
+          enum: ["png", "svg"],
+          description: "Also return a chart image: a step line per numeric sensor, a state timeline for everything else. Implies aggregate. Use png unless the client is known to display SVG.",
+        },
+      },
+      required: ["entity_id"],
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_statistics",
+    title: "Get Long-Term Statistics",
+    description: "Get recorder long-term statistics as compact tables: hourly/daily/weekly/monthly mean, min, max, and change (consumption) per period, with optional unit conversion. Far smaller than get_history for sensors and kept for years. Use for energy use per day, temperature trends, and similar questions. Only sensors with a state_class have statistics.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        statistic_ids: {
+          oneOf: [
+            { type: "string" },
+            { type: "array", items: { type: "string" } }
+          ],
+          description: "Entity ID(s) such as 'sensor.energy_total', or external statistic IDs such as 'tibber:energy_consumption_home'",
+        },
+        period: {
+          type: "string",
+          enum: ["5minute", "hour", "day", "week", "month"],
+          description: "Aggregation period (default: hour)",
+          default: "hour",
+        },
+        types: {
+          type: "array",
+          items: { type: "string", enum: ["mean", "min", "max", "sum", "state", "change"] },
+          description: "Statistic types to return. Default: change for meters/counters (consumption per period), mean/min/max for measurements.",
+        },
+        start_time: {
+          type: "string",
+          description: "Start time in ISO format. Defaults to 6 hours (5minute), 24 hours (hour), 30 days (day), 12 weeks (week), or 12 months (month) ago.",
+        },
+        end_time: { type: "string", description: "End time in ISO format. Defaults to now." },
+        units: {
+          type: "object",
+          description: "Unit conversion by unit class, e.g. { \"energy\": \"kWh\", \"power\": \"kW\", \"temperature\": \"°C\", \"volume\": \"m³\" }",
+        },
+        max_rows: { type: "number", description: "Maximum rows per statistic, most recent kept (default: 200)", default: 200 },
+        chart: {
+          type: "string",
+          enum: ["png", "svg"],
+          description: "Also return a chart image: bars per period for change/sum, mean line with min/max for measurements. Use png unless the client is known to display SVG.",
+        },
+      },
+      required: ["statistic_ids"],
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "export_history",
+    title: "Export History to File",
+    description: "Write history or long-term statistics for one or more entities to a CSV or JSONL file in /config/ha_opencode/exports/ and return a link to it instead of the data. Use for analyses that need the full data set (heating curves, battery drain, correlations) processed with scripts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_ids: {
+          oneOf: [
+            { type: "string" },
+            { type: "array", items: { type: "string" } }
+          ],
+          description: "Entity ID(s), or statistic IDs when source is 'statistics'",
+        },
+        source: {
+          type: "string",
+          enum: ["history", "statistics"],
+          description: "history: every recorded state change. statistics: long-term statistics per period (default: history)",
+          default: "history",
+        },
+        format: {
+          type: "string",
+          enum: ["csv", "jsonl"],
+          description: "File format (default: csv)",
+          default: "csv",
+        },
+        start_time: { type: "string", description: "Start time in ISO format. Defaults to 24 hours ago (history) or the statistics period default." },
+        end_time: { type: "string", description: "End time in ISO format. Defaults to now." },
+        include_attributes: { type: "boolean", description: "history: add an attributes column (JSON)", default: false },
+        period: {
+          type: "string",
+          enum: ["5minute", "hour", "day", "week", "month"],
+          description: "statistics: aggregation period (default: hour)",
+        },
+        types: {
+          type: "array",
+          items: { type: "string", enum: ["mean", "min", "max", "sum", "state", "change"] },
+          description: "statistics: types to export (default: per statistic, as in get_statistics)",
+        },
+        units: { type: "object", description: "statistics: unit conversion by unit class, e.g. { \"energy\": \"kWh\" }" },
+        filename: { type: "string", description: "Optional file name (letters, digits, '.', '_', '-'); an existing file with the same name is overwritten" },
+      },
+      required: ["entity_ids"],
+    },
+    annotations: {
+      readOnly: false,
+      destructive: false,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_logbook",
+    title: "Get Activity Logbook",
+    description: "Get logbook entries showing what happened in Home Assistant. Useful for understanding recent activity and debugging.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_id: { type: "string", description: "Filter by specific entity" },
+        start_time: { type: "string", description: "Start time in ISO format. Defaults to 24 hours ago." },
+        end_time: { type: "string", description: "End time in ISO format. Defaults to now." },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_audit_log",
+    title: "Get MCP Audit Log",
+    description: "Show state-changing calls made through this server (call_service, fire_event, automation/script/scene writes and deletes, update_component, backup creation and restores, app start/stop/restart/rebuild, esphome_upload, firmware update starts) with arguments, result, and errors. Use this to find out whether the assistant caused an unexpected change. Combine with get_logbook to see what else happened at the same time.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tool: {
+          type: "string",
+          enum: [
+            "call_service", "fire_event",
+            "create_automation", "update_automation", "delete_automation",
+            "create_script", "update_script", "delete_script",
+            "create_scene", "update_scene", "delete_scene",
+            "update_component", "create_backup", "restore_backup",
+            "addon_control", "esphome_upload", "watch_firmware_update",
+          ],
+          description: "Only show calls of this tool",
+        },
+        entity_id: { type: "string", description: "Only show calls whose arguments mention this entity" },
+        outcome: { type: "string", enum: ["success", "error"], description: "Only show successful or failed calls" },
+        search: { type: "string", description: "Free-text search across the whole entry (e.g., 'light.turn_off')" },
+        since: { type: "string", description: "Start time in ISO format" },
+        until: { type: "string", description: "End time in ISO format" },
+        limit: { type: "number", description: "Maximum entries to return, newest first (default: 50)", default: 50 },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
   },
+  
+  // === ENERGY ===
   {
-    capabilities: {
-      tools: {
-        listChanged: false,
-      },
-      resources: {
-        subscribe: false,
-        listChanged: false,
-      },
-      prompts: {
-        listChanged: false,
-      },
-      logging: {},
+    name: "get_energy_config",
+    title: "Get Energy Configuration",
+    description: "Get the energy dashboard configuration (grid, solar, battery, gas, and water sources, and individual devices) with the statistic behind each, plus the dashboard's own validation issues (missing or unavailable sensors, wrong units or state classes).",
+    inputSchema: {
+      type: "object",
+      properties: {},
     },
-  }
-);
-
-// ============================================================================
-// TOOLS DEFINITION - With titles, outputSchema, and annotations
-// ============================================================================
-
-const TOOLS = [
-  // === STATE MANAGEMENT ===
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
   {
-    name: "get_states",
-    title: "Get Entity States",
-    description: "Get the current state of entities. Can return all entities, filter by domain, or get a specific entity. Returns entity_id, state, and key attributes.",
+    name: "get_energy_usage",
+    title: "Get Energy Usage",
+    description: "Compute energy use from the energy dashboard configuration and recorder statistics: home consumption, grid import/export, solar production, battery charge/discharge, gas and water, and kWh per device, per period and in total. Use for energy audits and 'what uses the most power' questions.",
     inputSchema: {
       type: "object",
       properties: {
-        entity_id: {
+        period: {
           type: "string",
-          description: "Specific entity ID (e.g., 'light.living_room'). If not provided, returns all/filtered entities.",
+          enum: ["hour", "day", "week", "month"],
+          description: "Aggregation period (default: day)",
+          default: "day",
         },
-        domain: {
+        start_time: {
           type: "string",
-          description: "Filter by domain (e.g., 'light', 'switch', 'sensor', 'automation')",
+          description: "Start time in ISO format. Defaults to 24 hours (hour), 30 days (day), 12 weeks (week), or 12 months (month) ago.",
         },
-        summarize: {
-          type: "boolean",
-          description: "If true, returns a human-readable summary instead of raw data",
+        end_time: { type: "string", description: "End time in ISO format. Defaults to now." },
+        top_devices: {
+          type: "number",
+          description: "Devices shown as columns in the per-period device table (default: 6)",
+          default: 6,
+        },
+        chart: {
+          type: "string",
+          enum: ["png", "svg"],
+          description: "Also return a chart image of consumption (and solar production) per period",
         },
       },
     },
-    outputSchema: SCHEMAS.entityStateArray,
     annotations: {
       readOnly: true,
       idempotent: true,
-      openWorld: false,
     },
   },
+
+  // === CONFIGURATION ===
   {
-    name: "search_entities",
-    title: "Search Entities",
-    description: "Search for entities by name, type, or description. Uses semantic matching to find relevant entities.",
+    name: "get_config",
+    title: "Get Home Assistant Configuration",
+    description: "Get Home Assistant configuration including location, units, version, and loaded components.",
+    inputSchema: { type: "object", properties: {} },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_areas",
+    title: "List All Areas",
+    description: "List all areas defined in Home Assistant with their IDs, names, floors, and labels.",
+    inputSchema: { type: "object", properties: {} },
+    outputSchema: SCHEMAS.areaArray,
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_devices",
+    title: "List Devices",
+    description: "List devices from the device registry with manufacturer, model, area, labels, and entity count. Optionally filtered by area.",
     inputSchema: {
       type: "object",
       properties: {
-        query: {
-          type: "string",
-          description: "Search query (e.g., 'bedroom lights', 'temperature sensors', 'front door')",
-        },
+        area_id: { type: "string", description: "Filter devices by area ID" },
       },
-      required: ["query"],
     },
-    outputSchema: SCHEMAS.searchResult,
     annotations: {
       readOnly: true,
       idempotent: true,
     },
   },
   {
-    name: "get_entity_details",
-    title: "Get Entity Details",
-    description: "Get detailed information about an entity including its relationships to devices, areas, and related entities.",
+    name: "validate_config",
+    title: "Validate Configuration",
+    description: "Validate Home Assistant configuration files. Run this before restarting to catch errors.",
+    inputSchema: { type: "object", properties: {} },
+    outputSchema: SCHEMAS.configValidation,
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_error_log",
+    title: "Get Error Log",
+    description: "Get the Home Assistant error log. Useful for debugging issues. Use mode 'grouped' on long logs: it parses the whole log, groups repeated errors with counts and first/last seen, and maps loggers to integrations.",
     inputSchema: {
       type: "object",
       properties: {
-        entity_id: {
+        lines: { type: "number", description: "raw: number of lines to return (default: 100). records: number of records to return." },
+        mode: {
           type: "string",
-          description: "The entity ID to get details for",
+          enum: ["raw", "records", "grouped"],
+          description: "raw: last lines as text. records: parsed records (timestamp, level, logger, integration, message, traceback). grouped: repeated errors grouped with counts and first/last seen - best for finding root causes in long logs. Default: raw",
+          default: "raw",
+        },
+        level: {
+          type: "string",
+          enum: ["debug", "info", "warning", "error", "critical"],
+          description: "records/grouped: minimum level (default: warning)",
+        },
+        integration: {
+          type: "string",
+          description: "records/grouped: only records from this integration's loggers (e.g., 'mqtt', 'zha')",
         },
+        sort: {
+          type: "string",
+          enum: ["count", "first_seen", "last_seen"],
+          description: "grouped: order of groups (default: count). first_seen surfaces the earliest problem, often the root cause.",
+        },
+        limit: { type: "number", description: "grouped: maximum number of groups (default: 20)" },
       },
-      required: ["entity_id"],
     },
-    outputSchema: SCHEMAS.entityDetails,
     annotations: {
       readOnly: true,
       idempotent: true,
     },
   },
-  
-  // === SERVICE CALLS ===
   {
-    name: "call_service",
-    title: "Call Home Assistant Service",
-    description: "Call a Home Assistant service to control devices or trigger actions. Use for turning on/off lights, running scripts, triggering automations, etc. THIS MODIFIES DEVICE STATE.",
+    name: "get_system_logs",
+    title: "Get System Logs",
+    description: "Read Home Assistant Core, Supervisor, host (journald), and plugin logs through the Supervisor, filtered by time range, minimum level, logger/integration, and text. Tracebacks stay attached to their log record. Can follow a log live for up to 60 seconds, e.g. while reproducing a problem.",
     inputSchema: {
       type: "object",
       properties: {
-        domain: {
+        source: {
           type: "string",
-          description: "Service domain (e.g., 'light', 'switch', 'automation', 'script', 'climate')",
+          enum: ["core", "supervisor", "host", "audio", "dns", "multicast", "observer"],
+          description: "Which log to read (default: core)",
+          default: "core",
         },
-        service: {
+        identifier: {
           type: "string",
-          description: "Service name (e.g., 'turn_on', 'turn_off', 'toggle', 'trigger', 'set_temperature')",
+          description: "Host only: journald syslog identifier of a single service (e.g., 'NetworkManager', 'kernel', 'systemd-timesyncd'). Use list_identifiers to see what is available.",
         },
-        target: {
-          type: "object",
-          description: "Target for the service call",
-          properties: {
-            entity_id: {
-              oneOf: [
-                { type: "string" },
-                { type: "array", items: { type: "string" } }
-              ],
-              description: "Entity ID(s) to target"
-            },
-            area_id: {
-              oneOf: [
-                { type: "string" },
-                { type: "array", items: { type: "string" } }
-              ],
-              description: "Area ID(s) to target"
-            },
-            device_id: {
-              oneOf: [
-                { type: "string" },
-                { type: "array", items: { type: "string" } }
-              ],
-              description: "Device ID(s) to target"
-            },
-          },
+        list_identifiers: {
+          type: "boolean",
+          description: "List the journald identifiers available for source 'host' instead of reading logs",
         },
-        data: {
+        lines: {
+          type: "number",
+          description: "Maximum number of log records to return, newest last (default: 100)",
+          default: 100,
+        },
+        level: {
+          type: "string",
+          enum: ["debug", "info", "warning", "error", "critical"],
+          description: "Minimum level (core and supervisor logs; journald lines carry no level)",
+        },
+        logger: {
+          type: "string",
+          description: "Logger name substring or integration domain (e.g., 'mqtt' matches homeassistant.components.mqtt and custom_components.mqtt)",
+        },
+        since: { type: "string", description: "Only records at or after this time (ISO format; log timestamps are local time)" },
+        until: { type: "string", description: "Only records at or before this time (ISO format)" },
+        filter: { type: "string", description: "Case-insensitive regex matched against the whole record, including tracebacks" },
+        follow_seconds: {
+          type: "number",
+          description: "Follow the log for this many seconds (1-60) and return what was written in that window",
+        },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+
+  // === AUTOMATION MANAGEMENT ===
+  {
+    name: "list_automation_configs",
+    title: "List Automation Configurations",
+    description: "List automations with their config IDs (needed for get/update/delete), alias, mode, and state. Automations without a config ID are defined in YAML outside automations.yaml and cannot be edited through these tools.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        search: { type: "string", description: "Only include automations whose alias, entity_id, or id contains this text" },
+        include_config: { type: "boolean", description: "If true, also fetch the full configuration of each automation (slower)" },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_automation_config",
+    title: "Get Automation Configuration",
+    description: "Get the full configuration (triggers, conditions, actions) of an automation. Use this before update_automation so you edit the current definition.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        automation_id: { type: "string", description: "Automation config ID (the 'id' field in automations.yaml)" },
+        entity_id: { type: "string", description: "Automation entity ID (e.g., 'automation.porch_light'). Used if automation_id is not given." },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "create_automation",
+    title: "Create Automation",
+    description: "Create a new automation through the Home Assistant config API (stored in automations.yaml) and reload automations. The config is validated before saving. Use 'triggers', 'conditions', and 'actions' keys.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        config: {
           type: "object",
-          description: "Additional service data (e.g., brightness: 255, color_temp: 400, temperature: 72)",
+          description: "Automation config, e.g. { alias, description, mode, triggers: [...], conditions: [...], actions: [...] }",
         },
+        automation_id: { type: "string", description: "Optional config ID. Generated if omitted." },
       },
-      required: ["domain", "service"],
+      required: ["config"],
     },
-    outputSchema: SCHEMAS.serviceCallResult,
     annotations: {
-      destructive: true,
+      readOnly: false,
+      destructive: false,
       idempotent: false,
-      requiresConfirmation: true,
     },
   },
   {
-    name: "get_services",
-    title: "List Available Services",
-    description: "List available services, optionally filtered by domain. Shows what actions can be performed.",
+    name: "update_automation",
+    title: "Update Automation",
+    description: "Replace the configuration of an existing automation and reload automations. Send the complete config, not just the changed fields - fetch it first with get_automation_config.",
     inputSchema: {
       type: "object",
       properties: {
-        domain: {
-          type: "string",
-          description: "Filter services by domain (e.g., 'light', 'climate')",
-        },
+        automation_id: { type: "string", description: "Automation config ID" },
+        entity_id: { type: "string", description: "Automation entity ID. Used if automation_id is not given." },
+        config: { type: "object", description: "The complete new automation config" },
+      },
+      required: ["config"],
+    },
+    annotations: {
+      readOnly: false,
+      destructive: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "delete_automation",
+    title: "Delete Automation",
+    description: "Delete an automation from automations.yaml and reload automations. THIS CANNOT BE UNDONE - consider get_automation_config first to keep a copy.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        automation_id: { type: "string", description: "Automation config ID" },
+        entity_id: { type: "string", description: "Automation entity ID. Used if automation_id is not given." },
+      },
+    },
+    annotations: {
+      destructive: true,
+      idempotent: true,
+    },
+  },
+
+  // === SCRIPT & SCENE MANAGEMENT ===
+  {
+    name: "get_script_config",
+    title: "Get Script Configuration",
+    description: "Get the full definition (alias, fields, mode, sequence) of a script stored in scripts.yaml.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        script_id: { type: "string", description: "Script ID (the key in scripts.yaml, e.g. 'morning_briefing')" },
+        entity_id: { type: "string", description: "Script entity ID (e.g., 'script.morning_briefing'). Used if script_id is not given." },
       },
     },
     annotations: {
@@ -1281,121 +5828,135 @@ const TOOLS = [
       idempotent: true,
     },
   },
-  
-  // === HISTORY & LOGBOOK ===
   {
-    name: "get_history",
-    title: "Get Entity History",
-    description: "Get historical state data for entities. Essential for analyzing trends, debugging issues, or understanding patterns.",
+    name: "create_script",
+    title: "Create Script",
+    description: "Create a new script through the Home Assistant config API (stored in scripts.yaml) and reload scripts. The config is validated before saving.",
     inputSchema: {
       type: "object",
       properties: {
-        entity_id: {
-          type: "string",
-          description: "Entity ID to get history for (required)",
-        },
-        start_time: {
-          type: "string",
-          description: "Start time in ISO format (e.g., '2024-01-15T00:00:00'). Defaults to 24 hours ago.",
-        },
-        end_time: {
-          type: "string",
-          description: "End time in ISO format. Defaults to now.",
-        },
-        minimal: {
-          type: "boolean",
-          description: "If true, returns minimal response (faster, less data)",
+        config: {
+          type: "object",
+          description: "Script config, e.g. { alias, description, mode, fields: {...}, sequence: [...] }",
         },
+        script_id: { type: "string", description: "Script ID (becomes script.<script_id>). Derived from the alias if omitted." },
       },
-      required: ["entity_id"],
+      required: ["config"],
+    },
+    annotations: {
+      readOnly: false,
+      destructive: false,
+      idempotent: false,
+    },
+  },
+  {
+    name: "update_script",
+    title: "Update Script",
+    description: "Replace the definition of an existing script and reload scripts. Send the complete config - fetch it first with get_script_config.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        script_id: { type: "string", description: "Script ID" },
+        entity_id: { type: "string", description: "Script entity ID. Used if script_id is not given." },
+        config: { type: "object", description: "The complete new script config" },
+      },
+      required: ["config"],
     },
     annotations: {
-      readOnly: true,
+      readOnly: false,
+      destructive: true,
       idempotent: true,
     },
   },
   {
-    name: "get_logbook",
-    title: "Get Activity Logbook",
-    description: "Get logbook entries showing what happened in Home Assistant. Useful for understanding recent activity and debugging.",
+    name: "delete_script",
+    title: "Delete Script",
+    description: "Delete a script from scripts.yaml and reload scripts. THIS CANNOT BE UNDONE.",
     inputSchema: {
       type: "object",
       properties: {
-        entity_id: { type: "string", description: "Filter by specific entity" },
-        start_time: { type: "string", description: "Start time in ISO format. Defaults to 24 hours ago." },
-        end_time: { type: "string", description: "End time in ISO format. Defaults to now." },
+        script_id: { type: "string", description: "Script ID" },
+        entity_id: { type: "string", description: "Script entity ID. Used if script_id is not given." },
       },
     },
     annotations: {
-      readOnly: true,
+      destructive: true,
       idempotent: true,
     },
   },
-  
-  // === CONFIGURATION ===
   {
-    name: "get_config",
-    title: "Get Home Assistant Configuration",
-    description: "Get Home Assistant configuration including location, units, version, and loaded components.",
-    inputSchema: { type: "object", properties: {} },
-    annotations: {
-      readOnly: true,
-      idempotent: true,
+    name: "get_scene_config",
+    title: "Get Scene Configuration",
+    description: "Get the full definition of a scene stored in scenes.yaml, including the target state and attributes of every entity.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        scene_id: { type: "string", description: "Scene config ID (the 'id' field in scenes.yaml)" },
+        entity_id: { type: "string", description: "Scene entity ID (e.g., 'scene.movie_night'). Used if scene_id is not given." },
+      },
     },
-  },
-  {
-    name: "get_areas",
-    title: "List All Areas",
-    description: "List all areas defined in Home Assistant with their IDs and names.",
-    inputSchema: { type: "object", properties: {} },
-    outputSchema: SCHEMAS.areaArray,
     annotations: {
       readOnly: true,
       idempotent: true,
     },
   },
   {
-    name: "get_devices",
-    title: "List Devices",
-    description: "List devices registered in Home Assistant, optionally filtered by area.",
+    name: "create_scene",
+    title: "Create Scene",
+    description: "Create a new scene through the Home Assistant config API (stored in scenes.yaml) and reload scenes.",
     inputSchema: {
       type: "object",
       properties: {
-        area_id: { type: "string", description: "Filter devices by area ID" },
+        config: {
+          type: "object",
+          description: "Scene config, e.g. { name: 'Movie Night', icon, entities: { 'light.tv': { state: 'on', brightness: 60 }, 'cover.blinds': 'closed' } }",
+        },
+        scene_id: { type: "string", description: "Optional config ID. Generated if omitted." },
       },
+      required: ["config"],
     },
     annotations: {
-      readOnly: true,
-      idempotent: true,
+      readOnly: false,
+      destructive: false,
+      idempotent: false,
     },
   },
   {
-    name: "validate_config",
-    title: "Validate Configuration",
-    description: "Validate Home Assistant configuration files. Run this before restarting to catch errors.",
-    inputSchema: { type: "object", properties: {} },
-    outputSchema: SCHEMAS.configValidation,
+    name: "update_scene",
+    title: "Update Scene",
+    description: "Replace the definition of an existing scene and reload scenes. Send the complete config - fetch it first with get_scene_config.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        scene_id: { type: "string", description: "Scene config ID" },
+        entity_id: { type: "string", description: "Scene entity ID. Used if scene_id is not given." },
+        config: { type: "object", description: "The complete new scene config" },
+      },
+      required: ["config"],
+    },
     annotations: {
-      readOnly: true,
+      readOnly: false,
+      destructive: true,
       idempotent: true,
     },
   },
   {
-    name: "get_error_log",
-    title: "Get Error Log",
-    description: "Get the Home Assistant error log. Useful for debugging issues.",
+    name: "delete_scene",
+    title: "Delete Scene",
+    description: "Delete a scene from scenes.yaml and reload scenes. THIS CANNOT BE UNDONE.",
     inputSchema: {
       type: "object",
       properties: {
-        lines: { type: "number", description: "Number of lines to return (default: 100)" },
+        scene_id: { type: "string", description: "Scene config ID" },
+        entity_id: { type: "string", description: "Scene entity ID. Used if scene_id is not given." },
       },
     },
     annotations: {
-      readOnly: true,
+      destructive: true,
       idempotent: true,
     },
   },
-  
+
   // === EVENTS & TEMPLATES ===
   {
     name: "fire_event",
@@ -1465,11 +6026,34 @@ const TOOLS = [
   {
     name: "detect_anomalies",
     title: "Detect Anomalies",
-    description: "Scan all entities for potential anomalies like low batteries, unusual sensor readings, or devices in unexpected states.",
+    description: "Scan entities for potential anomalies. heuristic mode (default) checks built-in rules such as low batteries and out-of-range readings, plus user rules from /config/ha_opencode/anomaly_rules.yaml. baseline mode learns each entity's normal behavior from recorder statistics and recent history, and flags unusual values for the hour of day, sudden step changes, sensors that stopped reporting, and flapping entities.",
     inputSchema: {
       type: "object",
       properties: {
         domain: { type: "string", description: "Limit scan to specific domain" },
+        entity_id: {
+          oneOf: [
+            { type: "string" },
+            { type: "array", items: { type: "string" } }
+          ],
+          description: "Limit scan to specific entities",
+        },
+        mode: {
+          type: "string",
+          enum: ["heuristic", "baseline", "all"],
+          description: "heuristic: fixed rules (default). baseline: deviations from learned per-entity behavior. all: both.",
+          default: "heuristic",
+        },
+        days: {
+          type: "number",
+          description: "baseline: days of hourly statistics to learn from (default: 14, max: 60)",
+          default: 14,
+        },
+        z_threshold: {
+          type: "number",
+          description: "baseline: standard deviations from the usual value before a reading is flagged (default: 3)",
+          default: 3,
+        },
       },
     },
     outputSchema: SCHEMAS.anomalyArray,
@@ -1507,6 +6091,26 @@ const TOOLS = [
     },
   },
   
+  {
+    name: "get_automation_traces",
+    title: "Get Automation Traces",
+    description: "Explain why an automation or script did or did not run. Fetches stored run traces and condenses them into a step-by-step timeline: which trigger fired, which conditions passed or failed, which actions ran, and which step errored.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_id: { type: "string", description: "Automation or script entity ID (e.g., 'automation.porch_light', 'script.bedtime')" },
+        automation_id: { type: "string", description: "Automation config ID. Used if entity_id is not given." },
+        script_id: { type: "string", description: "Script ID. Used if entity_id is not given." },
+        run_id: { type: "string", description: "Only show this specific run" },
+        limit: { type: "number", description: "Number of most recent runs to show in detail (default: 3)" },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  
   // === DOCUMENTATION ===
   {
     name: "get_integration_docs",
@@ -1536,17 +6140,25 @@ const TOOLS = [
   {
     name: "get_breaking_changes",
     title: "Get Breaking Changes",
-    description: "Fetch recent breaking changes from Home Assistant release notes. Use this when troubleshooting configurations that stopped working after an update, or to check compatibility before suggesting configurations.",
+    description: "Backward-incompatible changes from the live Home Assistant release notes for every release between the installed version and the latest one, limited to the integrations actually loaded. Use this before updating (\"what will break for me?\"), when troubleshooting configurations that stopped working after an update, or to check compatibility before suggesting configurations.",
     inputSchema: {
       type: "object",
       properties: {
         integration: {
           type: "string",
-          description: "Filter by specific integration name (optional)",
+          description: "Only changes for this integration domain (e.g. 'mqtt'), loaded or not",
         },
         version: {
           type: "string",
-          description: "Get changes for a specific HA version (e.g., '2024.12'). Defaults to recent versions.",
+          description: "Changes of one release instead (e.g. '2024.12'). Defaults to the releases between installed and latest, or the installed release when up to date.",
+        },
+        include_all: {
+          type: "boolean",
+          description: "Also show changes for integrations that are not loaded (default: false)",
+        },
+        refresh: {
+          type: "boolean",
+          description: "Fetch the release notes again instead of using the cache (default: false)",
         },
       },
     },
@@ -1559,7 +6171,7 @@ const TOOLS = [
   {
     name: "check_config_syntax",
     title: "Check Configuration Syntax",
-    description: "Analyze YAML configuration for deprecated syntax patterns and suggest modern alternatives. Use this to validate configuration before presenting it to the user.",
+    description: "Parse Home Assistant YAML (understands !include, !include_dir_*, !secret, !input) and check it for deprecated syntax, including under packages and in included files. Reports parse errors and findings with file:line:column and suggests modern alternatives. Use this to validate configuration before presenting it to the user.",
     inputSchema: {
       type: "object",
       properties: {
@@ -1567,12 +6179,15 @@ const TOOLS = [
           type: "string",
           description: "The YAML configuration to check",
         },
+        path: {
+          type: "string",
+          description: "A YAML file in the configuration directory to check instead of yaml_config (e.g. 'configuration.yaml', 'packages/heating.yaml'). Its !include and !include_dir_* files are checked too.",
+        },
         integration: {
           type: "string",
           description: "The integration this config is for (helps with specific checks)",
         },
       },
-      required: ["yaml_config"],
     },
     outputSchema: SCHEMAS.configSyntaxCheck,
     annotations: {
@@ -1580,6 +6195,64 @@ const TOOLS = [
       idempotent: true,
     },
   },
+  {
+    name: "migrate_config",
+    title: "Migrate Deprecated Configuration",
+    description: "Rewrite deprecated YAML using the machine-applicable fixes of the deprecation rules: legacy 'platform: template' sensors, binary sensors, switches, and covers to the template: integration, 'service:' to 'action:', 'platform:' to 'trigger:' in triggers, 'white_value' to 'white', and fixes from user rule packs. Returns the rewritten YAML and a unified diff per file; nothing is written. For a path, included files are migrated too.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        yaml_config: {
+          type: "string",
+          description: "The YAML configuration to migrate",
+        },
+        path: {
+          type: "string",
+          description: "A YAML file in the configuration directory to migrate instead of yaml_config, together with the files it includes",
+        },
+        integration: {
+          type: "string",
+          description: "The integration a bare list belongs to (e.g. 'automation' for automations.yaml, 'sensor' for a list of sensor platforms)",
+        },
+        rules: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only apply these rule ids (default: every rule with a fix)",
+        },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "scan_config_deprecations",
+    title: "Scan Configuration for Deprecations",
+    description: "Scan the whole Home Assistant configuration for deprecated syntax: starts at configuration.yaml, follows !include, !include_dir_*, and packages, and runs the deprecation rules on every file. Returns findings grouped by rule with file:line locations and a severity summary.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "File to start from (default: configuration.yaml)",
+        },
+        min_severity: {
+          type: "string",
+          enum: DEPRECATION_SEVERITIES,
+          description: "Leave out findings below this severity (default: info)",
+        },
+        max_locations: {
+          type: "number",
+          description: "Locations listed per rule (default: 20)",
+        },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
   
   // === UPDATE MANAGEMENT ===
   {
@@ -1620,10 +6293,38 @@ const TOOLS = [
       idempotent: true,
     },
   },
+  {
+    name: "plan_update",
+    title: "Plan Update",
+    description: "Pre-flight check before update_component. Gathers breaking changes that affect the loaded integrations (Core), changelog entries between the installed and latest version (apps), open repairs, the configuration check, free disk space, and whether a recent backup covers the component. Returns a go/no-go checklist.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        component: {
+          type: "string",
+          enum: ["core", "os", "supervisor", "addon"],
+          description: "Type of component to update",
+        },
+        addon_slug: {
+          type: "string",
+          description: "Required if component is 'addon' - the app's slug identifier",
+        },
+        backup_max_age_hours: {
+          type: "number",
+          description: `How old a backup may be and still count as recent (default: ${UPDATE_BACKUP_MAX_AGE_HOURS})`,
+        },
+      },
+      required: ["component"],
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
   {
     name: "update_component",
     title: "Update Component",
-    description: "Initiate an update for a Home Assistant component (Core, OS, Supervisor) or an app. Returns a job_id for progress monitoring. NOTE: Cannot update HA OpenCode itself from within - use Home Assistant UI for self-updates.",
+    description: "Initiate an update for a Home Assistant component (Core, OS, Supervisor) or an app. Returns a job_id for progress monitoring. Run plan_update first and review its checklist with the user. NOTE: Cannot update HA OpenCode itself from within - use Home Assistant UI for self-updates.",
     inputSchema: {
       type: "object",
       properties: {
@@ -1682,6 +6383,205 @@ const TOOLS = [
     },
   },
   
+  // === BACKUPS ===
+  {
+    name: "list_backups",
+    title: "List Backups",
+    description: "List Supervisor backups, newest first, with type, size, protection, and what each contains.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: { type: "number", description: "Maximum backups to list (default: 20)", default: 20 },
+      },
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "get_backup_info",
+    title: "Get Backup Details",
+    description: "Show a backup's metadata: date, Home Assistant version, included apps (with versions), folders, database inclusion, locations, and protection.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        slug: { type: "string", description: "Backup slug from list_backups" },
+      },
+      required: ["slug"],
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "create_backup",
+    title: "Create Backup",
+    description: "Create a full or partial backup. Before large configuration changes, take a partial backup with homeassistant: true (the Home Assistant config folder). Waits for the backup to finish, up to wait_seconds.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          enum: ["full", "partial"],
+          description: "full: everything. partial: only the selected parts.",
+        },
+        name: { type: "string", description: "Backup name (default: 'HA OpenCode <timestamp>')" },
+        homeassistant: {
+          type: "boolean",
+          description: "Partial only: include the Home Assistant configuration folder (default: true)",
+          default: true,
+        },
+        addons: {
+          type: "array",
+          items: { type: "string" },
+          description: "Partial only: app slugs to include (e.g., 'core_mosquitto')",
+        },
+        folders: {
+          type: "array",
+          items: { type: "string", enum: ["ssl", "share", "media", "addons/local"] },
+          description: "Partial only: folders to include",
+        },
+        exclude_database: {
+          type: "boolean",
+          description: "Leave the recorder database out of the backup (smaller and faster)",
+          default: false,
+        },
+        password: { type: "string", description: "Optional password to encrypt the backup" },
+        wait_seconds: {
+          type: "number",
+          description: "How long to wait for completion before returning the job ID (default: 120)",
+          default: 120,
+        },
+      },
+      required: ["type"],
+    },
+    annotations: {
+      readOnly: false,
+      destructive: false,
+      idempotent: false,
+    },
+  },
+  {
+    name: "restore_backup",
+    title: "Restore Backup",
+    description: "Restore a backup, fully or partially. OVERWRITES CURRENT CONFIGURATION and restarts Home Assistant (and the restored apps). Always asks the user for confirmation. Use get_backup_info first to check what the backup contains.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        slug: { type: "string", description: "Backup slug from list_backups" },
+        type: {
+          type: "string",
+          enum: ["full", "partial"],
+          description: "full: restore everything. partial: only the selected parts (default: partial)",
+          default: "partial",
+        },
+        homeassistant: {
+          type: "boolean",
+          description: "Partial only: restore the Home Assistant configuration folder",
+        },
+        addons: {
+          type: "array",
+          items: { type: "string" },
+          description: "Partial only: app slugs to restore",
+        },
+        folders: {
+          type: "array",
+          items: { type: "string", enum: ["ssl", "share", "media", "addons/local"] },
+          description: "Partial only: folders to restore",
+        },
+        password: { type: "string", description: "Password, if the backup is protected" },
+      },
+      required: ["slug"],
+    },
+    annotations: {
+      readOnly: false,
+      destructive: true,
+      idempotent: false,
+      requiresConfirmation: true,
+    },
+  },
+  
+  // === APPS (ADD-ONS) ===
+  {
+    name: "addon_info",
+    title: "Get App Info",
+    description: "Show an app's state (started/stopped/error), version and available update, boot/watchdog/auto-update settings, network and ingress details, and current options.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        addon_slug: {
+          type: "string",
+          description: "The slug identifier of the app (e.g., 'core_mosquitto', 'core_zwave_js')",
+        },
+      },
+      required: ["addon_slug"],
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  {
+    name: "addon_control",
+    title: "Control App",
+    description: "Start, stop, restart, or rebuild an app. Stopping an app stops everything that depends on it (e.g., stopping Mosquitto disconnects all MQTT devices). HA OpenCode cannot stop, restart, or rebuild itself.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        addon_slug: {
+          type: "string",
+          description: "The slug identifier of the app",
+        },
+        action: {
+          type: "string",
+          enum: ["start", "stop", "restart", "rebuild"],
+          description: "What to do. rebuild recreates the container from its image (local apps only).",
+        },
+      },
+      required: ["addon_slug", "action"],
+    },
+    annotations: {
+      readOnly: false,
+      destructive: false,
+      idempotent: false,
+    },
+  },
+  {
+    name: "get_addon_logs",
+    title: "Get App Logs",
+    description: "Read the latest log lines of an app, optionally filtered grep-style. Use for debugging apps like Mosquitto, Z-Wave JS, or Zigbee2MQTT without leaving the conversation.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        addon_slug: {
+          type: "string",
+          description: "The slug identifier of the app",
+        },
+        lines: {
+          type: "number",
+          description: "Number of lines to return (default: 100)",
+          default: 100,
+        },
+        filter: {
+          type: "string",
+          description: "Only return lines matching this case-insensitive regex (e.g., 'error|warn', 'client .* disconnected')",
+        },
+        context: {
+          type: "number",
+          description: "Lines of context to show around each match (default: 0)",
+          default: 0,
+        },
+      },
+      required: ["addon_slug"],
+    },
+    annotations: {
+      readOnly: true,
+      idempotent: true,
+    },
+  },
+  
   // === ESPHOME INTEGRATION ===
   {
     name: "esphome_list_devices",
@@ -1823,7 +6723,7 @@ const RESOURCES = [
     uri: "ha://anomalies",
     name: "anomalies",
     title: "Detected Anomalies",
-    description: "Currently detected anomalies and potential issues",
+    description: "Currently detected anomalies and potential issues (built-in heuristics and user anomaly rules)",
     mimeType: "application/json",
   },
   {
@@ -1833,6 +6733,20 @@ const RESOURCES = [
     description: "Automation and optimization suggestions",
     mimeType: "application/json",
   },
+  {
+    uri: "ha://policy",
+    name: "safety_policy",
+    title: "Safety Policy",
+    description: "Effective allow/deny/confirm rules for call_service and fire_event",
+    mimeType: "application/json",
+  },
+  {
+    uri: "ha://audit",
+    name: "audit_log",
+    title: "MCP Audit Log",
+    description: "The 100 most recent state-changing calls made through this server",
+    mimeType: "application/json",
+  },
 ];
 
 const RESOURCE_TEMPLATES = [
@@ -1864,6 +6778,20 @@ const RESOURCE_TEMPLATES = [
     description: "Recent state history for an entity (last 24 hours)",
     mimeType: "application/json",
   },
+  {
+    uriTemplate: "ha://traces/{automation_id}",
+    name: "automation_traces",
+    title: "Automation Traces",
+    description: "Condensed timelines of the most recent runs of an automation (by config ID)",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "ha://exports/{filename}",
+    name: "history_export",
+    title: "History Export",
+    description: "A CSV or JSONL file written by export_history",
+    mimeType: "text/csv",
+  },
 ];
 
 // ============================================================================
@@ -1919,229 +6847,1124 @@ const PROMPTS = [
   },
 ];
 
-// ============================================================================
-// REQUEST HANDLERS
-// ============================================================================
+// ============================================================================
+// REQUEST HANDLERS
+// ============================================================================
+
+// --- Logging: Set Level ---
+server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+  const { level } = request.params;
+  if (LOG_LEVELS.includes(level)) {
+    currentLogLevel = level;
+    sendLog("info", "mcp-server", { action: "log_level_changed", level });
+    return {};
+  }
+  throw new Error(`Invalid log level: ${level}`);
+});
+
+// --- List Tools ---
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  sendLog("debug", "mcp-server", { action: "list_tools" });
+  // Strip newer MCP spec fields that some clients may not support
+  // Keep only: name, description, inputSchema (standard fields)
+  const compatibleTools = TOOLS.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+  }));
+  return { tools: compatibleTools };
+});
+
+// --- Call Tool ---
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  if (!isAuditedToolCall(name, args)) {
+    return handleToolCall(request);
+  }
+
+  const startedAt = Date.now();
+  const response = await handleToolCall(request);
+  await appendAuditEntry(buildAuditEntry(name, args, response, startedAt));
+  return response;
+});
+
+async function handleToolCall(request) {
+  const { name, arguments: args } = request.params;
+  sendLog("info", "mcp-server", { action: "call_tool", tool: name, args });
+
+  // Helper to strip unsupported MCP features from response for OpenCode compatibility
+  const makeCompatibleResponse = (result) => {
+    // Keep only standard fields: content, isError
+    // Remove: structuredContent, resourceLinks (not supported by OpenCode)
+    return {
+      content: result.content,
+      ...(result.isError && { isError: result.isError }),
+    };
+  };
+
+  try {
+    let result;
+    switch (name) {
+      // === STATE MANAGEMENT ===
+      case "get_states": {
+        if (args?.entity_id) {
+          const state = await callHA(`/states/${args.entity_id}`);
+          return makeCompatibleResponse({
+            content: [
+              createTextContent(JSON.stringify(state, null, 2), { audience: ["assistant"], priority: 0.8 }),
+            ],
+          });
+        }
+        
+        let states = await callHA("/states");
+        if (args?.domain) {
+          states = states.filter((s) => s.entity_id.startsWith(`${args.domain}.`));
+        }
+        
+        if (args?.summarize) {
+          const summary = generateStateSummary(states, await loadAnomalyRules());
+          return makeCompatibleResponse({
+            content: [createTextContent(summary, { audience: ["user", "assistant"], priority: 0.9 })],
+          });
+        }
+        
+        const simplified = states.map((s) => ({
+          entity_id: s.entity_id,
+          state: s.state,
+          friendly_name: s.attributes?.friendly_name,
+          device_class: s.attributes?.device_class,
+        }));
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(simplified, null, 2), { audience: ["assistant"], priority: 0.7 })],
+        });
+      }
+
+      case "search_entities": {
+        const states = await callHA("/states");
+        const results = searchEntities(states, args.query);
+        
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(
+              results.length > 0 
+                ? JSON.stringify(results, null, 2)
+                : `No entities found matching "${args.query}"`,
+              { audience: ["assistant"], priority: 0.8 }
+            ),
+          ],
+        });
+      }
+
+      case "get_entity_details": {
+        const relationships = await getEntityRelationships(args.entity_id);
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(relationships, null, 2), { audience: ["assistant"], priority: 0.8 })],
+        });
+      }
+
+      // === SERVICE CALLS ===
+      case "call_service": {
+        const { domain, service, target, data } = args;
+
+        if (args.dry_run) {
+          const report = await dryRunServiceCall(domain, service, target, data);
+          let policy;
+          try {
+            policy = evaluateSafetyPolicy(await loadSafetyPolicy(), {
+              kind: "service", domain, service, entityIds: report.entities.map(e => e.entity_id),
+            });
+          } catch (error) {
+            policy = { decision: "deny", reason: error.message };
+          }
+          report.policy = policy;
+
+          let text = `# Dry Run: ${domain}.${service}\n\n`;
+          text += `**Service exists:** ${report.service_exists ? "yes" : "no"}\n`;
+          text += `**Would succeed:** ${report.would_succeed ? "yes" : "no"}\n`;
+          text += `**Safety policy:** ${policy.decision}${policy.reason ? ` — ${policy.reason}` : ""}\n\n`;
+          if (report.entities.length > 0) {
+            text += `## Target (${report.affected_entities.length} affected)\n`;
+            for (const e of report.entities) {
+              text += `- ${e.entity_id}${e.friendly_name ? ` (${e.friendly_name})` : ""}: ${e.current_state}`;
+              text += ` — via ${e.via.join(", ")}${e.ignored ? ` — IGNORED: ${e.ignored}` : ""}\n`;
+            }
+            text += "\n";
+          }
+          if (report.errors.length > 0) {
+            text += `## Errors\n${report.errors.map(e => `- ${e}`).join("\n")}\n\n`;
+          }
+          if (report.warnings.length > 0) {
+            text += `## Warnings\n${report.warnings.map(w => `- ${w}`).join("\n")}\n\n`;
+          }
+          text += "No service was called.";
+
+          return makeCompatibleResponse({
+            content: [
+              createTextContent(text, { audience: ["user", "assistant"], priority: 0.9 }),
+              createTextContent(JSON.stringify(report, null, 2), { audience: ["assistant"], priority: 0.5 }),
+            ],
+          });
+        }
+
+        // Area/device/floor/label targets are expanded so entity rules apply to them too
+        const { entityIds } = await resolveServiceTarget(target, data, domain);
+        await enforceSafetyPolicy(
+          { kind: "service", domain, service, entityIds },
+          `${domain}.${service}${entityIds.length > 0 ? ` on ${entityIds.join(", ")}` : ""}`
+        );
+        sendLog("notice", "ha-service", { action: "call", domain, service, target });
+        
+        const payload = { ...data };
+        if (target) {
+          Object.assign(payload, target);
+        }
+        const result = await callHA(`/services/${domain}/${service}`, "POST", payload);
+        
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(
+              `Service ${domain}.${service} called successfully.\n${JSON.stringify(result, null, 2)}`,
+              { audience: ["user", "assistant"], priority: 0.9 }
+            ),
+          ],
+        });
+      }
+
+      case "get_services": {
+        let services = await callHA("/services");
+        if (args?.domain) {
+          services = services.filter((s) => s.domain === args.domain);
+        }
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(services, null, 2), { audience: ["assistant"], priority: 0.6 })],
+        });
+      }
+
+      // === HISTORY & LOGBOOK ===
+      case "get_history": {
+        const entityIds = [].concat(args.entity_id || []).filter(Boolean);
+        if (entityIds.length === 0) {
+          throw new Error("entity_id is required");
+        }
+        if (args.chart && !CHART_FORMATS.includes(args.chart)) {
+          throw new Error(`Unknown chart format: ${args.chart}. Use ${CHART_FORMATS.join(" or ")}.`);
+        }
+        const startTime = args.start_time || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        const aggregated = Boolean(args.aggregate || args.bucket || args.chart);
+        const params = new URLSearchParams({ filter_entity_id: entityIds.join(",") });
+        if (args.end_time) params.append("end_time", args.end_time);
+        if (args.minimal || aggregated) {
+          params.append("minimal_response", "true");
+          params.append("no_attributes", "true");
+        }
+        
+        if (!aggregated) {
+          const history = await callHA(`/history/period/${encodeURIComponent(startTime)}?${params}`);
+          return makeCompatibleResponse({
+            content: [createTextContent(JSON.stringify(history, null, 2), { audience: ["assistant"], priority: 0.7 })],
+          });
+        }
+        
+        const startMs = Date.parse(startTime);
+        const endMs = args.end_time ? Date.parse(args.end_time) : Date.now();
+        if (Number.isNaN(startMs) || Number.isNaN(endMs) || endMs <= startMs) {
+          throw new Error("start_time and end_time must be ISO timestamps with start before end");
+        }
+        const bucketMs = args.bucket ? parseDuration(args.bucket) : endMs - startMs;
+        const bucketCount = Math.ceil((endMs - startMs) / bucketMs);
+        if (bucketCount > 500) {
+          throw new Error(`${bucketCount} buckets is too many. Use a larger bucket (max 500 per call).`);
+        }
+        
+        const [history, config] = await Promise.all([
+          callHA(`/history/period/${encodeURIComponent(startTime)}?${params}`),
+          callHA("/config"),
+        ]);
+        const timeZone = config.time_zone;
+        const labelPeriod = bucketMs >= 24 * 60 * 60 * 1000 ? "day" : "hour";
+        const historyById = new Map(history.filter(h => h.length > 0).map(h => [h[0].entity_id, h]));
+        
+        let responseText = `# History Summary\n\n`;
+        responseText += `**Window:** ${formatPeriodStart(startMs, timeZone, "hour")} → ${formatPeriodStart(endMs, timeZone, "hour")} (${timeZone})`;
+        responseText += args.bucket ? `, ${bucketCount} buckets of ${args.bucket}\n` : `\n`;
+        
+        const structured = {};
+        for (const entityId of entityIds) {
+          const states = historyById.get(entityId);
+          responseText += `\n## ${entityId}\n\n`;
+          if (!states) {
+            responseText += `*No history in this window.*\n`;
+            continue;
+          }
+          
+          const { numeric, buckets, summary } = aggregateHistory(states, startMs, endMs, bucketMs);
+          structured[entityId] = { numeric, summary, ...(args.bucket && { buckets }) };
+          
+          if (numeric) {
+            responseText += `**Window:** mean ${formatStatValue(summary.mean)}, min ${formatStatValue(summary.min)}, max ${formatStatValue(summary.max)}, last ${formatStatValue(summary.last)}, ${summary.transitions} changes`;
+            responseText += summary.unavailable_ms ? `, unavailable ${formatDuration(summary.unavailable_ms)}\n` : `\n`;
+          } else {
+            const total = Object.values(summary.time_in_state).reduce((a, b) => a + b, 0) || 1;
+            const timeInState = Object.entries(summary.time_in_state)
+              .sort((a, b) => b[1] - a[1])
+              .map(([state, ms]) => `${state} ${formatDuration(ms)} (${Math.round((ms / total) * 100)}%)`);
+            responseText += `**Window:** ${summary.transitions} transitions; ${timeInState.join(", ")}; now ${summary.last}\n`;
+          }
+          
+          if (!args.bucket) continue;
+          responseText += `\n`;
+          if (numeric) {
+            responseText += `| Bucket | mean | min | max | last | changes |\n`;
+            responseText += `|--------|------|-----|-----|------|---------|\n`;
+            for (const b of buckets) {
+              responseText += `| ${formatPeriodStart(b.start, timeZone, labelPeriod)} | ${formatStatValue(b.mean)} | ${formatStatValue(b.min)} | ${formatStatValue(b.max)} | ${formatStatValue(b.last)} | ${b.transitions} |\n`;
+            }
+          } else {
+            responseText += `| Bucket | changes | time in state | last |\n`;
+            responseText += `|--------|---------|---------------|------|\n`;
+            for (const b of buckets) {
+              const timeInState = Object.entries(b.time_in_state)
+                .filter(([, ms]) => ms > 0)
+                .map(([state, ms]) => `${state} ${formatDuration(ms)}`)
+                .join(", ");
+              responseText += `| ${formatPeriodStart(b.start, timeZone, labelPeriod)} | ${b.transitions} | ${timeInState || "-"} | ${b.last ?? "-"} |\n`;
+            }
+          }
+        }
+        
+        const content = [
+          createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 }),
+          createTextContent(JSON.stringify(structured, null, 2), { audience: ["assistant"], priority: 0.4 }),
+        ];
+        if (args.chart) {
+          const panels = buildHistoryChartPanels(
+            entityIds.filter(id => historyById.has(id)).map(id => ({ entityId: id, states: historyById.get(id) })),
+            startMs,
+            endMs
+          );
+          if (panels.length > 0) content.push(renderChartContent(layoutChart(panels, startMs, endMs, timeZone), args.chart));
+        }
+        
+        return makeCompatibleResponse({ content });
+      }
+
+      case "get_statistics": {
+        const { period = "hour", types, units, max_rows = 200 } = args;
+        const statisticIds = [].concat(args.statistic_ids || []).filter(Boolean);
+        if (statisticIds.length === 0) {
+          throw new Error("statistic_ids is required");
+        }
+        if (args.chart && !CHART_FORMATS.includes(args.chart)) {
+          throw new Error(`Unknown chart format: ${args.chart}. Use ${CHART_FORMATS.join(" or ")}.`);
+        }
+        
+        const [{ metadata, statistics, types: typesById, missing, startTime }, config] = await Promise.all([
+          getStatistics({ statisticIds, start: args.start_time, end: args.end_time, period, types, units }),
+          callHA("/config"),
+        ]);
+        const timeZone = config.time_zone;
+        
+        let responseText = `# Statistics (${period})\n\n`;
+        responseText += `**From:** ${startTime}${args.end_time ? ` **To:** ${args.end_time}` : ""} (times in ${timeZone})\n`;
+        if (missing.length > 0) {
+          responseText += `**No statistics for:** ${missing.join(", ")}\n`;
+        }
+        
+        const structured = {};
+        for (const [id, meta] of metadata) {
+          const rows = statistics[id] || [];
+          const columns = typesById[id];
+          const unit = getStatisticUnit(meta, units);
+          const summary = summarizeStatisticRows(rows);
+          structured[id] = { unit, name: meta.name, summary, rows: rows.length };
+          
+          responseText += `\n## ${meta.name || id}${meta.name ? ` (${id})` : ""}${unit ? ` [${unit}]` : ""}\n\n`;
+          if (rows.length === 0) {
+            responseText += `*No data in this window.*\n`;
+            continue;
+          }
+          
+          const summaryText = columns
+            .filter(c => summary[c] !== undefined)
+            .map(c => `${c === "change" ? "total change" : c === "mean" ? "average" : c}: ${formatStatValue(summary[c])}`);
+          if (summaryText.length > 0) responseText += `**Window:** ${summaryText.join(", ")}\n\n`;
+          
+          const shown = rows.slice(-max_rows);
+          if (shown.length < rows.length) {
+            responseText += `*Showing the last ${shown.length} of ${rows.length} periods.*\n\n`;
+          }
+          responseText += `| Start | ${columns.join(" | ")} |\n`;
+          responseText += `|-------|${columns.map(() => "------").join("|")}|\n`;
+          for (const row of shown) {
+            responseText += `| ${formatPeriodStart(row.start, timeZone, period)} | ${columns.map(c => formatStatValue(row[c])).join(" | ")} |\n`;
+          }
+        }
+        
+        const content = [
+          createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 }),
+          createTextContent(JSON.stringify(structured, null, 2), { audience: ["assistant"], priority: 0.4 }),
+        ];
+        if (args.chart) {
+          const panels = buildStatisticsChartPanels(
+            [...metadata]
+              .filter(([id]) => (statistics[id] || []).length > 0)
+              .map(([id, meta]) => ({ id, name: meta.name, unit: getStatisticUnit(meta, units), rows: statistics[id], types: typesById[id] }))
+          );
+          const startMs = Date.parse(startTime);
+          const endMs = args.end_time ? Date.parse(args.end_time) : Date.now();
+          if (panels.length > 0) content.push(renderChartContent(layoutChart(panels, startMs, endMs, timeZone), args.chart));
+        }
+        
+        return makeCompatibleResponse({ content });
+      }
+
+      case "export_history": {
+        const { source = "history", format = "csv", include_attributes = false, period = "hour", types, units } = args;
+        const ids = [].concat(args.entity_ids || []).filter(Boolean);
+        if (ids.length === 0) {
+          throw new Error("entity_ids is required");
+        }
+        if (!EXPORT_MIME_TYPES[format]) {
+          throw new Error(`Unknown format: ${format}. Use csv or jsonl.`);
+        }
+        
+        let columns;
+        let rows;
+        let windowStart;
+        if (source === "statistics") {
+          const { metadata, statistics, types: typesById, startTime } = await getStatistics({
+            statisticIds: ids, start: args.start_time, end: args.end_time, period, types, units,
+          });
+          const exportTypes = STATISTIC_TYPES.filter(t => Object.values(typesById).some(list => list.includes(t)));
+          columns = ["statistic_id", "start", "end", "unit", ...exportTypes];
+          rows = [];
+          for (const [id, meta] of metadata) {
+            const unit = getStatisticUnit(meta, units);
+            for (const row of statistics[id] || []) {
+              const record = { statistic_id: id, start: new Date(row.start).toISOString(), end: new Date(row.end).toISOString(), unit };
+              for (const t of exportTypes) record[t] = row[t] ?? null;
+              rows.push(record);
+            }
+          }
+          windowStart = startTime;
+        } else if (source === "history") {
+          windowStart = args.start_time || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+          const params = new URLSearchParams({ filter_entity_id: ids.join(",") });
+          if (args.end_time) params.append("end_time", args.end_time);
+          if (!include_attributes) params.append("no_attributes", "true");
+          const history = await callHA(`/history/period/${encodeURIComponent(windowStart)}?${params}`);
+          columns = ["entity_id", "state", "last_changed", "last_updated", ...(include_attributes ? ["attributes"] : [])];
+          rows = history.flatMap(group => group.map(s => ({
+            entity_id: group[0].entity_id,
+            state: s.state,
+            last_changed: s.last_changed,
+            last_updated: s.last_updated,
+            ...(include_attributes && { attributes: s.attributes }),
+          })));
+        } else {
+          throw new Error(`Unknown source: ${source}. Use history or statistics.`);
+        }
+        
+        const filename = buildExportFilename(args.filename, ids, source, format);
+        const { path, bytes } = await writeExport(filename, columns, rows, format);
+        sendLog("info", "export", { action: "written", path, rows: rows.length, bytes });
+        
+        let responseText = `# Export Written\n\n`;
+        responseText += `**File:** ${path} (\`/config/ha_opencode/exports/${filename}\` in Home Assistant)\n`;
+        responseText += `**Source:** ${source}${source === "statistics" ? ` (${period})` : ""}\n`;
+        responseText += `**Window:** ${windowStart} → ${args.end_time || "now"}\n`;
+        responseText += `**Rows:** ${rows.length} (${(bytes / 1024).toFixed(1)} KB)\n`;
+        responseText += `**Columns:** ${columns.join(", ")}\n`;
+        if (rows.length === 0) {
+          responseText += `\n⚠️ No data in this window; the file only has ${format === "csv" ? "a header" : "no lines"}.\n`;
+        }
+        
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 }),
+            createResourceLink(`ha://exports/${encodeURIComponent(filename)}`, filename, `${source} export (${rows.length} rows)`, {
+              mimeType: EXPORT_MIME_TYPES[format],
+              audience: ["assistant"],
+              priority: 0.7,
+            }),
+          ],
+        });
+      }
+
+      case "get_logbook": {
+        const startTime = args.start_time || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        const params = new URLSearchParams();
+        if (args.entity_id) params.append("entity", args.entity_id);
+        if (args.end_time) params.append("end_time", args.end_time);
+        
+        const logbook = await callHA(`/logbook/${encodeURIComponent(startTime)}?${params}`);
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(logbook, null, 2), { audience: ["assistant"], priority: 0.7 })],
+        });
+      }
+
+      case "get_audit_log": {
+        const entries = await readAuditLog(args || {});
+        if (entries.length === 0) {
+          return makeCompatibleResponse({
+            content: [createTextContent("No matching state-changing calls in the audit log.", { audience: ["user", "assistant"], priority: 0.7 })],
+          });
+        }
 
-// --- Logging: Set Level ---
-server.setRequestHandler(SetLevelRequestSchema, async (request) => {
-  const { level } = request.params;
-  if (LOG_LEVELS.includes(level)) {
-    currentLogLevel = level;
-    sendLog("info", "mcp-server", { action: "log_level_changed", level });
-    return {};
-  }
-  throw new Error(`Invalid log level: ${level}`);
-});
+        let text = `# MCP Audit Log (${entries.length} ${entries.length === 1 ? "entry" : "entries"}, newest first)\n\n`;
+        for (const entry of entries) {
+          text += `- **${entry.timestamp}** ${entry.outcome === "error" ? "❌" : "✅"} \`${entry.tool}\` ${describeAuditEntry(entry)}`;
+          if (entry.error) text += ` — ${entry.error.split("\n")[0]}`;
+          text += "\n";
+        }
 
-// --- List Tools ---
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  sendLog("debug", "mcp-server", { action: "list_tools" });
-  // Strip newer MCP spec fields that some clients may not support
-  // Keep only: name, description, inputSchema (standard fields)
-  const compatibleTools = TOOLS.map(tool => ({
-    name: tool.name,
-    description: tool.description,
-    inputSchema: tool.inputSchema,
-  }));
-  return { tools: compatibleTools };
-});
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(text, { audience: ["user", "assistant"], priority: 0.8 }),
+            createTextContent(JSON.stringify(entries, null, 2), { audience: ["assistant"], priority: 0.5 }),
+          ],
+        });
+      }
 
-// --- Call Tool ---
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  sendLog("info", "mcp-server", { action: "call_tool", tool: name, args });
+      // === ENERGY ===
+      case "get_energy_config": {
+        const [prefs, validation] = await Promise.all([
+          getEnergyPrefs(),
+          callHAWebSocket("energy/validate").catch(e => ({ error: e.message })),
+        ]);
+        const sourceIssues = validation.energy_sources || [];
+        const deviceIssues = validation.device_consumption || [];
+        const waterIssues = validation.device_consumption_water || [];
+        const issueLines = (issues = []) => issues.map(issue => `  - ⚠️ ${describeEnergyIssue(issue)}\n`).join("");
+        
+        let responseText = `# Energy Configuration\n\n`;
+        responseText += `## Sources\n\n`;
+        const sources = prefs.energy_sources || [];
+        if (sources.length === 0) {
+          responseText += `*No energy sources configured.*\n`;
+        }
+        sources.forEach((source, i) => {
+          switch (source.type) {
+            case "grid": {
+              const imports = (source.flow_from || []).map(f => f.stat_energy_from).concat(source.stat_energy_from || []);
+              const exports = (source.flow_to || []).map(f => f.stat_energy_to).concat(source.stat_energy_to || []);
+              responseText += `- **Grid** — import: ${imports.join(", ") || "none"}; export: ${exports.join(", ") || "none"}\n`;
+              const costs = (source.flow_from || [])
+                .map(f => f.stat_cost || f.entity_energy_price || (typeof f.number_energy_price === "number" ? `${f.number_energy_price}/kWh` : null))
+                .filter(Boolean);
+              if (costs.length > 0) responseText += `  - Cost: ${costs.join(", ")}\n`;
+              break;
+            }
+            case "solar": {
+              const forecasts = source.config_entry_solar_forecast?.length || 0;
+              responseText += `- **Solar** — production: ${source.stat_energy_from}${forecasts > 0 ? ` (forecast: ${forecasts} config entr${forecasts === 1 ? "y" : "ies"})` : ""}\n`;
+              break;
+            }
+            case "battery":
+              responseText += `- **Battery** — charge: ${source.stat_energy_to}; discharge: ${source.stat_energy_from}\n`;
+              break;
+            default:
+              responseText += `- **${source.type.charAt(0).toUpperCase()}${source.type.slice(1)}** — ${source.stat_energy_from}${source.stat_cost ? ` (cost: ${source.stat_cost})` : ""}\n`;
+          }
+          responseText += issueLines(sourceIssues[i]);
+        });
+        
+        const devices = prefs.device_consumption || [];
+        responseText += `\n## Devices (${devices.length})\n\n`;
+        devices.forEach((d, i) => {
+          responseText += `- ${d.name ? `${d.name} (${d.stat_consumption})` : d.stat_consumption}${d.included_in_stat ? ` — included in ${d.included_in_stat}` : ""}\n`;
+          responseText += issueLines(deviceIssues[i]);
+        });
+        const waterDevices = prefs.device_consumption_water || [];
+        if (waterDevices.length > 0) {
+          responseText += `\n## Water Devices (${waterDevices.length})\n\n`;
+          waterDevices.forEach((d, i) => {
+            responseText += `- ${d.name ? `${d.name} (${d.stat_consumption})` : d.stat_consumption}\n`;
+            responseText += issueLines(waterIssues[i]);
+          });
+        }
+        
+        const issueCount = [...sourceIssues, ...deviceIssues, ...waterIssues].reduce((total, list) => total + list.length, 0);
+        responseText += `\n## Validation\n\n`;
+        if (validation.error) {
+          responseText += `Could not validate: ${validation.error}\n`;
+        } else if (issueCount > 0) {
+          responseText += `**${issueCount} issue(s)** listed above. Fix these before relying on get_energy_usage.\n`;
+        } else {
+          responseText += `✅ No issues found.\n`;
+        }
+        
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 }),
+            createTextContent(JSON.stringify({ prefs, validation }, null, 2), { audience: ["assistant"], priority: 0.4 }),
+          ],
+        });
+      }
 
-  // Helper to strip unsupported MCP features from response for OpenCode compatibility
-  const makeCompatibleResponse = (result) => {
-    // Keep only standard fields: content, isError
-    // Remove: structuredContent, resourceLinks (not supported by OpenCode)
-    return {
-      content: result.content,
-      ...(result.isError && { isError: result.isError }),
-    };
-  };
+      case "get_energy_usage": {
+        const { period = "day", top_devices = 6 } = args;
+        if (period === "5minute") {
+          throw new Error("Energy usage supports hour, day, week, or month periods");
+        }
+        if (args.chart && !CHART_FORMATS.includes(args.chart)) {
+          throw new Error(`Unknown chart format: ${args.chart}. Use ${CHART_FORMATS.join(" or ")}.`);
+        }
+        
+        const prefs = await getEnergyPrefs();
+        const [usage, config] = await Promise.all([
+          computeEnergyUsage(prefs, { start: args.start_time, end: args.end_time, period }),
+          callHA("/config"),
+        ]);
+        const { periods, totals, devices, flows, units, missing, startTime } = usage;
+        const timeZone = config.time_zone;
+        const shownFlows = ENERGY_FLOWS.filter(f => flows[f].length > 0);
+        const flowUnit = (flow) => (flow === "gas" || flow === "water" ? units[flow] : "kWh");
+        const percent = (part, whole) => (whole > 0 ? `${Math.round((part / whole) * 100)}%` : "-");
+        
+        let responseText = `# Energy Usage (${period})\n\n`;
+        responseText += `**From:** ${startTime}${args.end_time ? ` **To:** ${args.end_time}` : ""} (times in ${timeZone})\n`;
+        if (missing.length > 0) {
+          responseText += `**No statistics for:** ${missing.join(", ")} (check get_energy_config)\n`;
+        }
+        
+        responseText += `\n## Totals\n\n`;
+        responseText += `- **Home consumption:** ${formatStatValue(totals.consumption)} kWh\n`;
+        for (const flow of shownFlows) {
+          responseText += `- **${ENERGY_FLOW_LABELS[flow]}:** ${formatStatValue(totals[flow])} ${flowUnit(flow)}\n`;
+        }
+        if (totals.consumption > 0 && flows.grid_import.length > 0) {
+          responseText += `- **Self-sufficiency:** ${Math.round(Math.max(0, 1 - totals.grid_import / totals.consumption) * 100)}%\n`;
+        }
+        
+        const energyDevices = devices.filter(d => !d.water);
+        if (devices.length > 0) {
+          responseText += `\n## Devices\n\n`;
+          responseText += `| Device | Total | Share | Per ${period} |\n`;
+          responseText += `|--------|-------|-------|---------|\n`;
+          for (const d of devices) {
+            const perPeriod = periods.length > 0 ? d.total / periods.length : 0;
+            responseText += `| ${d.name}${d.included_in_stat ? " ↳" : ""} | ${formatStatValue(d.total)} ${d.unit} | ${d.water ? "-" : percent(d.total, totals.consumption)} | ${formatStatValue(perPeriod)} ${d.unit} |\n`;
+          }
+          if (energyDevices.length > 0) {
+            responseText += `| *Untracked* | ${formatStatValue(totals.untracked)} kWh | ${percent(totals.untracked, totals.consumption)} | |\n`;
+          }
+          if (energyDevices.some(d => d.included_in_stat)) {
+            responseText += `\n↳ Measured by another device's meter as well; not subtracted twice for Untracked.\n`;
+          }
+        }
+        
+        if (periods.length > 0) {
+          responseText += `\n## Per ${period}\n\n`;
+          responseText += `| Start | Consumption | ${shownFlows.map(f => ENERGY_FLOW_LABELS[f]).join(" | ")} |\n`;
+          responseText += `|-------|-------------|${shownFlows.map(() => "------").join("|")}|\n`;
+          for (const p of periods) {
+            responseText += `| ${formatPeriodStart(p.start, timeZone, period)} | ${formatStatValue(p.consumption)} | ${shownFlows.map(f => formatStatValue(p[f])).join(" | ")} |\n`;
+          }
+          
+          const topDevices = energyDevices.slice(0, top_devices);
+          const rest = energyDevices.slice(top_devices);
+          if (topDevices.length > 0) {
+            responseText += `\n### Devices per ${period} (kWh)\n\n`;
+            responseText += `| Start | ${topDevices.map(d => d.name).join(" | ")}${rest.length > 0 ? " | Other devices" : ""} | Untracked |\n`;
+            responseText += `|-------|${topDevices.map(() => "------").join("|")}${rest.length > 0 ? "|------" : ""}|------|\n`;
+            for (const p of periods) {
+              const other = rest.reduce((total, d) => total + (p.devices[d.id] || 0), 0);
+              responseText += `| ${formatPeriodStart(p.start, timeZone, period)} | ${topDevices.map(d => formatStatValue(p.devices[d.id] || 0)).join(" | ")}${rest.length > 0 ? ` | ${formatStatValue(other)}` : ""} | ${formatStatValue(p.untracked)} |\n`;
+            }
+          }
+        }
+        
+        const content = [
+          createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 }),
+          createTextContent(JSON.stringify({ totals, devices, periods }, null, 2), { audience: ["assistant"], priority: 0.4 }),
+        ];
+        if (args.chart && periods.length > 0) {
+          const startMs = Date.parse(startTime);
+          const endMs = args.end_time ? Date.parse(args.end_time) : Date.now();
+          const step = periods.length > 1 ? periods[1].start - periods[0].start : endMs - periods[0].start;
+          const bars = (key) => periods.map((p, i) => ({ start: p.start, end: periods[i + 1]?.start ?? Math.min(endMs, p.start + step), value: p[key] }));
+          const panels = [{ title: "Home consumption [kWh]", kind: "bars", bars: bars("consumption") }];
+          if (flows.solar.length > 0) panels.push({ title: "Solar production [kWh]", kind: "bars", bars: bars("solar"), color: CHART_COLORS[1] });
+          content.push(renderChartContent(layoutChart(panels, startMs, endMs, timeZone), args.chart));
+        }
+        
+        return makeCompatibleResponse({ content });
+      }
 
-  try {
-    let result;
-    switch (name) {
-      // === STATE MANAGEMENT ===
-      case "get_states": {
-        if (args?.entity_id) {
-          const state = await callHA(`/states/${args.entity_id}`);
+      // === CONFIGURATION ===
+      case "get_config": {
+        const config = await callHA("/config");
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(config, null, 2), { audience: ["assistant"], priority: 0.6 })],
+        });
+      }
+
+      case "get_areas": {
+        const areas = await listAreas();
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(areas, null, 2), { audience: ["assistant"], priority: 0.7 })],
+        });
+      }
+
+      case "get_devices": {
+        const { entities, devices, areasById, labelsById } = await getRegistries();
+        const entityCounts = {};
+        for (const entity of entities) {
+          if (entity.device_id) {
+            entityCounts[entity.device_id] = (entityCounts[entity.device_id] || 0) + 1;
+          }
+        }
+
+        const result = devices
+          .filter(d => !args?.area_id || d.area_id === args.area_id)
+          .map(d => ({
+            id: d.id,
+            name: d.name_by_user || d.name,
+            manufacturer: d.manufacturer,
+            model: d.model,
+            area: d.area_id,
+            area_name: areasById.get(d.area_id)?.name || null,
+            labels: (d.labels || []).map(id => labelsById.get(id)?.name || id),
+            entities: entityCounts[d.id] || 0,
+            disabled: Boolean(d.disabled_by),
+          }));
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify(result, null, 2), { audience: ["assistant"], priority: 0.6 })],
+        });
+      }
+
+      case "validate_config": {
+        const result = await callHA("/config/core/check_config", "POST");
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(
+              JSON.stringify(result, null, 2),
+              { audience: ["user", "assistant"], priority: 0.9 }
+            ),
+          ],
+        });
+      }
+
+      case "get_error_log": {
+        const { mode = "raw", level = "warning", integration, sort = "count", limit = 20 } = args || {};
+        let log;
+        try {
+          log = await callHA("/error_log");
+        } catch (e) {
+          // Installs without home-assistant.log still have the Core container log
+          sendLog("info", "error-log", { action: "fallback_core_logs", error: e.message });
+          log = (await getSupervisorLogLines("/core/logs", 5000)).join("\n");
+        }
+        
+        if (mode === "raw") {
+          const lines = args?.lines || 100;
+          const logLines = log.split("\n").slice(-lines).join("\n");
           return makeCompatibleResponse({
-            content: [
-              createTextContent(JSON.stringify(state, null, 2), { audience: ["assistant"], priority: 0.8 }),
-            ],
+            content: [createTextContent(logLines, { audience: ["assistant"], priority: 0.8 })],
           });
         }
         
-        let states = await callHA("/states");
-        if (args?.domain) {
-          states = states.filter((s) => s.entity_id.startsWith(`${args.domain}.`));
+        const allLines = log.replace(/\x1b\[[0-9;]*m/g, "").split("\n").filter(line => line.trim());
+        const allRecords = parseLogRecords(allLines);
+        const records = filterLogRecords(allRecords, { level, logger: integration });
+        
+        if (mode === "records") {
+          const result = records.slice(-(args?.lines || 100)).map(record => ({
+            timestamp: record.timestamp,
+            level: record.level,
+            logger: record.logger,
+            integration: loggerToIntegration(record.logger),
+            message: record.message,
+            ...(record.details.length > 0 && { traceback: record.details.join("\n") }),
+          }));
+          return makeCompatibleResponse({
+            content: [createTextContent(JSON.stringify(result, null, 2), { audience: ["assistant"], priority: 0.8 })],
+          });
         }
         
-        if (args?.summarize) {
-          const summary = generateStateSummary(states);
+        if (mode !== "grouped") {
+          throw new Error(`Unknown mode: ${mode}. Use raw, records, or grouped.`);
+        }
+        
+        const sorters = {
+          count: (a, b) => b.count - a.count || (b.last_seen || "").localeCompare(a.last_seen || ""),
+          first_seen: (a, b) => (a.first_seen || "").localeCompare(b.first_seen || ""),
+          last_seen: (a, b) => (b.last_seen || "").localeCompare(a.last_seen || ""),
+        };
+        const groups = groupLogRecords(records).sort(sorters[sort] || sorters.count);
+        const timestamps = allRecords.map(r => r.timestamp).filter(Boolean);
+        const levelCounts = {};
+        for (const record of records) levelCounts[record.level] = (levelCounts[record.level] || 0) + 1;
+        
+        let responseText = `# Error Log Analysis\n\n`;
+        responseText += `**Parsed:** ${allRecords.length} records from ${allLines.length} lines`;
+        if (timestamps.length > 0) responseText += ` (${timestamps[0]} → ${timestamps[timestamps.length - 1]})`;
+        responseText += `\n`;
+        responseText += `**Matching (level >= ${level}${integration ? `, integration ${integration}` : ""}):** ${records.length}`;
+        const countSummary = HA_LOG_LEVELS.filter(l => levelCounts[l]).map(l => `${levelCounts[l]} ${l}`);
+        if (countSummary.length > 0) responseText += ` (${countSummary.join(", ")})`;
+        responseText += `\n**Distinct problems:** ${groups.length}\n\n`;
+        
+        groups.slice(0, limit).forEach((group, i) => {
+          responseText += `## ${i + 1}. ${(group.level || "log").toUpperCase()} ${group.integration || group.logger || "unknown"} — ${group.count}×\n`;
+          responseText += `- **Logger:** ${group.logger}\n`;
+          responseText += `- **First seen:** ${group.first_seen || "unknown"}\n`;
+          responseText += `- **Last seen:** ${group.last_seen || "unknown"}\n`;
+          responseText += `- **Message:** ${group.message}\n`;
+          if (group.exception) responseText += `- **Exception:** ${group.exception}\n`;
+          if (group.integration && group.custom_integration) {
+            responseText += `- **Integration:** ${group.integration} (custom integration - check its repository, not the HA docs)\n`;
+          } else if (group.integration) {
+            responseText += `- **Docs:** \`get_integration_docs({ integration: "${group.integration}" })\` — ${HA_INTEGRATIONS_URL}/${group.integration}/\n`;
+          }
+          if (group.traceback.length > 0) {
+            responseText += `\n\`\`\`\n${group.traceback.slice(-12).join("\n")}\n\`\`\`\n`;
+          }
+          responseText += `\n`;
+        });
+        if (groups.length > limit) {
+          responseText += `*${groups.length - limit} more groups not shown. Increase \`limit\` or filter by \`integration\`.*\n`;
+        }
+        
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.9 }),
+            createTextContent(JSON.stringify(groups.slice(0, limit).map(({ traceback, ...group }) => group), null, 2), { audience: ["assistant"], priority: 0.4 }),
+          ],
+        });
+      }
+
+      case "get_system_logs": {
+        const {
+          source = "core", identifier, list_identifiers, lines = 100,
+          level, logger, since, until, filter, follow_seconds,
+        } = args || {};
+        
+        if (list_identifiers) {
+          const result = await callSupervisor("/host/logs/identifiers");
+          const identifiers = (result.identifiers || []).sort();
           return makeCompatibleResponse({
-            content: [createTextContent(summary, { audience: ["user", "assistant"], priority: 0.9 })],
+            content: [createTextContent(
+              `# Journald Identifiers (${identifiers.length})\n\n${identifiers.join(", ")}\n\nRead one with \`get_system_logs({ source: "host", identifier: "..." })\`.`,
+              { audience: ["assistant"], priority: 0.6 }
+            )],
           });
         }
         
-        const simplified = states.map((s) => ({
-          entity_id: s.entity_id,
-          state: s.state,
-          friendly_name: s.attributes?.friendly_name,
-          device_class: s.attributes?.device_class,
-        }));
+        if (!LOG_SOURCES[source]) {
+          throw new Error(`Unknown log source: ${source}. Use one of: ${Object.keys(LOG_SOURCES).join(", ")}`);
+        }
+        if (identifier && source !== "host") {
+          throw new Error("identifier only applies to source 'host'");
+        }
+        
+        let endpoint = LOG_SOURCES[source];
+        if (identifier) endpoint += `/identifiers/${encodeURIComponent(identifier)}`;
+        // Journald lines only carry timestamps and identifiers in the text/x-log format
+        const accept = source === "host" ? "text/x-log" : "text/plain";
+        sendLog("debug", "system-logs", { action: "read", endpoint, lines, level, logger, follow_seconds });
+        
+        let rawLines;
+        if (follow_seconds) {
+          const seconds = Math.min(Math.max(follow_seconds, 1), 60);
+          rawLines = await followSupervisorLogs(endpoint, seconds, accept);
+        } else {
+          // Filtering needs more history than the records that end up being shown
+          const filtering = level || logger || since || until || filter;
+          const fetchLines = filtering ? Math.min(Math.max(lines * 10, 1000), 5000) : lines;
+          rawLines = await getSupervisorLogLines(endpoint, fetchLines, accept);
+        }
+        
+        let records = filterLogRecords(parseLogRecords(rawLines), { since, until, level, logger });
+        if (filter) {
+          const pattern = buildLogPattern(filter);
+          records = records.filter(record => pattern.test(formatLogRecord(record)));
+        }
+        records = records.slice(-lines);
+        
+        const label = identifier ? `host/${identifier}` : source;
+        let responseText = `# ${label} logs\n\n`;
+        const applied = [
+          level && `level >= ${level}`,
+          logger && `logger ~ ${logger}`,
+          since && `since ${since}`,
+          until && `until ${until}`,
+          filter && `filter \`${filter}\``,
+          follow_seconds && `followed for ${Math.min(Math.max(follow_seconds, 1), 60)}s`,
+        ].filter(Boolean);
+        if (applied.length > 0) {
+          responseText += `**Filters:** ${applied.join(", ")} (${records.length} records shown, ${rawLines.length} lines scanned)\n\n`;
+        }
+        responseText += records.length > 0
+          ? `\`\`\`\n${records.map(formatLogRecord).join("\n")}\n\`\`\`\n`
+          : `*No ${applied.length > 0 ? "matching " : ""}log records.*\n`;
+        
         return makeCompatibleResponse({
-          content: [createTextContent(JSON.stringify(simplified, null, 2), { audience: ["assistant"], priority: 0.7 })],
+          content: [createTextContent(responseText, { audience: ["assistant"], priority: 0.8 })],
         });
       }
 
-      case "search_entities": {
+      // === AUTOMATION MANAGEMENT ===
+      case "list_automation_configs": {
         const states = await callHA("/states");
-        const results = searchEntities(states, args.query);
-        
+        let automations = states
+          .filter(s => s.entity_id.startsWith("automation."))
+          .map(s => ({
+            id: s.attributes?.id || null,
+            entity_id: s.entity_id,
+            alias: s.attributes?.friendly_name,
+            state: s.state,
+            mode: s.attributes?.mode,
+            last_triggered: s.attributes?.last_triggered,
+            editable: Boolean(s.attributes?.id),
+          }));
+
+        if (args?.search) {
+          const query = args.search.toLowerCase();
+          automations = automations.filter(a =>
+            [a.id, a.entity_id, a.alias].some(v => v && v.toLowerCase().includes(query))
+          );
+        }
+
+        if (args?.include_config) {
+          for (const automation of automations) {
+            if (!automation.editable) continue;
+            try {
+              automation.config = await getConfigItem("automation", automation.id);
+            } catch (e) {
+              automation.config_error = e.message;
+            }
+          }
+        }
+
         return makeCompatibleResponse({
           content: [
             createTextContent(
-              results.length > 0 
-                ? JSON.stringify(results, null, 2)
-                : `No entities found matching "${args.query}"`,
-              { audience: ["assistant"], priority: 0.8 }
+              `Found ${automations.length} automations (${automations.filter(a => a.editable).length} editable).\n\n${JSON.stringify(automations, null, 2)}`,
+              { audience: ["assistant"], priority: 0.7 }
             ),
           ],
         });
       }
 
-      case "get_entity_details": {
-        const relationships = await getEntityRelationships(args.entity_id);
+      case "get_automation_config": {
+        const automationId = await resolveConfigId("automation", args);
+        const config = await getConfigItem("automation", automationId);
         return makeCompatibleResponse({
-          content: [createTextContent(JSON.stringify(relationships, null, 2), { audience: ["assistant"], priority: 0.8 })],
+          content: [createTextContent(JSON.stringify(config, null, 2), { audience: ["assistant"], priority: 0.8 })],
         });
       }
 
-      // === SERVICE CALLS ===
-      case "call_service": {
-        const { domain, service, target, data } = args;
-        sendLog("notice", "ha-service", { action: "call", domain, service, target });
-        
-        const payload = { ...data };
-        if (target) {
-          Object.assign(payload, target);
+      case "create_automation": {
+        const { config } = args;
+        const errors = validateAutomationConfig(config);
+        if (errors.length > 0) {
+          throw new Error(`Invalid automation config:\n- ${errors.join("\n- ")}`);
         }
-        const result = await callHA(`/services/${domain}/${service}`, "POST", payload);
-        
+
+        // Same id scheme as the HA frontend automation editor
+        const automationId = args.automation_id || config.id || String(Date.now());
+        if (await configItemExists("automation", automationId)) {
+          throw new Error(`An automation with id '${automationId}' already exists. Use update_automation to change it.`);
+        }
+
+        sendLog("notice", "ha-config", { action: "create_automation", id: automationId, alias: config.alias });
+        await saveConfigItem("automation", automationId, { ...config, id: automationId });
+
         return makeCompatibleResponse({
           content: [
             createTextContent(
-              `Service ${domain}.${service} called successfully.\n${JSON.stringify(result, null, 2)}`,
+              `Automation '${config.alias || automationId}' created (id: ${automationId}) and automations reloaded.`,
               { audience: ["user", "assistant"], priority: 0.9 }
             ),
           ],
         });
       }
 
-      case "get_services": {
-        let services = await callHA("/services");
-        if (args?.domain) {
-          services = services.filter((s) => s.domain === args.domain);
+      case "update_automation": {
+        const { config } = args;
+        const automationId = await resolveConfigId("automation", args);
+        const errors = validateAutomationConfig(config);
+        if (errors.length > 0) {
+          throw new Error(`Invalid automation config:\n- ${errors.join("\n- ")}`);
         }
+
+        if (!(await configItemExists("automation", automationId))) {
+          throw new Error(`No automation with id '${automationId}' found. Use create_automation to add it.`);
+        }
+
+        sendLog("notice", "ha-config", { action: "update_automation", id: automationId, alias: config.alias });
+        await saveConfigItem("automation", automationId, { ...config, id: automationId });
+
         return makeCompatibleResponse({
-          content: [createTextContent(JSON.stringify(services, null, 2), { audience: ["assistant"], priority: 0.6 })],
+          content: [
+            createTextContent(
+              `Automation '${config.alias || automationId}' updated and automations reloaded.`,
+              { audience: ["user", "assistant"], priority: 0.9 }
+            ),
+          ],
         });
       }
 
-      // === HISTORY & LOGBOOK ===
-      case "get_history": {
-        const entityId = args.entity_id;
-        const startTime = args.start_time || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-        const params = new URLSearchParams({ filter_entity_id: entityId });
-        if (args.end_time) params.append("end_time", args.end_time);
-        if (args.minimal) {
-          params.append("minimal_response", "true");
-          params.append("no_attributes", "true");
+      case "delete_automation": {
+        const automationId = await resolveConfigId("automation", args);
+        sendLog("notice", "ha-config", { action: "delete_automation", id: automationId });
+        await deleteConfigItem("automation", automationId);
+
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(`Automation '${automationId}' deleted and automations reloaded.`, { audience: ["user", "assistant"], priority: 0.9 }),
+          ],
+        });
+      }
+
+      // === SCRIPT & SCENE MANAGEMENT ===
+      case "get_script_config": {
+        const scriptId = await resolveConfigId("script", args);
+        const config = await getConfigItem("script", scriptId);
+        return makeCompatibleResponse({
+          content: [createTextContent(JSON.stringify({ script_id: scriptId, entity_id: `script.${scriptId}`, config }, null, 2), { audience: ["assistant"], priority: 0.8 })],
+        });
+      }
+
+      case "create_script": {
+        const { config } = args;
+        const errors = validateScriptConfig(config);
+        if (errors.length > 0) {
+          throw new Error(`Invalid script config:\n- ${errors.join("\n- ")}`);
         }
-        
-        const history = await callHA(`/history/period/${encodeURIComponent(startTime)}?${params}`);
+
+        const scriptId = args.script_id || (config.alias ? slugify(config.alias) : null);
+        if (!scriptId) {
+          throw new Error("Provide script_id or an alias to derive it from");
+        }
+        if (!/^[a-z0-9_]+$/.test(scriptId)) {
+          throw new Error(`Invalid script_id '${scriptId}'. Use lowercase letters, numbers, and underscores only.`);
+        }
+        if (await configItemExists("script", scriptId)) {
+          throw new Error(`A script with id '${scriptId}' already exists. Use update_script to change it.`);
+        }
+
+        sendLog("notice", "ha-config", { action: "create_script", id: scriptId, alias: config.alias });
+        await saveConfigItem("script", scriptId, config);
+
         return makeCompatibleResponse({
-          content: [createTextContent(JSON.stringify(history, null, 2), { audience: ["assistant"], priority: 0.7 })],
+          content: [
+            createTextContent(
+              `Script 'script.${scriptId}' created and scripts reloaded.`,
+              { audience: ["user", "assistant"], priority: 0.9 }
+            ),
+          ],
         });
       }
 
-      case "get_logbook": {
-        const startTime = args.start_time || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-        const params = new URLSearchParams();
-        if (args.entity_id) params.append("entity", args.entity_id);
-        if (args.end_time) params.append("end_time", args.end_time);
-        
-        const logbook = await callHA(`/logbook/${encodeURIComponent(startTime)}?${params}`);
+      case "update_script": {
+        const { config } = args;
+        const scriptId = await resolveConfigId("script", args);
+        const errors = validateScriptConfig(config);
+        if (errors.length > 0) {
+          throw new Error(`Invalid script config:\n- ${errors.join("\n- ")}`);
+        }
+
+        if (!(await configItemExists("script", scriptId))) {
+          throw new Error(`No script with id '${scriptId}' found in scripts.yaml. Use create_script to add it.`);
+        }
+
+        sendLog("notice", "ha-config", { action: "update_script", id: scriptId, alias: config.alias });
+        await saveConfigItem("script", scriptId, config);
+
         return makeCompatibleResponse({
-          content: [createTextContent(JSON.stringify(logbook, null, 2), { audience: ["assistant"], priority: 0.7 })],
+          content: [
+            createTextContent(`Script 'script.${scriptId}' updated and scripts reloaded.`, { audience: ["user", "assistant"], priority: 0.9 }),
+          ],
         });
       }
 
-      // === CONFIGURATION ===
-      case "get_config": {
-        const config = await callHA("/config");
+      case "delete_script": {
+        const scriptId = await resolveConfigId("script", args);
+        sendLog("notice", "ha-config", { action: "delete_script", id: scriptId });
+        await deleteConfigItem("script", scriptId);
+
         return makeCompatibleResponse({
-          content: [createTextContent(JSON.stringify(config, null, 2), { audience: ["assistant"], priority: 0.6 })],
+          content: [
+            createTextContent(`Script 'script.${scriptId}' deleted and scripts reloaded.`, { audience: ["user", "assistant"], priority: 0.9 }),
+          ],
         });
       }
 
-      case "get_areas": {
-        // Use namespace to properly accumulate values in Jinja2 loop
-        const result = await callHA("/template", "POST", {
-          template: "{% set ns = namespace(areas=[]) %}{% for area in areas() %}{% set ns.areas = ns.areas + [{'id': area, 'name': area_name(area)}] %}{% endfor %}{{ ns.areas | tojson }}"
-        });
+      case "get_scene_config": {
+        const sceneId = await resolveConfigId("scene", args);
+        const config = await getConfigItem("scene", sceneId);
         return makeCompatibleResponse({
-          content: [createTextContent(result, { audience: ["assistant"], priority: 0.7 })],
+          content: [createTextContent(JSON.stringify(config, null, 2), { audience: ["assistant"], priority: 0.8 })],
         });
       }
 
-      case "get_devices": {
-        // Get devices by extracting unique device_ids from all entity states
-        // Then use device_attr() to get device details
-        let template;
-        if (args?.area_id) {
-          // Get devices for a specific area
-          template = `{% set ns = namespace(devices=[]) %}{% for device_id in area_devices('${args.area_id}') %}{% set ns.devices = ns.devices + [{'id': device_id, 'name': device_attr(device_id, 'name'), 'manufacturer': device_attr(device_id, 'manufacturer'), 'model': device_attr(device_id, 'model')}] %}{% endfor %}{{ ns.devices | tojson }}`;
-        } else {
-          // Get all devices by iterating through states and collecting unique device_ids
-          template = `{% set ns = namespace(device_ids=[]) %}{% for state in states %}{% if device_id(state.entity_id) and device_id(state.entity_id) not in ns.device_ids %}{% set ns.device_ids = ns.device_ids + [device_id(state.entity_id)] %}{% endif %}{% endfor %}{% set ns2 = namespace(devices=[]) %}{% for did in ns.device_ids %}{% set ns2.devices = ns2.devices + [{'id': did, 'name': device_attr(did, 'name'), 'manufacturer': device_attr(did, 'manufacturer'), 'model': device_attr(did, 'model'), 'area': device_attr(did, 'area_id')}] %}{% endfor %}{{ ns2.devices | tojson }}`;
+      case "create_scene": {
+        const { config } = args;
+        const errors = validateSceneConfig(config);
+        if (errors.length > 0) {
+          throw new Error(`Invalid scene config:\n- ${errors.join("\n- ")}`);
         }
-        const result = await callHA("/template", "POST", { template });
-        return makeCompatibleResponse({
-          content: [createTextContent(result, { audience: ["assistant"], priority: 0.6 })],
-        });
-      }
 
-      case "validate_config": {
-        const result = await callHA("/config/core/check_config", "POST");
+        // Same id scheme as the HA frontend scene editor
+        const sceneId = args.scene_id || config.id || String(Date.now());
+        if (await configItemExists("scene", sceneId)) {
+          throw new Error(`A scene with id '${sceneId}' already exists. Use update_scene to change it.`);
+        }
+
+        sendLog("notice", "ha-config", { action: "create_scene", id: sceneId, name: config.name });
+        await saveConfigItem("scene", sceneId, { ...config, id: sceneId });
+
         return makeCompatibleResponse({
           content: [
             createTextContent(
-              JSON.stringify(result, null, 2),
+              `Scene '${config.name}' created (id: ${sceneId}) and scenes reloaded.`,
               { audience: ["user", "assistant"], priority: 0.9 }
             ),
           ],
         });
       }
 
-      case "get_error_log": {
-        // Use HA Core API via Supervisor proxy - correct endpoint path
-        const log = await callHA("/core/api/error_log");
-        const lines = args?.lines || 100;
-        const logLines = log.split("\n").slice(-lines).join("\n");
+      case "update_scene": {
+        const { config } = args;
+        const sceneId = await resolveConfigId("scene", args);
+        const errors = validateSceneConfig(config);
+        if (errors.length > 0) {
+          throw new Error(`Invalid scene config:\n- ${errors.join("\n- ")}`);
+        }
+
+        if (!(await configItemExists("scene", sceneId))) {
+          throw new Error(`No scene with id '${sceneId}' found. Use create_scene to add it.`);
+        }
+
+        sendLog("notice", "ha-config", { action: "update_scene", id: sceneId, name: config.name });
+        await saveConfigItem("scene", sceneId, { ...config, id: sceneId });
+
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(`Scene '${config.name}' updated and scenes reloaded.`, { audience: ["user", "assistant"], priority: 0.9 }),
+          ],
+        });
+      }
+
+      case "delete_scene": {
+        const sceneId = await resolveConfigId("scene", args);
+        sendLog("notice", "ha-config", { action: "delete_scene", id: sceneId });
+        await deleteConfigItem("scene", sceneId);
+
         return makeCompatibleResponse({
-          content: [createTextContent(logLines, { audience: ["assistant"], priority: 0.8 })],
+          content: [
+            createTextContent(`Scene '${sceneId}' deleted and scenes reloaded.`, { audience: ["user", "assistant"], priority: 0.9 }),
+          ],
         });
       }
 
       // === EVENTS & TEMPLATES ===
       case "fire_event": {
         const { event_type, event_data } = args;
+        await enforceSafetyPolicy({ kind: "event", eventType: event_type }, `fire event '${event_type}'`);
         sendLog("notice", "ha-event", { action: "fire", event_type });
         await callHA(`/events/${event_type}`, "POST", event_data || {});
         return makeCompatibleResponse({
@@ -2178,26 +8001,50 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       // === INTELLIGENCE ===
       case "detect_anomalies": {
+        const { mode = "heuristic", days = 14, z_threshold = 3 } = args || {};
+        if (!["heuristic", "baseline", "all"].includes(mode)) {
+          throw new Error(`Unknown mode: ${mode}. Use heuristic, baseline, or all.`);
+        }
         let states = await callHA("/states");
         if (args?.domain) {
           states = states.filter((s) => s.entity_id.startsWith(`${args.domain}.`));
         }
+        const entityIds = [].concat(args?.entity_id || []).filter(Boolean);
+        if (entityIds.length > 0) {
+          states = states.filter((s) => entityIds.includes(s.entity_id));
+        }
         
-        const anomalies = states
-          .map(detectAnomaly)
-          .filter(Boolean)
-          .sort((a, b) => (b.severity === "warning" ? 1 : 0) - (a.severity === "warning" ? 1 : 0));
+        const anomalyRules = await loadAnomalyRules();
+        let anomalies = mode === "baseline" ? [] : states.flatMap(s => detectAnomalies(s, anomalyRules));
+        let checkedNote = describeAnomalyRuleErrors(anomalyRules);
+        if (mode !== "heuristic") {
+          const config = await callHA("/config");
+          const { anomalies: found, checked } = await detectBaselineAnomalies(states, {
+            days: Math.min(Math.max(days, 1), 60),
+            zThreshold: z_threshold,
+            timeZone: config.time_zone,
+            narrowed: entityIds.length > 0 || Boolean(args?.domain),
+          });
+          anomalies = anomalies.concat(found);
+          checkedNote += `Baselines: ${checked.statistics} sensors with hourly statistics, ${checked.history} entities with ${BASELINE_HISTORY_HOURS}h history`;
+          if (checked.skipped > 0) {
+            checkedNote += ` (${checked.skipped} more not checked; narrow with domain or entity_id)`;
+          }
+          checkedNote += ".\n\n";
+        }
+        const rank = { error: 2, warning: 1, info: 0 };
+        anomalies.sort((a, b) => rank[b.severity] - rank[a.severity]);
         
         if (anomalies.length === 0) {
           return makeCompatibleResponse({
-            content: [createTextContent("No anomalies detected. All entities appear to be operating normally.", { audience: ["user"], priority: 0.9 })],
+            content: [createTextContent(`${checkedNote}No anomalies detected. All entities appear to be operating normally.`, { audience: ["user"], priority: 0.9 })],
           });
         }
         
         return makeCompatibleResponse({
           content: [
             createTextContent(
-              `Found ${anomalies.length} potential anomalies:\n\n${JSON.stringify(anomalies, null, 2)}`,
+              `${checkedNote}Found ${anomalies.length} potential anomalies:\n\n${JSON.stringify(anomalies, null, 2)}`,
               { audience: ["user", "assistant"], priority: 0.9 }
             ),
           ],
@@ -2242,13 +8089,32 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             });
           }
           
-          const relationships = await getEntityRelationships(entity_id);
-          diagnostics.relationships = relationships;
-          diagnostics.checks.push({ 
-            check: "Relationships", 
-            status: "ok", 
-            details: `Found ${relationships.related_entities?.length || 0} related entities` 
-          });
+          // Registries come over the WebSocket; the REST checks below still apply without them
+          try {
+            const relationships = await getEntityRelationships(entity_id);
+            diagnostics.relationships = relationships;
+            const counts = relationships.relationship_counts || {};
+            const countDetails = Object.entries(counts)
+              .filter(([, count]) => count > 0)
+              .map(([relationship, count]) => `${count} ${relationship.replace(/_/g, " ")}`);
+            diagnostics.checks.push({ 
+              check: "Relationships", 
+              status: relationships.in_entity_registry === false ? "info" : "ok", 
+              details: relationships.in_entity_registry === false
+                ? "Entity is not in the entity registry (no unique_id), so it has no device, area, or labels"
+                : `Device: ${relationships.device?.name || "none"}, area: ${relationships.area_name || "none"}, integration: ${relationships.platform || "unknown"}. ` +
+                  `Related: ${countDetails.length > 0 ? countDetails.join(", ") : "none"}`
+            });
+            if (relationships.config_entry && relationships.config_entry.state !== "loaded") {
+              diagnostics.checks.push({
+                check: "Integration",
+                status: "error",
+                details: `Config entry '${relationships.config_entry.title}' (${relationships.config_entry.domain}) is ${relationships.config_entry.state}`,
+              });
+            }
+          } catch (e) {
+            diagnostics.checks.push({ check: "Relationships", status: "info", details: `Relationships unavailable: ${e.message}` });
+          }
           
           const startTime = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
           const params = new URLSearchParams({
@@ -2272,10 +8138,29 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             });
           }
           
-          const anomaly = detectAnomaly(state);
-          if (anomaly) {
+          // For automations and scripts, traces explain why the last run did or did not act
+          const [entityDomain] = entity_id.split(".");
+          if (entityDomain === "automation" || entityDomain === "script") {
+            try {
+              const itemId = await resolveConfigId(entityDomain, { entity_id });
+              const traces = await getCondensedTraces(entityDomain, itemId, { limit: 1 });
+              const lastRun = traces.runs[0];
+              diagnostics.last_run = lastRun || null;
+              diagnostics.checks.push({
+                check: "Last Run",
+                status: !lastRun ? "info" : (lastRun.error ? "error" : (lastRun.script_execution === "finished" ? "ok" : "warning")),
+                details: !lastRun
+                  ? "No stored traces"
+                  : `${lastRun.started}: ${lastRun.outcome}${lastRun.error ? ` (${lastRun.error})` : ""}. Use get_automation_traces for the full timeline.`,
+              });
+            } catch (e) {
+              diagnostics.checks.push({ check: "Last Run", status: "info", details: `Traces unavailable: ${e.message}` });
+            }
+          }
+          
+          for (const anomaly of detectAnomalies(state, await loadAnomalyRules())) {
             diagnostics.checks.push({ 
-              check: "Anomaly Detection", 
+              check: anomaly.rule ? `Anomaly Rule '${anomaly.rule}'` : "Anomaly Detection", 
               status: anomaly.severity, 
               details: anomaly.reason 
             });
@@ -2294,6 +8179,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
       }
 
+      case "get_automation_traces": {
+        const domain = (args?.script_id || args?.entity_id?.startsWith("script.")) ? "script" : "automation";
+        const itemId = await resolveConfigId(domain, args);
+        const limit = Math.min(Math.max(args?.limit || 3, 1), 10);
+        sendLog("info", "diagnostics", { action: "get_traces", domain, item_id: itemId });
+
+        const traces = await getCondensedTraces(domain, itemId, { runId: args?.run_id, limit });
+        return makeCompatibleResponse({
+          content: [
+            createTextContent(formatTracesMarkdown(traces, args?.entity_id || `${domain} ${itemId}`), { audience: ["user", "assistant"], priority: 0.9 }),
+          ],
+        });
+      }
+
       // === DOCUMENTATION ===
       case "get_integration_docs": {
         const { integration, section = "configuration" } = args;
@@ -2372,152 +8271,95 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "get_breaking_changes": {
-        const { integration, version } = args;
+        const { integration, version, include_all = false, refresh = false } = args;
         sendLog("info", "docs", { action: "get_breaking_changes", integration, version });
         
-        let haVersion = "unknown";
+        let installed = "unknown";
+        let latest = null;
         try {
-          const config = await callHA("/config");
-          haVersion = config.version || "unknown";
+          const coreInfo = await callSupervisor("/core/info");
+          installed = coreInfo.version || installed;
+          latest = coreInfo.version_latest || null;
         } catch (e) {
           sendLog("warning", "docs", { action: "version_fetch_failed", error: e.message });
+          try {
+            installed = (await callHA("/config")).version || installed;
+          } catch {
+            // Leave the version unknown; a specific version can still be queried
+          }
         }
         
-        // Build a list of known breaking changes (curated, since parsing release notes is complex)
-        // This provides immediate value without complex web scraping
-        const knownBreakingChanges = [
-          {
-            version: "2024.12",
-            title: "Template sensor/binary_sensor syntax change",
-            description: "Legacy 'platform: template' under sensor/binary_sensor is deprecated. Use top-level 'template:' key.",
-            integration: "template",
-            url: "https://www.home-assistant.io/integrations/template/",
-          },
-          {
-            version: "2024.11",
-            title: "MQTT discovery changes",
-            description: "MQTT discovery payload format updated for better device support.",
-            integration: "mqtt",
-            url: "https://www.home-assistant.io/integrations/mqtt/",
-          },
-          {
-            version: "2024.10",
-            title: "REST sensor authentication",
-            description: "REST sensors now support digest authentication; some configurations may need updating.",
-            integration: "rest",
-            url: "https://www.home-assistant.io/integrations/rest/",
-          },
-          {
-            version: "2024.8",
-            title: "Automation trigger variables",
-            description: "Trigger variables are now more strictly typed in automations.",
-            integration: "automation",
-            url: "https://www.home-assistant.io/docs/automation/trigger/",
-          },
-          {
-            version: "2024.6",
-            title: "Time & Date sensor deprecation",
-            description: "The time_date platform is deprecated. Use template sensors with now() instead.",
-            integration: "time_date",
-            url: "https://www.home-assistant.io/integrations/time_date/",
-          },
-          {
-            version: "2024.4",
-            title: "Template switch/cover/fan syntax",
-            description: "Template platforms for switch, cover, and fan can now use the top-level 'template:' key.",
-            integration: "template",
-            url: "https://www.home-assistant.io/integrations/template/",
-          },
-          {
-            version: "2024.1",
-            title: "Legacy template sensor syntax deprecated",
-            description: "The 'platform: template' syntax under sensor: is deprecated in favor of the template: integration.",
-            integration: "template",
-            url: "https://www.home-assistant.io/integrations/template/",
-          },
-          {
-            version: "2023.12",
-            title: "Entity naming convention changes",
-            description: "Entities now follow stricter naming conventions. Some entity IDs may have changed.",
-            integration: null,
-            url: "https://www.home-assistant.io/blog/2023/12/",
-          },
-          {
-            version: "2023.8",
-            title: "entity_namespace deprecated",
-            description: "The entity_namespace option is deprecated. Use unique_id instead.",
-            integration: null,
-            url: "https://www.home-assistant.io/blog/2023/08/",
-          },
-          {
-            version: "2023.3",
-            title: "white_value deprecated in light services",
-            description: "Use 'white' instead of 'white_value' in light service calls.",
-            integration: "light",
-            url: "https://www.home-assistant.io/integrations/light/",
-          },
-        ];
+        // Without an update to look at, show what changed in the installed release
+        const upToDate = !version && (!latest || releaseOfVersion(latest) === releaseOfVersion(installed));
+        const { releases, changes, failures, loaded } = await analyzeBreakingChanges({
+          from: installed,
+          to: latest,
+          release: version || (upToDate ? installed : null),
+          refresh,
+        });
         
-        // Filter by integration if specified
-        let filteredChanges = knownBreakingChanges;
+        const matching = integration ? changes.filter(c => c.integrations.includes(integration)) : changes;
+        const relevant = integration || include_all || !loaded ? matching : matching.filter(c => c.affects_installed);
+        const notLoaded = matching.filter(c => !relevant.includes(c));
+        
+        const result = {
+          ha_version: installed,
+          latest_version: latest,
+          releases,
+          changes: relevant.map(c => ({
+            version: c.version,
+            title: c.title,
+            description: c.description,
+            integration: c.integrations[0] || null,
+            integrations: c.integrations,
+            affects_installed: c.affects_installed,
+            url: c.url,
+          })),
+        };
+        
+        let responseText = `# Breaking Changes\n\n` +
+          `**Installed:** ${installed}${latest ? ` | **Latest:** ${latest}` : ""}\n` +
+          `**Releases checked:** ${releases.join(", ") || "none"}` +
+          `${upToDate ? " (no newer release; showing the installed release)" : ""}\n`;
         if (integration) {
-          filteredChanges = knownBreakingChanges.filter(
-            c => c.integration === integration || c.integration === null
-          );
+          responseText += `**Integration:** ${integration}\n`;
+        } else if (loaded) {
+          responseText += `**Affecting your integrations:** ${matching.filter(c => c.affects_installed).length} of ${matching.length} changes ` +
+            `(${loaded.size} integrations and platforms loaded)\n`;
         }
+        responseText += "\n";
         
-        // Filter by version if specified
-        if (version) {
-          filteredChanges = filteredChanges.filter(c => c.version === version);
+        for (const failure of failures) {
+          responseText += `⚠️ ${failure.release}: ${failure.error}\n`;
         }
+        if (failures.length > 0) responseText += "\n";
         
-        // Try to fetch the release notes page for additional context
-        let releaseNotesContent = "";
-        const targetVersion = version || haVersion.split(".").slice(0, 2).join(".");
-        
-        try {
-          const releaseUrl = `${HA_BLOG_URL}/${targetVersion.replace(".", "/")}/`;
-          const html = await fetchUrl(releaseUrl);
-          const { content } = extractContentFromHtml(html);
-          
-          // Extract breaking changes section if present
-          const breakingMatch = content.match(/breaking changes?[\s\S]*?(?=\n## |$)/i);
-          if (breakingMatch) {
-            releaseNotesContent = breakingMatch[0].substring(0, 5000);
+        for (const release of releases) {
+          const releaseChanges = result.changes.filter(c => c.version === release);
+          if (releaseChanges.length === 0) continue;
+          responseText += `## ${release}\n\n`;
+          for (const change of releaseChanges) {
+            const description = change.description.length > 1200 ? `${change.description.slice(0, 1200)}...` : change.description;
+            responseText += `### ${change.title} (${change.integrations.map(i => `\`${i}\``).join(", ")})\n`;
+            responseText += `${description}\n\n`;
           }
-        } catch (e) {
-          sendLog("debug", "docs", { action: "release_notes_fetch_failed", error: e.message });
+          responseText += `**Release notes:** ${releaseChanges[0].url}\n\n`;
         }
         
-        const result = {
-          ha_version: haVersion,
-          queried_version: version || "recent",
-          queried_integration: integration || "all",
-          changes: filteredChanges,
-          release_notes_excerpt: releaseNotesContent || null,
-        };
-        
-        let responseText = `# Breaking Changes\n\n` +
-          `**Your HA Version:** ${haVersion}\n` +
-          `**Queried:** ${integration ? `integration '${integration}'` : "all integrations"}` +
-          `${version ? ` for version ${version}` : ""}\n\n`;
-        
-        if (filteredChanges.length > 0) {
-          responseText += `## Known Breaking Changes\n\n`;
-          for (const change of filteredChanges) {
-            responseText += `### ${change.version}: ${change.title}\n`;
-            responseText += `${change.description}\n`;
-            responseText += `**More info:** ${change.url}\n\n`;
-          }
-        } else {
-          responseText += `No specific breaking changes found for the query.\n\n`;
+        if (relevant.length === 0 && failures.length < releases.length) {
+          responseText += integration
+            ? `No backward-incompatible changes for '${integration}' in these releases.\n\n`
+            : `No backward-incompatible changes affect the integrations loaded here.\n\n`;
         }
         
-        if (releaseNotesContent) {
-          responseText += `## From Release Notes\n\n${releaseNotesContent}\n`;
+        if (notLoaded.length > 0) {
+          const titles = [...new Set(notLoaded.map(c => c.title))];
+          responseText += `## Not Loaded Here (${notLoaded.length})\n\n`;
+          responseText += `${titles.slice(0, 40).join(", ")}${titles.length > 40 ? `, and ${titles.length - 40} more` : ""}\n\n`;
+          responseText += `Pass \`include_all: true\` to see these changes in full.\n\n`;
         }
         
-        responseText += `\n---\n**Tip:** Always check ${HA_BLOG_URL}/categories/release-notes/ for the latest changes.`;
+        responseText += `---\n**Tip:** Run \`scan_config_deprecations\` to find deprecated syntax in the configuration itself.`;
         
         return makeCompatibleResponse({
           content: [createTextContent(responseText, { audience: ["assistant"], priority: 0.9 })],
@@ -2525,73 +8367,107 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "check_config_syntax": {
-        const { yaml_config, integration } = args;
-        sendLog("info", "docs", { action: "check_config_syntax", integration });
+        const { yaml_config, path, integration } = args;
+        sendLog("info", "docs", { action: "check_config_syntax", integration, path });
         
-        const { deprecated, warnings, suggestions } = checkConfigForDeprecations(yaml_config, integration);
+        const { file, parsed, root } = await parseConfigArgument(args);
+        const ruleSet = await loadDeprecationRules();
+        const { deprecated, findings } = root ? checkConfigForDeprecations(root, ruleSet.rules, integration) : { deprecated: false, findings: [] };
         
-        // Additional basic YAML validation hints
-        const additionalWarnings = [];
-        const additionalSuggestions = [];
+        const errors = parsed.errors.map(e => `${formatConfigLocation(e.loc)}: ${e.message}`);
+        const warnings = [];
+        const suggestions = [];
         
-        // Check for common YAML issues
-        if (yaml_config.includes("\t")) {
-          additionalWarnings.push("Tab characters detected. YAML requires spaces for indentation.");
-          additionalSuggestions.push("Replace all tabs with spaces (2 spaces per indent level is standard for Home Assistant).");
+        for (const finding of findings) {
+          const label = finding.deprecated_in ? `[DEPRECATED since ${finding.deprecated_in}]` : `[${finding.severity.toUpperCase()}]`;
+          const fixable = finding.fix ? " - fixable with `migrate_config`" : "";
+          warnings.push(`${label} ${finding.message} (${formatConfigLocation(finding.loc)}, \`${finding.path}\`)${fixable}`);
+          if (finding.suggestion && !suggestions.includes(finding.suggestion)) {
+            suggestions.push(finding.suggestion);
+          }
         }
-        
-        if (!/^[a-z_]+:/m.test(yaml_config)) {
-          additionalWarnings.push("No top-level key detected. Configuration should start with a domain key.");
+        for (const warning of parsed.warnings) {
+          warnings.push(`${warning.message} (${formatConfigLocation(warning.loc)})`);
         }
         
-        // Check for common mistakes
-        if (/: \|$/m.test(yaml_config)) {
-          additionalSuggestions.push("Multi-line strings with '|' should have content on the following lines, indented.");
+        // Check for common YAML issues
+        if (parsed.errors.some(e => e.code === "TAB_AS_INDENT")) {
+          suggestions.push("Replace all tabs with spaces (2 spaces per indent level is standard for Home Assistant).");
         }
         
-        if (/entity_id:.*,/m.test(yaml_config)) {
-          additionalSuggestions.push("Multiple entity_ids should be formatted as a YAML list, not comma-separated.");
+        if (root && root.type !== "map") {
+          warnings.push("No top-level key detected. Configuration should start with a domain key.");
         }
         
-        const allWarnings = [...warnings, ...additionalWarnings];
-        const allSuggestions = [...suggestions, ...additionalSuggestions];
+        // Check for common mistakes
+        for (const { entry, path: keyPath } of walkConfigTree(root)) {
+          if (entry.key === "entity_id" && entry.value?.type === "scalar" && String(entry.value.value).includes(",")) {
+            warnings.push(`Comma-separated entity_id (${formatConfigLocation(entry.value.loc)}, \`${keyPath}\`)`);
+            if (!suggestions.includes(COMMA_ENTITY_ID_SUGGESTION)) suggestions.push(COMMA_ENTITY_ID_SUGGESTION);
+          }
+        }
         
         const docsUrl = integration 
           ? `${HA_INTEGRATIONS_URL}/${integration}/`
           : "https://www.home-assistant.io/docs/configuration/";
         
         const result = {
-          valid: allWarnings.filter(w => w.includes("DEPRECATED")).length === 0,
+          valid: errors.length === 0 && !deprecated && !findings.some(f => f.severity === "error"),
           deprecated,
-          warnings: allWarnings,
-          suggestions: allSuggestions,
+          errors,
+          warnings,
+          suggestions,
+          files: parsed.files.map(configRelativePath),
           docs_url: docsUrl,
         };
         
         let responseText = `# Configuration Syntax Check\n\n`;
+        responseText += describeDeprecationRuleErrors(ruleSet);
         responseText += `**Status:** ${result.valid ? "OK" : "Issues Found"}\n`;
         responseText += `**Deprecated Syntax:** ${deprecated ? "Yes" : "No"}\n`;
+        if (file) {
+          responseText += `**File:** ${configRelativePath(file)}`;
+          responseText += result.files.length > 1 ? ` (${result.files.length} files including includes)\n` : "\n";
+        }
         responseText += `**Docs:** ${docsUrl}\n\n`;
         
-        if (allWarnings.length > 0) {
+        if (errors.length > 0) {
+          responseText += `## Errors\n\n`;
+          for (const error of errors) {
+            responseText += `- ${error}\n`;
+          }
+          responseText += "\n";
+        }
+        
+        if (warnings.length > 0) {
           responseText += `## Warnings\n\n`;
-          for (const warning of allWarnings) {
+          for (const warning of warnings) {
             responseText += `- ${warning}\n`;
           }
           responseText += "\n";
         }
         
-        if (allSuggestions.length > 0) {
+        if (suggestions.length > 0) {
           responseText += `## Suggestions\n\n`;
-          for (const suggestion of allSuggestions) {
+          for (const suggestion of suggestions) {
             responseText += `- ${suggestion}\n`;
           }
           responseText += "\n";
         }
         
-        if (allWarnings.length === 0 && allSuggestions.length === 0) {
+        if (result.files.length > 1) {
+          responseText += `## Files Checked\n\n`;
+          for (const checked of result.files) {
+            responseText += `- ${checked}\n`;
+          }
+          responseText += "\n";
+        }
+        
+        if (errors.length === 0 && warnings.length === 0 && suggestions.length === 0) {
           responseText += "No issues detected in the configuration syntax.\n\n";
           responseText += "**Note:** This is a basic syntax check. Use `validate_config` for full Home Assistant validation.\n";
+        } else if (yaml_config && !path && /!include/.test(yaml_config)) {
+          responseText += "**Note:** Includes are not followed for pasted snippets. Pass `path` to check a file with its includes.\n";
         }
         
         return makeCompatibleResponse({
@@ -2599,6 +8475,134 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
       }
 
+      case "migrate_config": {
+        const { path, integration, rules: ruleIds } = args;
+        sendLog("info", "docs", { action: "migrate_config", integration, path });
+        
+        const { parsed, root } = await parseConfigArgument(args);
+        const ruleSet = await loadDeprecationRules();
+        if (ruleIds?.length) {
+          const fixable = ruleSet.rules.filter(rule => rule.fix).map(rule => rule.id);
+          const unknown = ruleIds.filter(id => !fixable.includes(id));
+          if (unknown.length > 0) {
+            throw new Error(`No fix for rule(s) ${unknown.join(", ")}. Rules with fixes: ${fixable.join(", ")}`);
+          }
+        }
+        const { findings } = root ? checkConfigForDeprecations(root, ruleSet.rules, integration) : { findings: [] };
+        const selected = findings.filter(f => f.fix && (!ruleIds?.length || ruleIds.includes(f.rule)));
+        const { files, applied, skipped } = migrateConfig(parsed, selected);
+        const manual = findings.filter(f => !f.fix && f.severity !== "info");
+        
+        let responseText = `# Configuration Migration\n\n`;
+        responseText += describeDeprecationRuleErrors(ruleSet);
+        if (parsed.errors.length > 0) {
+          responseText += `⚠️ Parts of the configuration could not be read and were not migrated:\n`;
+          responseText += parsed.errors.map(e => `- ${formatConfigLocation(e.loc)}: ${e.message}`).join("\n") + "\n\n";
+        }
+        responseText += `**Fixes applied:** ${applied.length} in ${files.length} file(s)\n\n`;
+        
+        if (selected.length === 0) {
+          responseText += "No machine-applicable deprecations found.\n\n";
+        }
+        
+        for (const { file, after, diff } of files) {
+          responseText += `## ${file ? configRelativePath(file) : "Snippet"}\n\n`;
+          responseText += "```diff\n" + diff + "\n```\n\n";
+          responseText += "Rewritten:\n\n```yaml\n" + after.replace(/\n$/, "") + "\n```\n\n";
+        }
+        
+        if (skipped.length > 0) {
+          responseText += `## Not Migrated\n\n`;
+          for (const { finding, reason } of skipped) {
+            responseText += `- ${formatConfigLocation(finding.loc)} [${finding.rule}]: ${reason}\n`;
+          }
+          responseText += "\n";
+        }
+        
+        if (manual.length > 0) {
+          responseText += `## No Automatic Fix\n\n`;
+          for (const finding of manual) {
+            responseText += `- ${formatConfigLocation(finding.loc)} [${finding.rule}]: ${finding.message}\n`;
+          }
+          responseText += "\n";
+        }
+        
+        if (files.length > 0) {
+          responseText += "**Nothing was written.** Show the diff to the user, take a backup (`create_backup`), write the files, then run `validate_config` before reloading or restarting.\n";
+        }
+        
+        return makeCompatibleResponse({
+          content: [createTextContent(responseText, { audience: ["assistant"], priority: 0.9 })],
+        });
+      }
+      
+      case "scan_config_deprecations": {
+        const path = args?.path || "configuration.yaml";
+        const minSeverity = args?.min_severity || "info";
+        const maxLocations = Math.max(1, args?.max_locations || 20);
+        if (!DEPRECATION_SEVERITIES.includes(minSeverity)) {
+          throw new Error(`min_severity must be one of ${DEPRECATION_SEVERITIES.join(", ")}`);
+        }
+        sendLog("info", "docs", { action: "scan_config_deprecations", path });
+        
+        const { parsed, root } = await parseConfigArgument({ path });
+        const ruleSet = await loadDeprecationRules();
+        const { findings } = root ? checkConfigForDeprecations(root, ruleSet.rules) : { findings: [] };
+        const rank = (severity) => DEPRECATION_SEVERITIES.indexOf(severity);
+        const shown = findings.filter(f => rank(f.severity) >= rank(minSeverity));
+        
+        const groups = new Map();
+        for (const finding of shown) {
+          if (!groups.has(finding.rule)) groups.set(finding.rule, []);
+          groups.get(finding.rule).push(finding);
+        }
+        const ordered = [...groups.values()].sort((a, b) => rank(b[0].severity) - rank(a[0].severity) || b.length - a.length);
+        const counts = Object.fromEntries(DEPRECATION_SEVERITIES.map(severity => [severity, shown.filter(f => f.severity === severity).length]));
+        const fixable = shown.filter(f => f.fix).length;
+        const affectedFiles = new Set(shown.map(f => f.loc.file));
+        
+        let responseText = `# Configuration Deprecation Scan\n\n`;
+        responseText += describeDeprecationRuleErrors(ruleSet);
+        responseText += `**Scanned:** ${parsed.files.length} file(s) from ${configRelativePath(parsed.files[0])}\n`;
+        responseText += `**Findings:** ${shown.length} in ${affectedFiles.size} file(s) (${counts.error} error, ${counts.warning} warning, ${counts.info} info)`;
+        responseText += fixable > 0 ? `, ${fixable} fixable with \`migrate_config\`\n\n` : "\n\n";
+        
+        if (parsed.errors.length > 0) {
+          responseText += `## Could Not Be Read (${parsed.errors.length})\n\n`;
+          for (const error of parsed.errors) {
+            responseText += `- ${formatConfigLocation(error.loc)}: ${error.message}\n`;
+          }
+          responseText += "\n";
+        }
+        
+        for (const group of ordered) {
+          const first = group[0];
+          const since = first.deprecated_in ? `, deprecated in ${first.deprecated_in}` : "";
+          responseText += `## ${first.rule} (${first.severity}${since}): ${group.length}\n\n`;
+          responseText += `${first.message}\n\n`;
+          for (const finding of group.slice(0, maxLocations)) {
+            responseText += `- ${formatConfigLocation(finding.loc)} \`${finding.path}\`\n`;
+          }
+          if (group.length > maxLocations) {
+            responseText += `- ... and ${group.length - maxLocations} more\n`;
+          }
+          responseText += first.fix ? `\nFix: \`migrate_config(path="${path}", rules=["${first.rule}"])\`\n\n` : "\n";
+          if (!first.fix && first.suggestion) {
+            responseText += first.suggestion.includes("\n")
+              ? `Suggestion:\n\`\`\`\n${first.suggestion}\n\`\`\`\n\n`
+              : `Suggestion: ${first.suggestion}\n\n`;
+          }
+        }
+        
+        if (shown.length === 0 && parsed.errors.length === 0) {
+          responseText += "No deprecated syntax found.\n";
+        }
+        
+        return makeCompatibleResponse({
+          content: [createTextContent(responseText, { audience: ["assistant"], priority: 0.9 })],
+        });
+      }
+      
       // === UPDATE MANAGEMENT ===
       case "get_available_updates": {
         const component = args?.component || "all";
@@ -2678,25 +8682,215 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         }
         
-        // Format output
-        const pendingUpdates = updates.filter(u => u.update_available);
-        let responseText = `# Available Updates\n\n`;
-        responseText += `**Checked:** ${new Date().toISOString()}\n`;
-        responseText += `**Updates Available:** ${pendingUpdates.length}\n\n`;
+        // Format output
+        const pendingUpdates = updates.filter(u => u.update_available);
+        let responseText = `# Available Updates\n\n`;
+        responseText += `**Checked:** ${new Date().toISOString()}\n`;
+        responseText += `**Updates Available:** ${pendingUpdates.length}\n\n`;
+        
+        if (pendingUpdates.length > 0) {
+          responseText += `## Pending Updates\n\n`;
+          for (const u of pendingUpdates) {
+            responseText += `- **${u.name}** ${u.type === 'addon' ? `(${u.slug})` : ''}: ${u.installed} → ${u.latest}\n`;
+          }
+          responseText += `\n`;
+        }
+        
+        responseText += `## All Components\n\n`;
+        responseText += `| Component | Type | Installed | Latest | Update |\n`;
+        responseText += `|-----------|------|-----------|--------|--------|\n`;
+        for (const u of updates) {
+          responseText += `| ${u.name} | ${u.type} | ${u.installed} | ${u.latest} | ${u.update_available ? '⬆️ Yes' : '✓ Current'} |\n`;
+        }
+        
+        return makeCompatibleResponse({
+          content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.9 })],
+        });
+      }
+
+      case "get_addon_changelog": {
+        const { addon_slug } = args;
+        sendLog("info", "updates", { action: "get_changelog", addon: addon_slug });
+        
+        try {
+          // Get add-on info first
+          const addonInfo = await callSupervisor(`/addons/${addon_slug}/info`);
+          const changelog = await callSupervisor(`/addons/${addon_slug}/changelog`);
+          
+          let responseText = `# Changelog: ${addonInfo.name}\n\n`;
+          responseText += `**Current Version:** ${addonInfo.version}\n`;
+          responseText += `**Latest Version:** ${addonInfo.version_latest}\n`;
+          responseText += `**Update Available:** ${addonInfo.update_available ? 'Yes' : 'No'}\n\n`;
+          responseText += `---\n\n`;
+          responseText += changelog;
+          
+          return makeCompatibleResponse({
+            content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 })],
+          });
+        } catch (e) {
+          throw new Error(`Failed to get changelog for '${addon_slug}': ${e.message}`);
+        }
+      }
+
+      case "plan_update": {
+        const { component, addon_slug, backup_max_age_hours = UPDATE_BACKUP_MAX_AGE_HOURS } = args;
+        sendLog("info", "updates", { action: "plan_update", component, addon_slug });
+        
+        const infoEndpoint = {
+          core: "/core/info",
+          os: "/os/info",
+          supervisor: "/supervisor/info",
+          addon: addon_slug && `/addons/${addon_slug}/info`,
+        }[component];
+        if (component === "addon" && !addon_slug) {
+          throw new Error("addon_slug is required when component is 'addon'");
+        }
+        if (!infoEndpoint) {
+          throw new Error(`Unknown component type: ${component}`);
+        }
+        const info = await callSupervisor(infoEndpoint);
+        const componentName = { core: "Home Assistant Core", os: "Home Assistant OS", supervisor: "Supervisor" }[component] || info.name || addon_slug;
+        const installed = info.version;
+        const latest = info.version_latest;
+        
+        // Nothing to plan: a checklist would only produce a verdict for an update that does not exist
+        if (!info.update_available) {
+          return makeCompatibleResponse({
+            content: [createTextContent(`# Update Plan: ${componentName}\n\nAlready on the latest version (${installed}). Nothing to update.\n`, { audience: ["user", "assistant"], priority: 0.5 })],
+          });
+        }
+        
+        const checks = [];
+        const details = [];
+        const check = (status, name, result) => checks.push({ status, name, result });
+        const excerpt = (text, max) => (text.length > max ? `${text.slice(0, max)}...` : text);
+        
+        if (component === "addon" && await isSelfAddon(addon_slug)) {
+          check("fail", "Self-update", "HA OpenCode cannot update itself; use the Home Assistant UI");
+        }
+        check("pass", "Update available", `${installed} → ${latest}`);
+        
+        // Breaking changes in the Core releases being skipped over
+        if (component === "core") {
+          try {
+            const { changes, failures } = await analyzeBreakingChanges({ from: installed, to: latest });
+            const affecting = changes.filter(c => c.affects_installed !== false);
+            const missing = failures.map(f => f.release).join(", ");
+            if (affecting.length > 0) {
+              check("warn", "Breaking changes", `${affecting.length} affect loaded integrations: ${[...new Set(affecting.map(c => c.title))].join(", ")}`);
+              details.push(`## Breaking Changes Affecting This Installation\n\n` +
+                affecting.map(c => `- **${c.version} ${c.title}** (${c.integrations.join(", ")}): ${excerpt(c.description.replace(/\s+/g, " "), 300)}`).join("\n") +
+                `\n\nRead them in full with \`get_breaking_changes()\`.`);
+            } else {
+              check(failures.length > 0 ? "warn" : "pass", "Breaking changes",
+                `None for the loaded integrations (${changes.length} in total)${missing ? `; no release notes for ${missing}` : ""}`);
+            }
+          } catch (e) {
+            check("warn", "Breaking changes", `Could not be checked: ${e.message}`);
+          }
+        }
+        
+        // Changelog entries between the installed and latest app version
+        if (component === "addon") {
+          try {
+            const changelog = await callSupervisor(`/addons/${addon_slug}/changelog`);
+            const entries = extractChangelogEntries(changelog, installed, latest);
+            const flagged = entries.filter(e => CHANGELOG_ATTENTION_REGEX.test(e.text));
+            if (entries.length === 0) {
+              check("warn", "Changelog", "No entries found between the installed and latest version; read it with `get_addon_changelog`");
+            } else {
+              check(flagged.length > 0 ? "warn" : "pass", "Changelog", `${entries.length} version(s)` +
+                (flagged.length > 0 ? `; flagged ${flagged.map(e => e.version).join(", ")} (breaking, removed, or migrated behavior)` : ", nothing flagged"));
+              details.push(`## Changelog ${installed} → ${latest}\n\n` +
+                entries.map(e => `### ${e.version}${flagged.includes(e) ? " ⚠️" : ""}\n${excerpt(e.text, 1500)}`).join("\n\n"));
+            }
+          } catch (e) {
+            check("warn", "Changelog", `Could not be read: ${e.message}`);
+          }
+        }
+        
+        // Open repairs, especially ones that break in the target release
+        try {
+          const { issues = [] } = await callHAWebSocket("repairs/list_issues");
+          const open = issues.filter(i => !i.ignored);
+          const breaking = component === "core" && latest
+            ? open.filter(i => i.breaks_in_ha_version && compareVersions(i.breaks_in_ha_version, latest) <= 0)
+            : [];
+          const critical = open.filter(i => i.severity === "critical");
+          let result = open.length === 0 ? "No open repairs" : `${open.length} open`;
+          if (breaking.length > 0) result += `, ${breaking.length} break by ${latest}`;
+          if (critical.length > 0) result += `, ${critical.length} critical`;
+          check(breaking.length > 0 || critical.length > 0 ? "fail" : open.length > 0 ? "warn" : "pass", "Repairs", result);
+          if (open.length > 0) {
+            details.push(`## Open Repairs\n\n` + open.map(i =>
+              `- [${i.severity}] ${i.domain}: ${i.translation_key || i.issue_id}` +
+              `${i.breaks_in_ha_version ? ` (breaks in ${i.breaks_in_ha_version})` : ""}${i.learn_more_url ? ` ${i.learn_more_url}` : ""}`
+            ).join("\n"));
+          }
+        } catch (e) {
+          check("warn", "Repairs", `Could not be read: ${e.message}`);
+        }
+        
+        // A configuration that does not validate now will not start after a restart either
+        try {
+          const result = await callHA("/config/core/check_config", "POST");
+          const valid = result.result === "valid";
+          check(valid ? "pass" : "fail", "Configuration check", valid ? "valid" : `invalid: ${String(result.errors || "").split("\n")[0]}`);
+          if (!valid) details.push(`## Configuration Errors\n\n\`\`\`\n${result.errors}\n\`\`\``);
+        } catch (e) {
+          check("warn", "Configuration check", `Could not be run: ${e.message}`);
+        }
+        
+        try {
+          const host = await callSupervisor("/host/info");
+          const free = host.disk_free;
+          check(free < UPDATE_MIN_FREE_GB ? "fail" : free < UPDATE_WARN_FREE_GB ? "warn" : "pass", "Free disk space",
+            `${free} GB free of ${host.disk_total} GB`);
+        } catch (e) {
+          check("warn", "Free disk space", `Could not be read: ${e.message}`);
+        }
         
-        if (pendingUpdates.length > 0) {
-          responseText += `## Pending Updates\n\n`;
-          for (const u of pendingUpdates) {
-            responseText += `- **${u.name}** ${u.type === 'addon' ? `(${u.slug})` : ''}: ${u.installed} → ${u.latest}\n`;
+        try {
+          const { backups = [] } = await callSupervisor("/backups");
+          const backup = findCoveringBackup(backups, component, addon_slug);
+          const ageMs = backup ? Date.now() - new Date(backup.date).getTime() : Infinity;
+          // update_component takes a backup itself for core and apps
+          const remedy = component === "core" || component === "addon"
+            ? "update_component takes one with backup: true"
+            : "run create_backup(type=\"full\") first";
+          if (ageMs <= backup_max_age_hours * 3600000) {
+            check("pass", "Recent backup", `${backup.name} (${formatDuration(ageMs)} ago)`);
+          } else {
+            check("warn", "Recent backup", `${backup ? `Newest covering backup is ${formatDuration(ageMs)} old (${backup.name})` : "No backup covers this component"}; ${remedy}`);
           }
-          responseText += `\n`;
+        } catch (e) {
+          check("warn", "Recent backup", `Could not be checked: ${e.message}`);
         }
         
-        responseText += `## All Components\n\n`;
-        responseText += `| Component | Type | Installed | Latest | Update |\n`;
-        responseText += `|-----------|------|-----------|--------|--------|\n`;
-        for (const u of updates) {
-          responseText += `| ${u.name} | ${u.type} | ${u.installed} | ${u.latest} | ${u.update_available ? '⬆️ Yes' : '✓ Current'} |\n`;
+        const failed = checks.some(c => c.status === "fail");
+        const warned = checks.some(c => c.status === "warn");
+        const icons = { pass: "✅", warn: "⚠️", fail: "❌" };
+        
+        let responseText = `# Update Plan: ${componentName}\n\n`;
+        responseText += `**Version:** ${installed} → ${latest}\n`;
+        responseText += `**Verdict:** ${failed ? "🔴 NO-GO" : warned ? "🟡 GO WITH CAUTION" : "🟢 GO"}\n\n`;
+        responseText += `## Checklist\n\n`;
+        responseText += `| Status | Check | Result |\n`;
+        responseText += `|--------|-------|--------|\n`;
+        for (const c of checks) {
+          responseText += `| ${icons[c.status]} | ${c.name} | ${c.result} |\n`;
+        }
+        responseText += `\n`;
+        for (const section of details) {
+          responseText += `${section}\n\n`;
+        }
+        
+        responseText += `## Next Step\n\n`;
+        if (failed) {
+          responseText += `Resolve the ❌ items before updating.\n`;
+        } else {
+          const call = component === "addon" ? `component="addon", addon_slug="${addon_slug}", backup=true` : component === "core" ? `component="core", backup=true` : `component="${component}"`;
+          responseText += `${warned ? "Review the ⚠️ items with the user, then " : ""}\`update_component(${call})\`\n`;
         }
         
         return makeCompatibleResponse({
@@ -2704,36 +8898,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
       }
 
-      case "get_addon_changelog": {
-        const { addon_slug } = args;
-        sendLog("info", "updates", { action: "get_changelog", addon: addon_slug });
-        
-        try {
-          // Get add-on info first
-          const addonInfo = await callSupervisor(`/addons/${addon_slug}/info`);
-          const changelog = await callSupervisor(`/addons/${addon_slug}/changelog`);
-          
-          let responseText = `# Changelog: ${addonInfo.name}\n\n`;
-          responseText += `**Current Version:** ${addonInfo.version}\n`;
-          responseText += `**Latest Version:** ${addonInfo.version_latest}\n`;
-          responseText += `**Update Available:** ${addonInfo.update_available ? 'Yes' : 'No'}\n\n`;
-          responseText += `---\n\n`;
-          responseText += changelog;
-          
-          return makeCompatibleResponse({
-            content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.8 })],
-          });
-        } catch (e) {
-          throw new Error(`Failed to get changelog for '${addon_slug}': ${e.message}`);
-        }
-      }
-
       case "update_component": {
         const { component, addon_slug, backup = true } = args;
         sendLog("notice", "updates", { action: "initiate_update", component, addon_slug, backup });
         
         // Prevent self-update
-        if (component === "addon" && addon_slug === "local_ha_opencode") {
+        if (component === "addon" && await isSelfAddon(addon_slug)) {
           throw new Error("Cannot update HA OpenCode from within itself. The container will be stopped during update. Please use the Home Assistant UI to update this app.");
         }
         
@@ -2893,6 +9063,294 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
+      // === BACKUPS ===
+      case "list_backups": {
+        const { limit = 20 } = args || {};
+        sendLog("debug", "backups", { action: "list" });
+        
+        try {
+          const info = await callSupervisor("/backups");
+          const backups = (info.backups || []).sort((a, b) => new Date(b.date) - new Date(a.date));
+          
+          let responseText = `# Backups\n\n`;
+          responseText += `**Total:** ${backups.length}`;
+          if (info.days_until_stale !== undefined) responseText += ` (stale after ${info.days_until_stale} days)`;
+          responseText += `\n\n`;
+          
+          if (backups.length === 0) {
+            responseText += `*No backups found. Use \`create_backup\` to make one.*\n`;
+          } else {
+            responseText += `| Name | Slug | Date | Type | Size | Contents |\n`;
+            responseText += `|------|------|------|------|------|----------|\n`;
+            for (const backup of backups.slice(0, limit)) {
+              responseText += `| ${backup.name}${backup.protected ? " 🔒" : ""} | ${backup.slug} | ${backup.date} | ${backup.type} | ${backup.size} MB | ${describeBackupContent(backup.content)} |\n`;
+            }
+            if (backups.length > limit) {
+              responseText += `\n*${backups.length - limit} older backups not shown.*\n`;
+            }
+          }
+          
+          return makeCompatibleResponse({
+            content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.7 })],
+          });
+        } catch (e) {
+          throw new Error(`Failed to list backups: ${e.message}`);
+        }
+      }
+
+      case "get_backup_info": {
+        const { slug } = args;
+        sendLog("debug", "backups", { action: "info", slug });
+        
+        try {
+          const backup = await callSupervisor(`/backups/${slug}/info`);
+          
+          let responseText = `# Backup: ${backup.name}\n\n`;
+          responseText += `**Slug:** ${backup.slug}\n`;
+          responseText += `**Date:** ${backup.date}\n`;
+          responseText += `**Type:** ${backup.type}\n`;
+          responseText += `**Size:** ${backup.size} MB\n`;
+          responseText += `**Protected:** ${backup.protected ? "Yes (password required to restore)" : "No"}\n`;
+          if (backup.homeassistant) {
+            responseText += `**Home Assistant:** ${backup.homeassistant}`;
+            responseText += backup.homeassistant_exclude_database ? " (database excluded)\n" : "\n";
+          } else {
+            responseText += `**Home Assistant:** not included\n`;
+          }
+          if (backup.supervisor_version) responseText += `**Supervisor:** ${backup.supervisor_version}\n`;
+          const locations = backup.locations || (backup.location !== undefined ? [backup.location] : []);
+          if (locations.length > 0) {
+            responseText += `**Locations:** ${locations.map(l => l || "local").join(", ")}\n`;
+          }
+          
+          responseText += `\n## Apps (${(backup.addons || []).length})\n`;
+          for (const addon of backup.addons || []) {
+            responseText += `- ${addon.name} (\`${addon.slug}\`) ${addon.version}${addon.size ? `, ${addon.size} MB` : ""}\n`;
+          }
+          responseText += `\n## Folders\n${(backup.folders || []).length > 0 ? backup.folders.map(f => `- ${f}`).join("\n") : "*none*"}\n`;
+          
+          return makeCompatibleResponse({
+            content: [
+              createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.7 }),
+              createTextContent(JSON.stringify(backup, null, 2), { audience: ["assistant"], priority: 0.4 }),
+            ],
+          });
+        } catch (e) {
+          throw new Error(`Failed to get backup ${slug}: ${e.message}`);
+        }
+      }
+
+      case "create_backup": {
+        const {
+          type, homeassistant = true, addons = [], folders = [],
+          exclude_database = false, password, wait_seconds = 120,
+        } = args;
+        const name = args.name || `HA OpenCode ${new Date().toISOString().slice(0, 16).replace("T", " ")}`;
+        sendLog("notice", "backups", { action: "create", type, name, homeassistant, addons, folders });
+        
+        const payload = { name, background: true, homeassistant_exclude_database: exclude_database };
+        if (password) payload.password = password;
+        if (type === "partial") {
+          if (!homeassistant && addons.length === 0 && folders.length === 0) {
+            throw new Error("A partial backup needs homeassistant: true, or at least one app or folder");
+          }
+          payload.homeassistant = homeassistant;
+          if (addons.length > 0) payload.addons = addons;
+          if (folders.length > 0) payload.folders = folders;
+        }
+        
+        let job;
+        try {
+          const result = await callSupervisor(`/backups/new/${type}`, "POST", payload);
+          if (result?.slug && !result.job_id) {
+            job = { done: true, reference: result.slug };
+          } else {
+            job = await waitForSupervisorJob(result.job_id, wait_seconds * 1000);
+            job.uuid = job.uuid || result.job_id;
+          }
+        } catch (e) {
+          throw new Error(`Failed to create ${type} backup: ${e.message}`);
+        }
+        
+        if (job.done && job.errors?.length > 0) {
+          throw new Error(`Backup failed: ${job.errors.map(e => e.message || e).join("; ")}`);
+        }
+        
+        let responseText;
+        if (job.done) {
+          responseText = `# Backup Created\n\n`;
+          responseText += `**Name:** ${name}\n`;
+          responseText += `**Slug:** ${job.reference}\n`;
+          responseText += `**Type:** ${type}\n`;
+          if (type === "partial") {
+            responseText += `**Contents:** ${describeBackupContent({ homeassistant, addons, folders })}\n`;
+          }
+          responseText += `\nRestore with \`restore_backup({ slug: "${job.reference}" })\` if needed.\n`;
+        } else {
+          responseText = `# Backup In Progress\n\n`;
+          responseText += `**Name:** ${name}\n`;
+          responseText += `**Job ID:** ${job.uuid}\n`;
+          responseText += `**Progress:** ${job.progress || 0}%${job.stage ? ` (${job.stage})` : ""}\n\n`;
+          responseText += `Still running after ${wait_seconds}s. Monitor with \`get_update_progress({ job_id: "${job.uuid}" })\`; the backup slug is the job's reference when it finishes.\n`;
+        }
+        
+        return makeCompatibleResponse({
+          content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.9 })],
+        });
+      }
+
+      case "restore_backup": {
+        const { slug, type = "partial", homeassistant, addons = [], folders = [], password } = args;
+        
+        const backup = await callSupervisor(`/backups/${slug}/info`);
+        if (backup.protected && !password) {
+          throw new Error(`Backup ${slug} is password protected. Provide the password to restore it.`);
+        }
+        
+        const payload = { background: true };
+        if (password) payload.password = password;
+        if (type === "partial") {
+          if (!homeassistant && addons.length === 0 && folders.length === 0) {
+            throw new Error("A partial restore needs homeassistant: true, or at least one app or folder");
+          }
+          if (homeassistant) payload.homeassistant = true;
+          if (addons.length > 0) payload.addons = addons;
+          if (folders.length > 0) payload.folders = folders;
+        }
+        
+        const parts = type === "full" ? "everything" : describeBackupContent({ homeassistant, addons, folders });
+        const description = `restore ${parts} from backup "${backup.name}" (${backup.date})`;
+        await enforceSafetyPolicy(
+          { kind: "service", domain: "hassio", service: `backup_restore_${type}`, entityIds: [] },
+          description,
+          { alwaysConfirm: "restoring a backup overwrites the current configuration and restarts Home Assistant" }
+        );
+        sendLog("notice", "backups", { action: "restore", slug, type, homeassistant, addons, folders });
+        
+        try {
+          const result = await callSupervisor(`/backups/${slug}/restore/${type}`, "POST", payload);
+          const jobId = result?.job_id;
+          
+          let responseText = `# Restore Started\n\n`;
+          responseText += `**Backup:** ${backup.name} (${slug})\n`;
+          responseText += `**Restoring:** ${parts}\n`;
+          if (jobId) responseText += `**Job ID:** ${jobId}\n`;
+          responseText += `\nHome Assistant will restart during the restore and this connection may drop.`;
+          if (jobId) responseText += ` Afterwards, check the result with \`get_update_progress({ job_id: "${jobId}" })\`.`;
+          responseText += `\n`;
+          
+          return makeCompatibleResponse({
+            content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 1.0 })],
+          });
+        } catch (e) {
+          throw new Error(`Failed to restore backup ${slug}: ${e.message}`);
+        }
+      }
+
+      // === APPS (ADD-ONS) ===
+      case "addon_info": {
+        const { addon_slug } = args;
+        sendLog("debug", "apps", { action: "info", addon_slug });
+        
+        try {
+          const info = await callSupervisor(`/addons/${addon_slug}/info`);
+          const stateEmoji = { started: "🟢", stopped: "⚪", error: "🔴", startup: "🟡" }[info.state] || "❔";
+          
+          let responseText = `# ${info.name} (\`${info.slug}\`)\n\n`;
+          if (info.description) responseText += `${info.description}\n\n`;
+          responseText += `**State:** ${stateEmoji} ${info.state}\n`;
+          responseText += `**Version:** ${info.version || "not installed"}`;
+          responseText += info.update_available ? ` (update available: ${info.version_latest})\n` : "\n";
+          responseText += `**Boot:** ${info.boot}\n`;
+          responseText += `**Watchdog:** ${info.watchdog ? "on" : "off"}\n`;
+          responseText += `**Auto-update:** ${info.auto_update ? "on" : "off"}\n`;
+          if (info.stage && info.stage !== "stable") responseText += `**Stage:** ${info.stage}\n`;
+          if (info.repository) responseText += `**Repository:** ${info.repository}\n`;
+          if (info.hostname) responseText += `**Hostname:** ${info.hostname}${info.ip_address ? ` (${info.ip_address})` : ""}\n`;
+          if (info.ingress) responseText += `**Ingress:** yes${info.ingress_url ? ` (${info.ingress_url})` : ""}\n`;
+          if (info.network && Object.keys(info.network).length > 0) {
+            const ports = Object.entries(info.network).map(([port, host]) => `${port} → ${host ?? "disabled"}`);
+            responseText += `**Ports:** ${ports.join(", ")}\n`;
+          }
+          if (info.webui) responseText += `**Web UI:** ${info.webui}\n`;
+          if (info.options && Object.keys(info.options).length > 0) {
+            responseText += `\n## Options\n\`\`\`json\n${JSON.stringify(info.options, null, 2)}\n\`\`\`\n`;
+          }
+          if (info.state === "error") {
+            responseText += `\nThe app is in an error state. Check \`get_addon_logs({ addon_slug: "${addon_slug}" })\`.\n`;
+          }
+          
+          return makeCompatibleResponse({
+            content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.7 })],
+          });
+        } catch (e) {
+          throw new Error(`Failed to get info for app ${addon_slug}: ${e.message}`);
+        }
+      }
+
+      case "addon_control": {
+        const { addon_slug, action } = args;
+        
+        // Stopping, restarting, or rebuilding this app would kill the server mid-call
+        if (action !== "start" && await isSelfAddon(addon_slug)) {
+          throw new Error(`Cannot ${action} HA OpenCode from within itself. Please use the Home Assistant UI to ${action} this app.`);
+        }
+        if (!["start", "stop", "restart", "rebuild"].includes(action)) {
+          throw new Error(`Unknown action: ${action}`);
+        }
+        
+        await enforceSafetyPolicy(
+          { kind: "service", domain: "hassio", service: `addon_${action}`, entityIds: [] },
+          `${action} app ${addon_slug}`
+        );
+        sendLog("notice", "apps", { action, addon_slug });
+        
+        try {
+          await callSupervisor(`/addons/${addon_slug}/${action}`, "POST");
+          const info = await callSupervisor(`/addons/${addon_slug}/info`);
+          
+          const done = { start: "Started", stop: "Stopped", restart: "Restarted", rebuild: "Rebuilt" }[action];
+          let responseText = `# App ${done}\n\n`;
+          responseText += `**App:** ${info.name} (\`${addon_slug}\`)\n`;
+          responseText += `**State:** ${info.state}\n`;
+          if (action !== "stop" && info.state !== "started") {
+            responseText += `\n⚠️ The app is not running. Check \`get_addon_logs({ addon_slug: "${addon_slug}" })\` for the reason.\n`;
+          }
+          
+          return makeCompatibleResponse({
+            content: [createTextContent(responseText, { audience: ["user", "assistant"], priority: 0.9 })],
+          });
+        } catch (e) {
+          throw new Error(`Failed to ${action} app ${addon_slug}: ${e.message}`);
+        }
+      }
+
+      case "get_addon_logs": {
+        const { addon_slug, lines = 100, filter, context = 0 } = args;
+        sendLog("debug", "apps", { action: "logs", addon_slug, lines, filter });
+        
+        try {
+          // Filtering needs more history than the lines that end up being shown
+          const fetchLines = filter ? Math.min(Math.max(lines * 10, 1000), 5000) : lines;
+          const logLines = await getSupervisorLogLines(`/addons/${addon_slug}/logs`, fetchLines);
+          const output = filterLogLines(logLines, { filter, context, limit: lines });
+          
+          let responseText = `# Logs: ${addon_slug}\n\n`;
+          if (filter) {
+            responseText += `**Filter:** \`${filter}\` (searched the last ${logLines.length} lines)\n\n`;
+          }
+          responseText += output.length > 0
+            ? `\`\`\`\n${output.join("\n")}\n\`\`\`\n`
+            : `*No ${filter ? "matching " : ""}log lines.*\n`;
+          
+          return makeCompatibleResponse({
+            content: [createTextContent(responseText, { audience: ["assistant"], priority: 0.8 })],
+          });
+        } catch (e) {
+          throw new Error(`Failed to get logs for app ${addon_slug}: ${e.message}`);
+        }
+      }
+
       // === ESPHOME INTEGRATION ===
       case "esphome_list_devices": {
         sendLog("info", "esphome", { action: "list_devices" });
@@ -3210,7 +9668,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     });
   }
-});
+}
 
 // --- List Resources ---
 server.setRequestHandler(ListResourcesRequestSchema, async () => {
@@ -3231,8 +9689,8 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   try {
     // Static resources
     if (uri === "ha://states/summary") {
-      const states = await callHA("/states");
-      const summary = generateStateSummary(states);
+      const [states, anomalyRules] = await Promise.all([callHA("/states"), loadAnomalyRules()]);
+      const summary = generateStateSummary(states, anomalyRules);
       return {
         contents: [{ 
           uri, 
@@ -3301,15 +9759,12 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
     }
     
     if (uri === "ha://areas") {
-      // Use namespace to properly accumulate values in Jinja2 loop
-      const result = await callHA("/template", "POST", {
-        template: "{% set ns = namespace(areas=[]) %}{% for area in areas() %}{% set ns.areas = ns.areas + [{'id': area, 'name': area_name(area)}] %}{% endfor %}{{ ns.areas | tojson }}"
-      });
+      const areas = await listAreas();
       return {
         contents: [{ 
           uri, 
           mimeType: "application/json", 
-          text: result,
+          text: JSON.stringify(areas, null, 2),
           annotations: { audience: ["assistant"], priority: 0.7 },
         }],
       };
@@ -3340,8 +9795,8 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
     }
     
     if (uri === "ha://anomalies") {
-      const states = await callHA("/states");
-      const anomalies = states.map(detectAnomaly).filter(Boolean);
+      const [states, anomalyRules] = await Promise.all([callHA("/states"), loadAnomalyRules()]);
+      const anomalies = states.flatMap(s => detectAnomalies(s, anomalyRules));
       return {
         contents: [{ 
           uri, 
@@ -3365,6 +9820,30 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       };
     }
     
+    if (uri === "ha://policy") {
+      const policy = await loadSafetyPolicy();
+      return {
+        contents: [{ 
+          uri, 
+          mimeType: "application/json", 
+          text: JSON.stringify(policy, null, 2),
+          annotations: { audience: ["user", "assistant"], priority: 0.6 },
+        }],
+      };
+    }
+    
+    if (uri === "ha://audit") {
+      const entries = await readAuditLog({ limit: 100 });
+      return {
+        contents: [{ 
+          uri, 
+          mimeType: "application/json", 
+          text: JSON.stringify(entries, null, 2),
+          annotations: { audience: ["user", "assistant"], priority: 0.6 },
+        }],
+      };
+    }
+    
     // Template-based resources
     const statesMatch = uri.match(/^ha:\/\/states\/(\w+)$/);
     if (statesMatch) {
@@ -3405,18 +9884,24 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
     const areaMatch = uri.match(/^ha:\/\/area\/(.+)$/);
     if (areaMatch) {
       const areaId = areaMatch[1];
-      const states = await callHA("/states");
-      const areaEntities = states.filter(s => s.attributes?.area_id === areaId);
-      const areaNameResult = await callHA("/template", "POST", {
-        template: `{{ area_name('${areaId}') }}`
-      });
+      const [states, registries] = await Promise.all([callHA("/states"), getRegistries()]);
+      const { entitiesById, devices, devicesById, areasById } = registries;
+      const area = areasById.get(areaId);
+      if (!area) {
+        throw new Error(`Area '${areaId}' not found`);
+      }
+      const areaEntities = states.filter(s => getEntityAreaId(entitiesById.get(s.entity_id), devicesById) === areaId);
       return {
         contents: [{ 
           uri, 
           mimeType: "application/json", 
           text: JSON.stringify({
             area_id: areaId,
-            area_name: areaNameResult,
+            area_name: area.name,
+            floor_id: area.floor_id || null,
+            devices: devices
+              .filter(d => d.area_id === areaId)
+              .map(d => ({ id: d.id, name: d.name_by_user || d.name, manufacturer: d.manufacturer, model: d.model })),
             entities: areaEntities.map(s => ({
               entity_id: s.entity_id,
               state: s.state,
@@ -3447,6 +9932,38 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       };
     }
     
+    const tracesMatch = uri.match(/^ha:\/\/traces\/(.+)$/);
+    if (tracesMatch) {
+      const automationId = decodeURIComponent(tracesMatch[1]);
+      const traces = await getCondensedTraces("automation", automationId);
+      return {
+        contents: [{ 
+          uri, 
+          mimeType: "application/json", 
+          text: JSON.stringify(traces, null, 2),
+          annotations: { audience: ["assistant"], priority: 0.7 },
+        }],
+      };
+    }
+    
+    const exportMatch = uri.match(/^ha:\/\/exports\/([^/]+)$/);
+    if (exportMatch) {
+      const filename = decodeURIComponent(exportMatch[1]);
+      if (filename.includes("/") || filename.startsWith(".")) {
+        throw new Error(`Invalid export name: ${filename}`);
+      }
+      const format = filename.split(".").pop();
+      const text = await readFile(`${EXPORTS_DIR}/${filename}`, "utf8");
+      return {
+        contents: [{ 
+          uri, 
+          mimeType: EXPORT_MIME_TYPES[format] || "text/plain", 
+          text,
+          annotations: { audience: ["assistant"], priority: 0.5 },
+        }],
+      };
+    }
+    
     throw new Error(`Unknown resource: ${uri}`);
   } catch (error) {
     sendLog("error", "mcp-server", { action: "read_resource_error", uri, error: error.message });
@@ -3454,6 +9971,110 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   }
 });
 
+// --- Resource Subscriptions ---
+// Subscribed entity/state resources are backed by one HA `state_changed`
+// subscription on the shared WebSocket. Updates are throttled per URI so a
+// chatty power sensor cannot flood the client.
+
+const resourceSubscriptions = new Set();
+const pendingResourceUpdates = new Map(); // uri -> timeout id
+let unsubscribeStateChanged = null; // Promise<function> while subscribed
+
+const RESOURCE_UPDATE_THROTTLE_MS = {
+  entity: 1000,
+  domain: 5000,
+  summary: 10000,
+};
+
+/**
+ * Which throttle class a subscribable resource belongs to, or null if the URI
+ * does not support subscriptions
+ */
+function getSubscribableResourceKind(uri) {
+  if (uri === "ha://states/summary") return "summary";
+  if (/^ha:\/\/states\/\w+$/.test(uri)) return "domain";
+  if (/^ha:\/\/entity\/.+$/.test(uri)) return "entity";
+  return null;
+}
+
+/**
+ * Send notifications/resources/updated for a URI, at most once per throttle window
+ */
+function scheduleResourceUpdate(uri) {
+  if (pendingResourceUpdates.has(uri)) return;
+  const delay = RESOURCE_UPDATE_THROTTLE_MS[getSubscribableResourceKind(uri)];
+  pendingResourceUpdates.set(uri, setTimeout(() => {
+    pendingResourceUpdates.delete(uri);
+    if (!resourceSubscriptions.has(uri)) return;
+    server.sendResourceUpdated({ uri }).catch((error) => {
+      sendLog("warning", "mcp-server", { action: "resource_update_failed", uri, error: error.message });
+    });
+  }, delay));
+}
+
+/**
+ * Map a state_changed event to the subscribed resources it affects.
+ * Domain lists and the summary only show the state value, so attribute-only
+ * changes notify the entity resource alone.
+ */
+function handleStateChangedEvent(event) {
+  const { entity_id, old_state, new_state } = event.data || {};
+  if (!entity_id) return;
+  const [domain] = entity_id.split(".");
+  const stateChanged = old_state?.state !== new_state?.state;
+
+  for (const uri of resourceSubscriptions) {
+    if (uri === `ha://entity/${entity_id}`) {
+      scheduleResourceUpdate(uri);
+    } else if (stateChanged && (uri === `ha://states/${domain}` || uri === "ha://states/summary")) {
+      scheduleResourceUpdate(uri);
+    }
+  }
+}
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  if (!getSubscribableResourceKind(uri)) {
+    throw new Error(`Resource ${uri} does not support subscriptions. Subscribable: ha://entity/{entity_id}, ha://states/{domain}, ha://states/summary`);
+  }
+
+  resourceSubscriptions.add(uri);
+  if (!unsubscribeStateChanged) {
+    // Stored as a promise so concurrent subscribe requests share one HA subscription
+    unsubscribeStateChanged = subscribeHAWebSocket(
+      { type: "subscribe_events", event_type: "state_changed" },
+      handleStateChangedEvent
+    );
+  }
+  try {
+    await unsubscribeStateChanged;
+  } catch (error) {
+    resourceSubscriptions.delete(uri);
+    unsubscribeStateChanged = null;
+    throw new Error(`Failed to subscribe to Home Assistant state changes: ${error.message}`);
+  }
+
+  sendLog("info", "mcp-server", { action: "resource_subscribed", uri, subscriptions: resourceSubscriptions.size });
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  resourceSubscriptions.delete(uri);
+  clearTimeout(pendingResourceUpdates.get(uri));
+  pendingResourceUpdates.delete(uri);
+
+  if (resourceSubscriptions.size === 0 && unsubscribeStateChanged) {
+    const subscription = unsubscribeStateChanged;
+    unsubscribeStateChanged = null;
+    const unsubscribe = await subscription.catch(() => null);
+    if (unsubscribe) await unsubscribe();
+  }
+
+  sendLog("info", "mcp-server", { action: "resource_unsubscribed", uri, subscriptions: resourceSubscriptions.size });
+  return {};
+});
+
 // --- List Prompts ---
 server.setRequestHandler(ListPromptsRequestSchema, async () => {
   sendLog("debug", "mcp-server", { action: "list_prompts" });
@@ -3487,8 +10108,9 @@ Please help me diagnose and fix this issue. Start by:
 1. Using the \`diagnose_entity\` tool to get current state and history
 2. Check if the entity is available and responding
 3. Look at related entities that might be affected
-4. Review the error log for any related messages
-5. Suggest specific fixes based on what you find
+4. If it is an automation or script (or is controlled by one), use \`get_automation_traces\` to see which trigger fired, which conditions failed, and which action errored
+5. Review the error log for any related messages
+6. Suggest specific fixes based on what you find
 
 Focus on practical solutions I can implement.`,
               annotations: { audience: ["assistant"], priority: 1.0 },
@@ -3537,13 +10159,16 @@ Consider edge cases and make the automation robust.`,
               text: `Please perform an energy audit of my Home Assistant setup.
 
 Steps:
-1. Use \`search_entities\` to find all energy/power related sensors
-2. Check the current state of all lights using \`get_states\` with domain "light"
-3. Review climate/thermostat entities
-4. Look for smart plugs and their power consumption
-5. Get suggestions using the \`get_suggestions\` tool
+1. Use \`get_energy_config\` to see which meters and devices the energy dashboard tracks, and whether it reports problems with them
+2. Use \`get_energy_usage\` with period "day" for the last 30 days to get home consumption, grid import/export, solar production, and kWh per device per day
+3. If the energy dashboard is not configured, use \`search_entities\` to find energy meters and \`get_statistics\` with period "day" for their daily consumption instead (not \`get_history\`, which returns every raw reading)
+4. Check the current state of all lights using \`get_states\` with domain "light"
+5. Review climate/thermostat entities
+6. Look for smart plugs and their power consumption
+7. Get suggestions using the \`get_suggestions\` tool
 
 Provide a summary including:
+- The biggest consumers by kWh and their share of the total, including untracked consumption
 - Current energy consumers that are active
 - Potential energy savings opportunities
 - Automation suggestions to reduce energy usage
@@ -3577,7 +10202,9 @@ Provide:
 - A descriptive name for the scene
 - Complete scene YAML configuration
 - Any automations that might trigger this scene
-- Tips for adjusting the scene`,
+- Tips for adjusting the scene
+
+Once I approve the scene, save it with \`create_scene\` (or \`update_scene\` for an existing one) instead of editing scenes.yaml.`,
               annotations: { audience: ["assistant"], priority: 1.0 },
             },
           }],
@@ -3668,6 +10295,9 @@ async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   
+  // The shared HA WebSocket would otherwise keep the process alive after the client disconnects
+  process.stdin.on("end", () => closeHAWebSocket());
+  
   sendLog("info", "mcp-server", { 
     action: "started",
     version: "2.2.0",
@@ -3681,7 +10311,10 @@ async function main() {
   console.error("Features: Structured Output, Tool Annotations, Resource Links, Content Annotations, Live Docs");
 }
 
-main().catch((error) => {
-  console.error("Fatal error:", error);
-  process.exit(1);
-});
+// Only when run as the server; the tests import this file for its parsers
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+
+// index.js refuses to load without a token; nothing is called with it here
+process.env.SUPERVISOR_TOKEN ??= "test";
+const { parseReleaseNotesBreakingChanges } = await import("../index.js");
+
+const fixture = await readFile(new URL("./fixtures/release-notes.html", import.meta.url), "utf8");
+
+test("reads the entries of a saved release post", () => {
+  const changes = parseReleaseNotesBreakingChanges(fixture);
+  assert.deepEqual(changes.map(c => c.title), ["Backup", "Tado", "Template"]);
+  assert.deepEqual(changes[0].integrations, ["backup"]);
+  assert.deepEqual(changes[0].pull_requests, [130592]);
+  assert.deepEqual(changes[1].integrations, ["timer", "tado"]);
+  assert.match(changes[1].description, /tado\.set_climate_timer/);
+  // No integration link: the title stands in for it
+  assert.deepEqual(changes[2].integrations, ["template"]);
+  assert.deepEqual(changes[2].pull_requests, [131222, 131240]);
+});
+
+test("throws when the section is missing", () => {
+  const html = fixture.replace('id="backward-incompatible-changes"', 'id="something-else"');
+  assert.throws(() => parseReleaseNotesBreakingChanges(html), /no "Backward-incompatible changes" section/);
+});
+
+test("throws when the entries are in markup it does not know", () => {
+  const html = fixture.replace(/<(\/?)details>/g, "<$1section>").replace(/<(\/?)summary>/g, "<$1div>");
+  assert.throws(() => parseReleaseNotesBreakingChanges(html), /none could be read/);
+});
+
+test("returns nothing for a section without changes", () => {
+  const html = '<h2 id="backward-incompatible-changes">Backward-incompatible changes</h2><p>None this time.</p><h2 id="all-changes">All changes</h2>';
+  assert.deepEqual(parseReleaseNotesBreakingChanges(html), []);
+});
+
+test("falls back to one h3 per integration in older posts", () => {
+  const html = [
+    '<h2 id="breaking-changes">Breaking Changes</h2>',
+    '<h3>MQTT</h3><p>Discovery payloads must be valid JSON. (<a href="https://github.com/home-assistant/core/pull/41234">#41234</a>) (<a href="/integrations/mqtt/">docs</a>)</p>',
+    '<h3>Hue</h3><p>The bridge must be paired again.</p>',
+    '<h2 id="farewell">Farewell</h2>',
+  ].join("\n");
+  const changes = parseReleaseNotesBreakingChanges(html);
+  assert.deepEqual(changes.map(c => [c.title, c.integrations, c.pull_requests]), [
+    ["MQTT", ["mqtt"], [41234]],
+    ["Hue", ["hue"], []],
+  ]);
+});